@@ -0,0 +1,105 @@
+/**
+ * K-Score Model Definitions
+ * Each version lists its factors. A factor reads one metric from the token's
+ * scoring inputs and awards the points of the FIRST matching bucket, or
+ * 'default' if none match. Buckets match on 'gt' (value > x) or 'lt' (value < x).
+ * A metric with no data (e.g. no holder snapshot yet) scores 0 for that factor.
+ *
+ * Never edit a released version in place: add a new one, preview it from the
+ * admin API, then switch KSCORE_MODEL_VERSION.
+ */
+const config = require('./env');
+
+const MODELS = {
+    // Original hard-coded weighting
+    '1.0.0': {
+        cap: 100,
+        factors: {
+            verification: { metric: 'verified', buckets: [{ gt: 0, points: 50 }], default: 10 },
+            volume: { metric: 'volume24h', buckets: [{ gt: 100000, points: 20 }, { gt: 10000, points: 10 }], default: 0 },
+            holders: { metric: 'holdersAlive', buckets: [{ gt: 0, points: 20 }], default: 0 },
+            marketCap: { metric: 'marketCap', buckets: [{ gt: 100000, points: 10 }], default: 0 }
+        }
+    },
+
+    // Replaces the "chain is alive" holder check with real concentration data
+    '1.1.0': {
+        cap: 100,
+        factors: {
+            verification: { metric: 'verified', buckets: [{ gt: 0, points: 40 }], default: 10 },
+            volume: { metric: 'volume24h', buckets: [{ gt: 100000, points: 20 }, { gt: 10000, points: 10 }], default: 0 },
+            concentration: { metric: 'top10Pct', buckets: [{ lt: 25, points: 20 }, { lt: 40, points: 10 }, { lt: 60, points: 0 }], default: -10 },
+            marketCap: { metric: 'marketCap', buckets: [{ gt: 1000000, points: 20 }, { gt: 100000, points: 10 }], default: 0 }
+        }
+    },
+
+    // 1.0.0 plus rug-pull penalties from the safety checks
+    '1.2.0': {
+        cap: 100,
+        factors: {
+            verification: { metric: 'verified', buckets: [{ gt: 0, points: 50 }], default: 10 },
+            volume: { metric: 'volume24h', buckets: [{ gt: 100000, points: 20 }, { gt: 10000, points: 10 }], default: 0 },
+            holders: { metric: 'holdersAlive', buckets: [{ gt: 0, points: 20 }], default: 0 },
+            marketCap: { metric: 'marketCap', buckets: [{ gt: 100000, points: 10 }], default: 0 },
+            mintAuthority: { metric: 'mintAuthorityActive', buckets: [{ gt: 0, points: -30 }], default: 0 },
+            freezeAuthority: { metric: 'freezeAuthorityActive', buckets: [{ gt: 0, points: -20 }], default: 0 },
+            liquidityLock: { metric: 'lpSafePct', buckets: [{ lt: 50, points: -20 }, { lt: 90, points: -10 }], default: 0 },
+            tokenExtensions: { metric: 'riskyExtensions', buckets: [{ gt: 0, points: -25 }], default: 0 }
+        }
+    }
+};
+
+const DEFAULT_VERSION = '1.2.0';
+
+// Unknown versions fall back to the default model rather than scoring nothing
+const ACTIVE_VERSION = MODELS[config.KSCORE_MODEL_VERSION] ? config.KSCORE_MODEL_VERSION : DEFAULT_VERSION;
+
+// Metrics the scorer knows how to gather (see tasks/kScoreUpdater.js)
+const METRICS = [
+    'verified', 'volume24h', 'marketCap', 'holdersAlive', 'top10Pct', 'largestHolderPct',
+    'mintAuthorityActive', 'freezeAuthorityActive', 'lpSafePct', 'riskyExtensions'
+];
+
+// Metrics that come from services/safety.js
+const SAFETY_METRICS = ['mintAuthorityActive', 'freezeAuthorityActive', 'lpSafePct', 'riskyExtensions'];
+
+/**
+ * Returns a list of problems with a model definition (empty if valid).
+ * Used to vet ad-hoc models sent to the preview route.
+ */
+function validateModel(model) {
+    const errors = [];
+    if (!model || typeof model !== 'object') return ['Model must be an object'];
+    if (typeof model.cap !== 'number') errors.push('cap must be a number');
+    if (!model.factors || typeof model.factors !== 'object' || Object.keys(model.factors).length === 0) {
+        errors.push('factors must be a non-empty object');
+        return errors;
+    }
+
+    for (const [name, factor] of Object.entries(model.factors)) {
+        if (!factor || typeof factor !== 'object') {
+            errors.push(`${name}: factor must be an object`);
+            continue;
+        }
+        if (!METRICS.includes(factor.metric)) errors.push(`${name}: unknown metric '${factor.metric}'`);
+        if (!Array.isArray(factor.buckets)) {
+            errors.push(`${name}: buckets must be an array`);
+            continue;
+        }
+        factor.buckets.forEach((b, i) => {
+            if (!b || typeof b !== 'object') {
+                errors.push(`${name}.buckets[${i}]: bucket must be an object`);
+                return;
+            }
+            if (typeof b.points !== 'number') errors.push(`${name}.buckets[${i}]: points must be a number`);
+            if (typeof b.gt !== 'number' && typeof b.lt !== 'number') errors.push(`${name}.buckets[${i}]: needs 'gt' or 'lt'`);
+        });
+    }
+    return errors;
+}
+
+function getModel(version = ACTIVE_VERSION) {
+    return Object.hasOwn(MODELS, version) ? MODELS[version] : null;
+}
+
+module.exports = { MODELS, ACTIVE_VERSION, METRICS, SAFETY_METRICS, getModel, validateModel };
@@ -0,0 +1,39 @@
+/**
+ * Rate-Limit Tiers
+ * Requests without an API key are limited per IP at the 'anonymous' tier.
+ * Requests with a valid 'x-api-key' are limited per key at that key's tier.
+ * 'global' applies to every /api route (15 min window); 'strict' to search,
+ * writes and other expensive routes (1 min window).
+ * Nonce issuance is limited per IP whatever the tier, since every nonce is a
+ * stored row.
+ *
+ * Self-service keys (minted by any signed-in wallet) are limited per key and
+ * also per IP at their tier's limits, so rotating keys doesn't multiply one
+ * caller's allowance. Only admin-granted tiers are limited per key alone.
+ * Requests with an unknown key are counted per IP before the key lookup.
+ */
+
+const TIERS = {
+    anonymous: { global: 3000, strict: 150 },
+    free: { global: 6000, strict: 300 },
+    pro: { global: 30000, strict: 1500 },
+    partner: { global: 150000, strict: 7500 }
+};
+
+// Tier a signed-in user gets when minting their own key; others are admin-assigned
+const DEFAULT_KEY_TIER = 'free';
+const SELF_SERVE_TIERS = [DEFAULT_KEY_TIER];
+
+const GLOBAL_WINDOW_MS = 15 * 60 * 1000;
+const STRICT_WINDOW_MS = 1 * 60 * 1000;
+
+// Sign-in nonces per IP per STRICT_WINDOW_MS
+const NONCES_PER_IP = 10;
+
+// Rejected API keys per IP per STRICT_WINDOW_MS before lookups stop
+const INVALID_KEYS_PER_IP = 20;
+
+module.exports = {
+    TIERS, DEFAULT_KEY_TIER, SELF_SERVE_TIERS,
+    GLOBAL_WINDOW_MS, STRICT_WINDOW_MS, NONCES_PER_IP, INVALID_KEYS_PER_IP
+};
@@ -6,38 +6,101 @@ const config = require('./config/env');
 const { initDB } = require('./services/database');
 const { initRedis } = require('./services/redis');
 const tokenRoutes = require('./routes/tokens');
+const adminRoutes = require('./routes/admin');
+const streamRoutes = require('./routes/stream');
+const alertRoutes = require('./routes/alerts');
+const authRoutes = require('./routes/auth');
+const watchlistRoutes = require('./routes/watchlists');
+const portfolioRoutes = require('./routes/portfolio');
+const searchRoutes = require('./routes/search');
+const healthRoutes = require('./routes/health');
+const { httpMetrics, instrumentAxios } = require('./services/metrics');
+const { attachApiKey } = require('./services/auth');
+const {
+    TIERS, SELF_SERVE_TIERS, GLOBAL_WINDOW_MS, STRICT_WINDOW_MS, NONCES_PER_IP, INVALID_KEYS_PER_IP
+} = require('./config/rateLimits');
 
 // NOTE: Background tasks (metadataUpdater, etc.) are NO LONGER imported here.
 // They run in the separate 'worker' service defined in docker-compose.
 
 const app = express();
 
+// Count outbound DexScreener/HTTP calls for /metrics
+instrumentAxios();
+
 app.set('trust proxy', 1);
 
 // --- SECURITY & MIDDLEWARE ---
 app.use(helmet());
 app.use(cors({ origin: config.CORS_ORIGINS }));
 app.use(express.json());
+app.use(httpMetrics);
 
 // --- RATE LIMITING ---
+// Limits come from the caller's tier (config/rateLimits.js): anonymous callers
+// are counted per IP, API-key callers per key. Self-service keys are also
+// counted per IP, so minting several keys doesn't multiply the allowance.
+
+const tierOf = (req) => TIERS[req.apiKey?.tier] || TIERS.anonymous;
+const limitKey = (req) => (req.apiKey ? `key:${req.apiKey.id}` : req.ip);
+const isSelfServeKey = (req) => !!req.apiKey && SELF_SERVE_TIERS.includes(req.apiKey.tier);
+
+// 0. Key Lookup Limiter: runs before the lookup, counts only rejected keys per IP
+const keyLookupLimiter = rateLimit({
+    windowMs: STRICT_WINDOW_MS,
+    max: INVALID_KEYS_PER_IP,
+    keyGenerator: (req) => req.ip,
+    skip: (req) => !req.get('x-api-key'),
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    skipSuccessfulRequests: true,
+    message: { success: false, error: "Too many invalid API keys. Please wait a minute." }
+});
 
-// 1. Global Limiter: 3000 requests per 15 mins (Increased for scale)
+// 1. Global Limiter: every request, 15 min window
 const globalLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, 
-    max: 3000, 
+    windowMs: GLOBAL_WINDOW_MS, 
+    max: (req) => tierOf(req).global, 
+    keyGenerator: limitKey,
     standardHeaders: true,
     legacyHeaders: false,
     message: { success: false, error: "Too many requests, please try again later." }
 });
-app.use(globalLimiter);
+
+// 1b. Same window per IP for self-service keys
+const globalIpLimiter = rateLimit({
+    windowMs: GLOBAL_WINDOW_MS,
+    max: (req) => tierOf(req).global,
+    keyGenerator: (req) => req.ip,
+    skip: (req) => !isSelfServeKey(req),
+    message: { success: false, error: "Too many requests, please try again later." }
+});
 
 // 2. Strict Limiter: For Search & Updates
 const strictLimiter = rateLimit({
-    windowMs: 1 * 60 * 1000, 
-    max: 150, // Slight increase to handle bursts
+    windowMs: STRICT_WINDOW_MS, 
+    max: (req) => tierOf(req).strict,
+    keyGenerator: limitKey,
     message: { success: false, error: "Rate limit exceeded. Please slow down." }
 });
 
+// 2b. Same window per IP for self-service keys
+const strictIpLimiter = rateLimit({
+    windowMs: STRICT_WINDOW_MS,
+    max: (req) => tierOf(req).strict,
+    keyGenerator: (req) => req.ip,
+    skip: (req) => !isSelfServeKey(req),
+    message: { success: false, error: "Rate limit exceeded. Please slow down." }
+});
+const strict = [strictLimiter, strictIpLimiter];
+
+// 3. Nonce Limiter: per IP regardless of API key, each nonce is a stored row
+const nonceLimiter = rateLimit({
+    windowMs: STRICT_WINDOW_MS,
+    max: NONCES_PER_IP,
+    keyGenerator: (req) => req.ip,
+    message: { success: false, error: "Too many sign-in attempts. Please wait a minute." }
+});
+
 // --- INITIALIZATION ---
 
 async function startServer() {
@@ -48,15 +111,38 @@ async function startServer() {
 
         // 2. Dependencies
         const deps = { db, redis };
+
+        // Probes & metrics: registered before the limiters so they are never throttled
+        app.use(healthRoutes.init(deps));
         
-        // 3. Init Routes
+        // 3. Rate Limits (API keys must be resolved first to pick the tier;
+        // guessing keys is throttled per IP before any lookup)
+        app.use(keyLookupLimiter);
+        app.use(attachApiKey(db));
+        app.use(globalLimiter, globalIpLimiter);
+
+        // 4. Init Routes
         // Search and Write operations get strict limits
-        app.use('/api/request-update', strictLimiter);
-        app.use('/api/tokens', strictLimiter); 
+        app.use('/api/request-update', strict);
+        app.use('/api/tokens', strict); 
+        app.use('/api/admin', strict); // Also slows password guessing
+        app.use('/api/alerts', strict);
+        app.use('/api/auth', strict);
+        app.use('/api/auth/nonce', nonceLimiter);
+        app.use('/api/portfolio', strict); // Each miss costs RPC calls
+        app.use('/api/stream', strict); // Each one holds a connection open
         
+        app.use('/api/auth', authRoutes.init(deps));
+        app.use('/api/admin', adminRoutes.init(deps));
+        // Live updates (SSE) - replaces polling /api/tokens and /api/history
+        app.use('/api/stream', streamRoutes.init(deps));
+        app.use('/api/alerts', alertRoutes.init(deps));
+        app.use('/api/watchlists', watchlistRoutes.init(deps));
+        app.use('/api/portfolio', portfolioRoutes.init(deps));
+        app.use('/api/search', searchRoutes.init(deps));
         app.use('/api', tokenRoutes.init(deps));
 
-        // 4. Start Listener
+        // 5. Start Listener
         app.listen(config.PORT, () => {
             console.log(`🔥 HolDex API Node Online on port ${config.PORT}`);
             console.log(`🛡️  Mode: API Only (Workers decoupled)`);
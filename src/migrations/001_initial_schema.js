@@ -0,0 +1,356 @@
+/**
+ * 001 - Initial Schema
+ * Everything the old initSchema() created. Statements are idempotent so
+ * deployments that predate migrations adopt this as their baseline: existing
+ * tables are kept, missing columns are added, and tables still on the
+ * pre-refactor keys (pools by symbol, candles by symbol) are converted.
+ */
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+async function primaryKey(db, table) {
+    return db.get(`
+        SELECT c.conname, array_agg(a.attname::text ORDER BY a.attnum) AS cols
+        FROM pg_constraint c
+        JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+        WHERE c.conrelid = to_regclass($1) AND c.contype = 'p'
+        GROUP BY c.conname
+    `, [table]);
+}
+
+async function hasColumn(db, table, column) {
+    const row = await db.get(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2
+    `, [table, column]);
+    return !!row;
+}
+
+async function rekey(db, table, columns) {
+    const pk = await primaryKey(db, table);
+    if (pk && pk.cols.join(',') === columns.join(',')) return;
+
+    const match = columns.map(c => `a.${c} = b.${c}`).join(' AND ');
+    await db.exec(`DELETE FROM ${table} a USING ${table} b WHERE ${match} AND a.ctid < b.ctid;`);
+    if (pk) await db.exec(`ALTER TABLE ${table} DROP CONSTRAINT ${pk.conname};`);
+    await db.exec(`ALTER TABLE ${table} ADD PRIMARY KEY (${columns.join(', ')});`);
+}
+
+// Pre-refactor deployments keyed pools and candles by ticker symbol
+async function upgradeLegacyTables(db) {
+    const pools = await db.get(`SELECT to_regclass('pools') AS t`);
+    if (pools.t) {
+        await db.exec(`ALTER TABLE pools ADD COLUMN IF NOT EXISTS mint TEXT;`);
+        await db.exec(`DELETE FROM pools WHERE mint IS NULL;`);
+        await rekey(db, 'pools', ['mint']);
+    }
+
+    const candles = await db.get(`SELECT to_regclass('candles') AS t`);
+    if (candles.t && await hasColumn(db, 'candles', 'symbol')) {
+        await db.exec(`ALTER TABLE candles ADD COLUMN IF NOT EXISTS mint TEXT;`);
+        if (pools.t) {
+            await db.exec(`UPDATE candles c SET mint = p.mint FROM pools p WHERE c.mint IS NULL AND p.symbol = c.symbol;`);
+        }
+        // Candles whose symbol can't be traced to a mint are unusable
+        await db.exec(`DELETE FROM candles WHERE mint IS NULL;`);
+        await rekey(db, 'candles', ['mint', 'time']);
+        await db.exec(`ALTER TABLE candles DROP COLUMN symbol;`);
+    }
+}
+
+async function up(db) {
+    await upgradeLegacyTables(db);
+
+    // --- TOKENS TABLE ---
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS tokens (
+            mint TEXT PRIMARY KEY,
+            name TEXT,
+            ticker TEXT,
+            image TEXT,
+            banner TEXT,
+            description TEXT,
+            website TEXT,
+            twitter TEXT,
+            tweetUrl TEXT,
+            telegram TEXT,
+            marketCap DOUBLE PRECISION DEFAULT 0,
+            volume24h DOUBLE PRECISION DEFAULT 0,
+            priceUsd DOUBLE PRECISION DEFAULT 0,
+            change5m DOUBLE PRECISION DEFAULT 0,
+            change1h DOUBLE PRECISION DEFAULT 0,
+            change24h DOUBLE PRECISION DEFAULT 0,
+            timestamp BIGINT,
+            lastUpdated BIGINT,
+            last_k_calc BIGINT DEFAULT 0,
+            userPubkey TEXT,
+            hasCommunityUpdate BOOLEAN DEFAULT FALSE,
+            k_score INTEGER DEFAULT 0
+        );
+    `);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS last_holder_scan BIGINT;`);
+    // Last holder count (a full account scan) and when it was taken, recounted daily
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS holder_count INTEGER;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS holder_count_at BIGINT;`);
+
+    // Per-factor K-Score explanation and the model version that produced it
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS k_score_breakdown JSONB;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS k_score_version TEXT;`);
+
+    // Safety flags written by the K-Score cycle (services/safety.js).
+    // NULL = not checked yet / not applicable (e.g. no LP token on a bonding curve).
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS mint_authority_revoked BOOLEAN;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS freeze_authority_revoked BOOLEAN;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS lp_burned_pct DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS lp_locked_pct DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS has_transfer_fee BOOLEAN;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS has_permanent_delegate BOOLEAN;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS safety_checked_at BIGINT;`);
+
+    // --- POOLS TABLE ---
+    // Keyed by mint: the API queries history by mint, not by ticker.
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS pools (
+            mint TEXT PRIMARY KEY,
+            symbol TEXT,
+            pair_address TEXT,
+            base_vault TEXT,
+            quote_vault TEXT,
+            base_decimals INTEGER,
+            quote_decimals INTEGER,
+            quote_mint TEXT,
+            dex TEXT,
+            updated_at BIGINT
+        );
+    `);
+    // 'dex' tells the indexer how to read reserves (NULL = plain SPL vaults).
+    // Filled in by the pool discovery task.
+    await db.exec(`ALTER TABLE pools ADD COLUMN IF NOT EXISTS dex TEXT;`);
+    await db.exec(`ALTER TABLE pools ADD COLUMN IF NOT EXISTS updated_at BIGINT;`);
+    // Quote asset of the pool; the indexer converts prices to USD through it
+    await db.exec(`ALTER TABLE pools ADD COLUMN IF NOT EXISTS quote_mint TEXT;`);
+
+    // --- CANDLES TABLE ---
+    // Keyed by mint so two tokens named "PEPE" don't collide.
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS candles (
+            mint TEXT,
+            time BIGINT,
+            open DOUBLE PRECISION,
+            high DOUBLE PRECISION,
+            low DOUBLE PRECISION,
+            close DOUBLE PRECISION,
+            volume DOUBLE PRECISION DEFAULT 0,
+            close_native DOUBLE PRECISION,
+            quote_mint TEXT,
+            PRIMARY KEY (mint, time)
+        );
+    `);
+    await db.exec(`ALTER TABLE candles ADD COLUMN IF NOT EXISTS volume DOUBLE PRECISION DEFAULT 0;`);
+    // OHLC/volume are USD; close_native is the price in the pool's quote asset
+    await db.exec(`ALTER TABLE candles ADD COLUMN IF NOT EXISTS close_native DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE candles ADD COLUMN IF NOT EXISTS quote_mint TEXT;`);
+
+    // --- CANDLE ROLLUPS ---
+    // Higher timeframes (5m ... 1d), maintained incrementally by the price indexer.
+    // 'resolution' is the bucket size in seconds (see utils/candles.js).
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS candles_agg (
+            mint TEXT,
+            resolution INTEGER,
+            time BIGINT,
+            open DOUBLE PRECISION,
+            high DOUBLE PRECISION,
+            low DOUBLE PRECISION,
+            close DOUBLE PRECISION,
+            volume DOUBLE PRECISION DEFAULT 0,
+            close_native DOUBLE PRECISION,
+            quote_mint TEXT,
+            PRIMARY KEY (mint, resolution, time)
+        );
+    `);
+    await db.exec(`ALTER TABLE candles_agg ADD COLUMN IF NOT EXISTS close_native DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE candles_agg ADD COLUMN IF NOT EXISTS quote_mint TEXT;`);
+
+    // --- HOLDER SNAPSHOTS ---
+    // Concentration history written by the Holder Analytics task. Percentages are 0-100.
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS holder_snapshots (
+            mint TEXT,
+            time BIGINT,
+            supply DOUBLE PRECISION,
+            top10_pct DOUBLE PRECISION,
+            top20_pct DOUBLE PRECISION,
+            largest_holder_pct DOUBLE PRECISION,
+            holder_count INTEGER,
+            PRIMARY KEY (mint, time)
+        );
+    `);
+
+    // --- ALERTS ---
+    // User-registered conditions on a mint, delivered to a webhook.
+    // 'last_value' is the metric at the previous evaluation (for crossing/drop detection).
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS alerts (
+            id SERIAL PRIMARY KEY,
+            mint TEXT NOT NULL,
+            type TEXT NOT NULL,
+            threshold DOUBLE PRECISION NOT NULL,
+            webhook_url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            cooldown_seconds INTEGER DEFAULT 900,
+            active BOOLEAN DEFAULT TRUE,
+            last_value DOUBLE PRECISION,
+            last_triggered_at BIGINT,
+            created_at BIGINT
+        );
+    `);
+
+    // Delivery log. 'dedup_key' stops the same trigger being queued twice.
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS alert_deliveries (
+            id SERIAL PRIMARY KEY,
+            alert_id INTEGER REFERENCES alerts(id) ON DELETE CASCADE,
+            dedup_key TEXT UNIQUE,
+            payload JSONB,
+            status TEXT DEFAULT 'pending',
+            attempts INTEGER DEFAULT 0,
+            response_code INTEGER,
+            error TEXT,
+            next_attempt_at BIGINT,
+            created_at BIGINT,
+            delivered_at BIGINT
+        );
+    `);
+
+    // --- USERS & AUTH ---
+    // Wallet sign-in. Session tokens and API keys are stored as SHA-256 hashes.
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            pubkey TEXT PRIMARY KEY,
+            created_at BIGINT,
+            last_login_at BIGINT
+        );
+    `);
+    // One row per issued nonce: a wallet can have several pending and signs in with the one it got
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS auth_nonces (
+            nonce TEXT PRIMARY KEY,
+            pubkey TEXT NOT NULL,
+            issued_at BIGINT NOT NULL,
+            expires_at BIGINT NOT NULL
+        );
+    `);
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            pubkey TEXT REFERENCES users(pubkey) ON DELETE CASCADE,
+            created_at BIGINT,
+            expires_at BIGINT
+        );
+    `);
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id SERIAL PRIMARY KEY,
+            key_hash TEXT UNIQUE NOT NULL,
+            key_prefix TEXT,
+            pubkey TEXT REFERENCES users(pubkey) ON DELETE CASCADE,
+            name TEXT,
+            tier TEXT NOT NULL,
+            created_at BIGINT,
+            revoked_at BIGINT
+        );
+    `);
+
+    // --- WATCHLISTS ---
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS watchlists (
+            id SERIAL PRIMARY KEY,
+            pubkey TEXT REFERENCES users(pubkey) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            created_at BIGINT,
+            updated_at BIGINT,
+            UNIQUE (pubkey, name)
+        );
+    `);
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS watchlist_items (
+            watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE CASCADE,
+            mint TEXT NOT NULL,
+            added_at BIGINT,
+            PRIMARY KEY (watchlist_id, mint)
+        );
+    `);
+
+    // --- TOKEN UPDATES TABLE ---
+    // Community profile submissions, reviewed from the admin panel.
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS token_updates (
+            id SERIAL PRIMARY KEY,
+            mint TEXT NOT NULL,
+            banner TEXT,
+            description TEXT,
+            website TEXT,
+            twitter TEXT,
+            tweetUrl TEXT,
+            telegram TEXT,
+            signature TEXT,
+            payer TEXT,
+            submitted_by TEXT,
+            status TEXT DEFAULT 'pending',
+            submittedAt BIGINT,
+            reviewedAt BIGINT
+        );
+    `);
+    // Wallet that submitted the update (signed-in user)
+    await db.exec(`ALTER TABLE token_updates ADD COLUMN IF NOT EXISTS submitted_by TEXT;`);
+
+    // --- ADMIN AUDIT LOG ---
+    // Append-only record of every action taken through /api/admin.
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_audit_log (
+            id SERIAL PRIMARY KEY,
+            action TEXT NOT NULL,
+            mint TEXT,
+            target_id INTEGER,
+            details JSONB,
+            ip TEXT,
+            timestamp BIGINT
+        );
+    `);
+
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_candles_mint_time ON candles(mint, time DESC);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_tokens_kscore ON tokens(k_score);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_token_updates_status ON token_updates(status, submittedAt DESC);`);
+    // A payment signature can only ever back one submission
+    await db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_token_updates_signature ON token_updates(signature);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_alerts_mint_active ON alerts(mint) WHERE active = TRUE;`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_alert_deliveries_pending ON alert_deliveries(next_attempt_at) WHERE status IN ('pending', 'retrying');`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires ON auth_nonces(expires_at);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_pubkey ON sessions(pubkey);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_api_keys_pubkey ON api_keys(pubkey);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_admin_audit_time ON admin_audit_log(timestamp DESC);`);
+
+    // --- SEED SOL/USDC POOL ---
+    // Every SOL-quoted pair converts to USD through this pool
+    await db.run(`
+        INSERT INTO pools (mint, symbol, base_vault, quote_vault, base_decimals, quote_decimals, quote_mint)
+        VALUES ($1, 'SOL', 'DQyrAcCrDXQ7NeoqGgDCZwBvWDcYmFCjSb9JtteuvPpz', 'HLmqeL62xR1QoZ1HKKbXRrdN1p3ph9EHDW6o72a6WzGV', 9, 6, $2)
+        ON CONFLICT (mint) DO NOTHING;
+    `, [SOL_MINT, USDC_MINT]);
+    await db.run(`UPDATE pools SET quote_mint = $2 WHERE mint = $1 AND quote_mint IS NULL;`, [SOL_MINT, USDC_MINT]);
+}
+
+async function down(db) {
+    await db.exec(`
+        DROP TABLE IF EXISTS
+            admin_audit_log, token_updates, watchlist_items, watchlists,
+            api_keys, sessions, auth_nonces, users,
+            alert_deliveries, alerts, holder_snapshots,
+            candles_agg, candles, pools, tokens
+        CASCADE;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+/**
+ * 002 - Job Runs & Locks
+ * job_runs: one row per scheduled task execution (services/scheduler.js).
+ * status: running | success | failed | abandoned (holder died mid-run)
+ * job_locks: one row per task currently leased by a replica. 'holder' renews
+ * 'locked_until' (ms) while the job runs; an expired row is free to take, so
+ * a replica that dies mid-run hands the job over once its lease runs out.
+ */
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS job_runs (
+            id BIGSERIAL PRIMARY KEY,
+            job TEXT NOT NULL,
+            instance TEXT,
+            status TEXT NOT NULL,
+            started_at BIGINT NOT NULL,
+            finished_at BIGINT,
+            duration_ms INTEGER,
+            error TEXT
+        );
+    `);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job, started_at DESC);`);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS job_locks (
+            job TEXT PRIMARY KEY,
+            holder TEXT NOT NULL,
+            locked_until BIGINT NOT NULL
+        );
+    `);
+}
+
+async function down(db) {
+    await db.exec(`DROP TABLE IF EXISTS job_locks;`);
+    await db.exec(`DROP TABLE IF EXISTS job_runs;`);
+}
+
+module.exports = { up, down };
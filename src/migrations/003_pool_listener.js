@@ -0,0 +1,45 @@
+/**
+ * 003 - Pool Listener
+ * pending_pools: pools seen being created on-chain (tasks/poolListener.js)
+ *   whose token hasn't passed the market-cap / liquidity gate yet.
+ * listener_state: newest processed signature & slot per log source, so the
+ *   listener can backfill what it missed while disconnected.
+ */
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS pending_pools (
+            pair_address TEXT PRIMARY KEY,
+            mint TEXT NOT NULL,
+            dex TEXT NOT NULL,
+            base_vault TEXT,
+            quote_vault TEXT,
+            base_decimals INTEGER,
+            quote_decimals INTEGER,
+            quote_mint TEXT,
+            name TEXT,
+            ticker TEXT,
+            metadata_uri TEXT,
+            signature TEXT,
+            slot BIGINT,
+            detected_at BIGINT,
+            checked_at BIGINT
+        );
+    `);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_pending_pools_detected ON pending_pools(detected_at);`);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS listener_state (
+            source TEXT PRIMARY KEY,
+            last_signature TEXT,
+            last_slot BIGINT,
+            updated_at BIGINT
+        );
+    `);
+}
+
+async function down(db) {
+    await db.exec(`DROP TABLE IF EXISTS pending_pools, listener_state;`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,62 @@
+/**
+ * 004 - Trades
+ * One row per swap on an indexed pool (tasks/tradeIndexer.js). Amounts are
+ * in UI units; 'time' is the block time in unix seconds, like candles.
+ * Candles gain buy/sell counts and unique traders, derived from trades.
+ * Pools remember the newest signature scanned for trades, and the span of
+ * time they have every trade for: [trades_complete_from, trades_indexed_until),
+ * unix seconds. Candle stats are only rewritten from trades inside that span.
+ * listener_state.watermark: for the 'trade-finalizer:<resolution>' rows, the
+ * earliest bucket time whose candle stats still have to be rewritten, so
+ * whichever worker replica runs the job next picks up where the last one stopped.
+ */
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS trades (
+            signature TEXT NOT NULL,
+            mint TEXT NOT NULL,
+            pair_address TEXT,
+            slot BIGINT,
+            time BIGINT NOT NULL,
+            side TEXT NOT NULL,
+            base_amount DOUBLE PRECISION,
+            quote_amount DOUBLE PRECISION,
+            quote_mint TEXT,
+            price_usd DOUBLE PRECISION,
+            value_usd DOUBLE PRECISION,
+            trader TEXT,
+            PRIMARY KEY (signature, mint)
+        );
+    `);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_trades_mint_time ON trades(mint, time DESC, signature DESC);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_trades_trader ON trades(trader, time DESC);`);
+
+    for (const table of ['candles', 'candles_agg']) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS buys INTEGER DEFAULT 0;`);
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS sells INTEGER DEFAULT 0;`);
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS traders INTEGER DEFAULT 0;`);
+    }
+
+    await db.exec(`ALTER TABLE pools ADD COLUMN IF NOT EXISTS last_trade_signature TEXT;`);
+    await db.exec(`ALTER TABLE pools ADD COLUMN IF NOT EXISTS last_trade_scan BIGINT;`);
+    await db.exec(`ALTER TABLE pools ADD COLUMN IF NOT EXISTS trades_complete_from BIGINT;`);
+    await db.exec(`ALTER TABLE pools ADD COLUMN IF NOT EXISTS trades_indexed_until BIGINT;`);
+
+    await db.exec(`ALTER TABLE listener_state ADD COLUMN IF NOT EXISTS watermark BIGINT;`);
+}
+
+async function down(db) {
+    await db.exec(`DELETE FROM listener_state WHERE source LIKE 'trade-finalizer:%';`);
+    await db.exec(`ALTER TABLE listener_state DROP COLUMN IF EXISTS watermark;`);
+    await db.exec(`
+        ALTER TABLE pools DROP COLUMN IF EXISTS last_trade_signature, DROP COLUMN IF EXISTS last_trade_scan,
+        DROP COLUMN IF EXISTS trades_complete_from, DROP COLUMN IF EXISTS trades_indexed_until;
+    `);
+    for (const table of ['candles', 'candles_agg']) {
+        await db.exec(`ALTER TABLE ${table} DROP COLUMN IF EXISTS buys, DROP COLUMN IF EXISTS sells, DROP COLUMN IF EXISTS traders;`);
+    }
+    await db.exec(`DROP TABLE IF EXISTS trades;`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+/**
+ * 005 - Token Search
+ * Trigram indexes for ranked / fuzzy ticker & name search (services/search.js).
+ * They serve ILIKE/LIKE '%x%', prefix matches and the pg_trgm '%' operator.
+ */
+
+async function up(db) {
+    await db.exec(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_tokens_ticker_trgm ON tokens USING GIN (lower(ticker) gin_trgm_ops);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_tokens_name_trgm ON tokens USING GIN (lower(name) gin_trgm_ops);`);
+}
+
+async function down(db) {
+    await db.exec(`DROP INDEX IF EXISTS idx_tokens_ticker_trgm, idx_tokens_name_trgm;`);
+}
+
+module.exports = { up, down };
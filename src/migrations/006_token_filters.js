@@ -0,0 +1,32 @@
+/**
+ * 006 - Token Filters
+ * Liquidity and DEX of each token's best pair (written by the Metadata Updater)
+ * for /api/tokens range filters, plus keyset indexes for the list sorts.
+ * The indexed expressions must match SORTS in routes/tokens.js (the busiest
+ * sorts only; every index slows the metadata writes).
+ */
+
+const SORT_INDEXES = {
+    idx_tokens_sort_newest: 'COALESCE(timestamp, 0)',
+    idx_tokens_sort_kscore: 'COALESCE(k_score, 0)',
+    idx_tokens_sort_mcap: 'COALESCE(marketCap, 0)',
+    idx_tokens_sort_volume: 'COALESCE(volume24h, 0)',
+    idx_tokens_sort_liquidity: 'COALESCE(liquidity, 0)',
+    idx_tokens_sort_change24h: 'COALESCE(change24h, 0)'
+};
+
+async function up(db) {
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS liquidity DOUBLE PRECISION DEFAULT 0;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS dex TEXT;`);
+
+    for (const [name, expr] of Object.entries(SORT_INDEXES)) {
+        await db.exec(`CREATE INDEX IF NOT EXISTS ${name} ON tokens ((${expr}) DESC, mint DESC);`);
+    }
+}
+
+async function down(db) {
+    await db.exec(`DROP INDEX IF EXISTS ${Object.keys(SORT_INDEXES).join(', ')};`);
+    await db.exec(`ALTER TABLE tokens DROP COLUMN IF EXISTS dex, DROP COLUMN IF EXISTS liquidity;`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,57 @@
+/**
+ * 007 - Pair Snapshots & Supply
+ * Latest provider data per trading pair of a token (Metadata Updater), so the
+ * token detail route never calls a provider. A pair whose pair_address matches
+ * pools.pair_address is the one we index on-chain (candles, trades).
+ * Tokens gain FDV and on-chain supply (Holder Analytics): circulating =
+ * supply - burned - locked, and marketCap becomes price * circulating when known.
+ * tokens.liquidity becomes the total across all pairs.
+ */
+
+async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS pair_snapshots (
+            pair_address TEXT PRIMARY KEY,
+            mint TEXT NOT NULL,
+            dex_id TEXT,
+            quote_mint TEXT,
+            quote_symbol TEXT,
+            price_usd DOUBLE PRECISION,
+            price_native DOUBLE PRECISION,
+            liquidity_usd DOUBLE PRECISION,
+            liquidity_base DOUBLE PRECISION,
+            liquidity_quote DOUBLE PRECISION,
+            volume24h DOUBLE PRECISION,
+            buys24h INTEGER,
+            sells24h INTEGER,
+            fdv DOUBLE PRECISION,
+            market_cap DOUBLE PRECISION,
+            pair_created_at BIGINT,
+            source TEXT,
+            updated_at BIGINT
+        );
+    `);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_pair_snapshots_mint ON pair_snapshots(mint, liquidity_usd DESC);`);
+
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS fdv DOUBLE PRECISION DEFAULT 0;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS total_supply DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS circulating_supply DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS burned_supply DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS locked_supply DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS supply_checked_at BIGINT;`);
+}
+
+async function down(db) {
+    await db.exec(`
+        ALTER TABLE tokens
+            DROP COLUMN IF EXISTS fdv,
+            DROP COLUMN IF EXISTS total_supply,
+            DROP COLUMN IF EXISTS circulating_supply,
+            DROP COLUMN IF EXISTS burned_supply,
+            DROP COLUMN IF EXISTS locked_supply,
+            DROP COLUMN IF EXISTS supply_checked_at;
+    `);
+    await db.exec(`DROP TABLE IF EXISTS pair_snapshots;`);
+}
+
+module.exports = { up, down };
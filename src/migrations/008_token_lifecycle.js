@@ -0,0 +1,55 @@
+/**
+ * 008 - Token Lifecycle
+ * tokens.lifecycle: 'bonding' (pump.fun curve still trading), 'migrating'
+ *   (curve complete, AMM pool not seen yet), 'graduated' (trading on an AMM,
+ *   including tokens that never had a curve) or 'dead'. NULL = not classified
+ *   yet. Maintained by tasks/lifecycleTracker.js.
+ * token_events: per-token timeline (created, graduated, mcap_100k,
+ *   liquidity_pull). One-off milestones are unique per token.
+ */
+
+async function up(db) {
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS lifecycle TEXT;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS bonding_progress DOUBLE PRECISION;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS lifecycle_checked_at BIGINT;`);
+    // Liquidity at the previous lifecycle pass, to spot pulls between passes
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS last_seen_liquidity DOUBLE PRECISION;`);
+
+    // sort=graduating (routes/tokens.js SORTS)
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_tokens_sort_graduating
+        ON tokens ((COALESCE(bonding_progress, 0)) DESC, mint DESC)
+        WHERE lifecycle = 'bonding';
+    `);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS token_events (
+            id BIGSERIAL PRIMARY KEY,
+            mint TEXT NOT NULL,
+            type TEXT NOT NULL,
+            time BIGINT NOT NULL,
+            signature TEXT,
+            data JSONB
+        );
+    `);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_token_events_mint_time ON token_events(mint, time DESC, id DESC);`);
+    await db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_token_events_milestone
+        ON token_events(mint, type)
+        WHERE type IN ('created', 'graduated', 'mcap_100k');
+    `);
+}
+
+async function down(db) {
+    await db.exec(`DROP TABLE IF EXISTS token_events;`);
+    await db.exec(`DROP INDEX IF EXISTS idx_tokens_sort_graduating;`);
+    await db.exec(`
+        ALTER TABLE tokens
+            DROP COLUMN IF EXISTS lifecycle,
+            DROP COLUMN IF EXISTS bonding_progress,
+            DROP COLUMN IF EXISTS lifecycle_checked_at,
+            DROP COLUMN IF EXISTS last_seen_liquidity;
+    `);
+}
+
+module.exports = { up, down };
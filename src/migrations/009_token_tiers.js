@@ -0,0 +1,42 @@
+/**
+ * 009 - Token Tiers & Archive
+ * tokens.activity_tier ('hot' / 'warm' / 'cold') sets how often the Metadata
+ * Updater refreshes a token; next_refresh_at is when it is due.
+ * zero_activity_since: first refresh that saw no volume and no liquidity
+ * (cleared by any activity). last_trade_at (ms) comes from the Trade Indexer.
+ * tokens_archive: tokens inactive for too long, stored whole as JSONB so the
+ * row survives later column changes and restores with jsonb_populate_record.
+ */
+
+async function up(db) {
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS activity_tier TEXT;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS next_refresh_at BIGINT;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS zero_activity_since BIGINT;`);
+    await db.exec(`ALTER TABLE tokens ADD COLUMN IF NOT EXISTS last_trade_at BIGINT;`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_tokens_next_refresh ON tokens(next_refresh_at NULLS FIRST, mint);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_tokens_zero_activity ON tokens(zero_activity_since) WHERE zero_activity_since IS NOT NULL;`);
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS tokens_archive (
+            mint TEXT PRIMARY KEY,
+            data JSONB NOT NULL,
+            archived_at BIGINT NOT NULL
+        );
+    `);
+    // Exact-ticker lookups when a search misses the live table
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_tokens_archive_ticker ON tokens_archive(lower(data->>'ticker'));`);
+}
+
+async function down(db) {
+    await db.exec(`DROP TABLE IF EXISTS tokens_archive;`);
+    await db.exec(`DROP INDEX IF EXISTS idx_tokens_next_refresh, idx_tokens_zero_activity;`);
+    await db.exec(`
+        ALTER TABLE tokens
+            DROP COLUMN IF EXISTS activity_tier,
+            DROP COLUMN IF EXISTS next_refresh_at,
+            DROP COLUMN IF EXISTS zero_activity_since,
+            DROP COLUMN IF EXISTS last_trade_at;
+    `);
+}
+
+module.exports = { up, down };
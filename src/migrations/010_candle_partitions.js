@@ -0,0 +1,52 @@
+/**
+ * 010 - Candle Partitions
+ * Rebuilds 'candles' as a table range-partitioned by time, one partition per
+ * UTC day (candles_pYYYYMMDD), so retention can drop whole days instead of
+ * deleting rows. Rows outside every partition land in candles_default.
+ * Partitions cover the existing data through a week ahead; the Candle
+ * Maintenance task keeps creating them after that.
+ * Also indexes candles_agg by (resolution, time) for retention deletes.
+ */
+
+const DAY_SECONDS = 86400;
+const DAYS_AHEAD = 7;
+
+const partitionName = (dayStart) => `candles_p${new Date(dayStart * 1000).toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+async function up(db) {
+    await db.exec(`CREATE TABLE candles_partitioned (LIKE candles INCLUDING DEFAULTS) PARTITION BY RANGE (time);`);
+
+    const range = await db.get(`SELECT MIN(time) AS min, MAX(time) AS max FROM candles`);
+    const now = Math.floor(Date.now() / 1000);
+    const today = now - (now % DAY_SECONDS);
+    const first = range?.min !== null && range?.min !== undefined ? Number(range.min) - (Number(range.min) % DAY_SECONDS) : today - DAY_SECONDS;
+
+    for (let day = Math.min(first, today); day <= today + DAYS_AHEAD * DAY_SECONDS; day += DAY_SECONDS) {
+        await db.exec(`
+            CREATE TABLE ${partitionName(day)} PARTITION OF candles_partitioned
+            FOR VALUES FROM (${day}) TO (${day + DAY_SECONDS});
+        `);
+    }
+    await db.exec(`CREATE TABLE candles_default PARTITION OF candles_partitioned DEFAULT;`);
+
+    await db.exec(`INSERT INTO candles_partitioned SELECT * FROM candles;`);
+    await db.exec(`DROP TABLE candles;`);
+    await db.exec(`ALTER TABLE candles_partitioned RENAME TO candles;`);
+    await db.exec(`ALTER TABLE candles ADD PRIMARY KEY (mint, time);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_candles_mint_time ON candles(mint, time DESC);`);
+
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_candles_agg_resolution_time ON candles_agg(resolution, time);`);
+}
+
+async function down(db) {
+    await db.exec(`DROP INDEX IF EXISTS idx_candles_agg_resolution_time;`);
+
+    await db.exec(`CREATE TABLE candles_plain (LIKE candles INCLUDING DEFAULTS);`);
+    await db.exec(`INSERT INTO candles_plain SELECT * FROM candles;`);
+    await db.exec(`DROP TABLE candles CASCADE;`);
+    await db.exec(`ALTER TABLE candles_plain RENAME TO candles;`);
+    await db.exec(`ALTER TABLE candles ADD PRIMARY KEY (mint, time);`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_candles_mint_time ON candles(mint, time DESC);`);
+}
+
+module.exports = { up, down };
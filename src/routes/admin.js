@@ -0,0 +1,341 @@
+/**
+ * Admin Routes
+ * Backs the moderator panel (submissions.html).
+ * Every request must carry the shared ADMIN_PASSWORD in the 'x-admin-auth' header.
+ * Every mutating action is recorded in admin_audit_log.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config/env');
+const { isValidPubkey } = require('../utils/solana');
+const { invalidateTokens } = require('../services/cache');
+const { logger } = require('../services');
+const kScoreUpdater = require('../tasks/kScoreUpdater');
+const { MODELS, ACTIVE_VERSION, validateModel } = require('../config/kscore');
+const { TIERS } = require('../config/rateLimits');
+const { forgetApiKeys } = require('../services/auth');
+
+const router = express.Router();
+
+// Constant-time compare so the password can't be guessed byte by byte
+function isAuthorized(provided) {
+    if (!provided || typeof provided !== 'string') return false;
+    const a = Buffer.from(provided);
+    const b = Buffer.from(config.ADMIN_PASSWORD);
+    if (a.length !== b.length) return false;
+    return crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+    if (!isAuthorized(req.get('x-admin-auth'))) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    next();
+}
+
+async function logAction(db, req, action, { mint = null, targetId = null, details = null } = {}) {
+    try {
+        await db.run(`
+            INSERT INTO admin_audit_log (action, mint, target_id, details, ip, timestamp)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [action, mint, targetId, details ? JSON.stringify(details) : null, req.ip, Date.now()]);
+    } catch (e) {
+        logger.error(`[Admin] Audit log write failed for ${action}: ${e.message}`);
+    }
+}
+
+function formatRun(r) {
+    return {
+        id: parseInt(r.id),
+        job: r.job,
+        instance: r.instance,
+        status: r.status,
+        startedAt: parseInt(r.started_at),
+        finishedAt: r.finished_at ? parseInt(r.finished_at) : null,
+        durationMs: r.duration_ms,
+        error: r.error
+    };
+}
+
+function init(deps) {
+    const { db } = deps;
+
+    router.use(requireAdmin);
+
+    // --- UPDATE QUEUE ---
+    // Default: pending submissions (oldest first). ?type=history: reviewed ones (newest first).
+    router.get('/updates', async (req, res) => {
+        const isHistory = req.query.type === 'history';
+        try {
+            const updates = await db.all(`
+                SELECT u.id, u.mint, u.banner, u.description, u.website, u.twitter,
+                       u.tweetUrl AS "tweetUrl", u.telegram, u.signature, u.payer, u.submitted_by AS "submittedBy", u.status,
+                       u.submittedAt AS "submittedAt", u.reviewedAt AS "reviewedAt",
+                       t.ticker, t.name, t.image
+                FROM token_updates u
+                LEFT JOIN tokens t ON t.mint = u.mint
+                WHERE ${isHistory ? `u.status <> 'pending'` : `u.status = 'pending'`}
+                ORDER BY ${isHistory ? 'u.reviewedAt DESC' : 'u.submittedAt ASC'}
+                LIMIT 200
+            `);
+            res.json({ success: true, updates });
+        } catch (e) {
+            logger.error(`[Admin] Fetch updates failed: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.post('/approve-update', async (req, res) => {
+        const id = parseInt(req.body?.id);
+        if (!id) return res.status(400).json({ success: false, error: 'Missing update id' });
+
+        try {
+            // Claiming the pending row and applying it is one statement, so two
+            // admins approving at once (or an approve racing a reject) apply it at most once.
+            // Only overwrite fields the submitter actually provided.
+            const now = Date.now();
+            const update = await db.get(`
+                WITH claimed AS (
+                    UPDATE token_updates SET status = 'approved', reviewedAt = $1
+                    WHERE id = $2 AND status = 'pending'
+                    RETURNING *
+                ), applied AS (
+                    UPDATE tokens SET
+                        banner = COALESCE(c.banner, tokens.banner),
+                        description = COALESCE(c.description, tokens.description),
+                        website = COALESCE(c.website, tokens.website),
+                        twitter = COALESCE(c.twitter, tokens.twitter),
+                        tweetUrl = COALESCE(c.tweetUrl, tokens.tweetUrl),
+                        telegram = COALESCE(c.telegram, tokens.telegram),
+                        userPubkey = COALESCE(c.submitted_by, tokens.userPubkey),
+                        hasCommunityUpdate = TRUE,
+                        lastUpdated = $1
+                    FROM claimed c
+                    WHERE tokens.mint = c.mint
+                )
+                SELECT mint FROM claimed
+            `, [now, id]);
+            if (!update) return res.status(404).json({ success: false, error: 'Update not found or already reviewed' });
+
+            const score = await kScoreUpdater.updateSingleToken(deps, update.mint);
+            await invalidateTokens([update.mint]);
+            await logAction(db, req, 'approve-update', { mint: update.mint, targetId: id, details: { kScore: score } });
+
+            res.json({ success: true, kScore: score });
+        } catch (e) {
+            logger.error(`[Admin] Approve failed for update ${id}: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.post('/reject-update', async (req, res) => {
+        const id = parseInt(req.body?.id);
+        if (!id) return res.status(400).json({ success: false, error: 'Missing update id' });
+
+        try {
+            const result = await db.run(`
+                UPDATE token_updates SET status = 'rejected', reviewedAt = $1
+                WHERE id = $2 AND status = 'pending'
+            `, [Date.now(), id]);
+
+            if (result.rowCount === 0) return res.status(404).json({ success: false, error: 'Update not found or already reviewed' });
+
+            await logAction(db, req, 'reject-update', { targetId: id });
+            res.json({ success: true });
+        } catch (e) {
+            logger.error(`[Admin] Reject failed for update ${id}: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // --- TOKEN MANAGEMENT ---
+    router.get('/token/:mint', async (req, res) => {
+        const { mint } = req.params;
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+
+        try {
+            const token = await db.get('SELECT * FROM tokens WHERE mint = $1', [mint]);
+            if (!token) return res.status(404).json({ success: false, error: 'Token not found' });
+            res.json({ success: true, token });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.post('/update-token', async (req, res) => {
+        const { mint, twitter, website, telegram, banner, description } = req.body || {};
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+
+        try {
+            // Admin edits are authoritative: empty strings clear the field
+            const result = await db.run(`
+                UPDATE tokens SET
+                    twitter = $1, website = $2, telegram = $3, banner = $4, description = $5,
+                    lastUpdated = $6
+                WHERE mint = $7
+            `, [twitter || null, website || null, telegram || null, banner || null, description || null, Date.now(), mint]);
+
+            if (result.rowCount === 0) return res.status(404).json({ success: false, error: 'Token not found' });
+
+            await invalidateTokens([mint]);
+            await logAction(db, req, 'update-token', { mint, details: { twitter, website, telegram, banner, description } });
+            res.json({ success: true });
+        } catch (e) {
+            logger.error(`[Admin] Update token failed for ${mint}: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.post('/delete-token', async (req, res) => {
+        const { mint } = req.body || {};
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+
+        try {
+            const token = await db.get('SELECT ticker, name FROM tokens WHERE mint = $1', [mint]);
+            if (!token) return res.status(404).json({ success: false, error: 'Token not found' });
+
+            await db.run('DELETE FROM tokens WHERE mint = $1', [mint]);
+            await db.run('DELETE FROM pools WHERE mint = $1', [mint]);
+            await db.run('DELETE FROM candles WHERE mint = $1', [mint]);
+            await db.run(`UPDATE token_updates SET status = 'rejected', reviewedAt = $1 WHERE mint = $2 AND status = 'pending'`, [Date.now(), mint]);
+
+            await invalidateTokens([mint]);
+            await logAction(db, req, 'delete-token', { mint, details: token });
+            res.json({ success: true });
+        } catch (e) {
+            logger.error(`[Admin] Delete token failed for ${mint}: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.post('/refresh-kscore', async (req, res) => {
+        const { mint } = req.body || {};
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+
+        try {
+            const token = await db.get('SELECT mint FROM tokens WHERE mint = $1', [mint]);
+            if (!token) return res.status(404).json({ success: false, error: 'Token not found' });
+
+            const score = await kScoreUpdater.updateSingleToken(deps, mint);
+            await invalidateTokens([mint]);
+            await logAction(db, req, 'refresh-kscore', { mint, details: { kScore: score } });
+            res.json({ success: true, kScore: score, message: `K-Score updated: ${score}` });
+        } catch (e) {
+            logger.error(`[Admin] K-Score refresh failed for ${mint}: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // --- API KEYS ---
+    router.post('/api-key-tier', async (req, res) => {
+        const id = parseInt(req.body?.id);
+        const { tier } = req.body || {};
+        if (!id) return res.status(400).json({ success: false, error: 'Missing key id' });
+        if (!TIERS[tier] || tier === 'anonymous') {
+            return res.status(400).json({ success: false, error: `tier must be one of: ${Object.keys(TIERS).filter(t => t !== 'anonymous').join(', ')}` });
+        }
+
+        try {
+            const result = await db.run(`UPDATE api_keys SET tier = $1 WHERE id = $2`, [tier, id]);
+            if (result.rowCount === 0) return res.status(404).json({ success: false, error: 'Key not found' });
+
+            forgetApiKeys();
+            await logAction(db, req, 'api-key-tier', { targetId: id, details: { tier } });
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // --- K-SCORE MODELS ---
+    router.get('/kscore/models', (req, res) => {
+        res.json({ success: true, active: ACTIVE_VERSION, models: MODELS });
+    });
+
+    // Dry-runs a weighting against the current DB. Body: { version } for a
+    // defined model, or { model } for an ad-hoc definition, plus an optional
+    // { limit } on the tokens sampled (default 500, max 2000). Writes nothing.
+    router.post('/kscore/preview', async (req, res) => {
+        const { version, model, limit } = req.body || {};
+
+        try {
+            let candidate = null;
+            let label = version;
+            if (model) {
+                const errors = validateModel(model);
+                if (errors.length > 0) return res.status(400).json({ success: false, error: 'Invalid model', details: errors });
+                candidate = model;
+                label = 'custom';
+            } else {
+                // Own keys only, so 'constructor' & co. aren't models
+                candidate = Object.hasOwn(MODELS, version) ? MODELS[version] : null;
+                if (!candidate) return res.status(404).json({ success: false, error: `Unknown model version '${version}'` });
+            }
+
+            const preview = await kScoreUpdater.previewModel(deps, candidate, label, limit);
+            await logAction(db, req, 'kscore-preview', { details: { model: label, tokens: preview.tokens, eligible: preview.eligible, changed: preview.changed } });
+            res.json({ success: true, active: ACTIVE_VERSION, preview });
+        } catch (e) {
+            logger.error(`[Admin] K-Score preview failed: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // --- WORKER JOBS ---
+    // Latest run of every scheduled job plus 24h totals; ?job=name for its recent history
+    router.get('/jobs', async (req, res) => {
+        const { job } = req.query;
+
+        try {
+            if (job) {
+                const runs = await db.all(`
+                    SELECT id, job, instance, status, started_at, finished_at, duration_ms, error
+                    FROM job_runs WHERE job = $1
+                    ORDER BY started_at DESC
+                    LIMIT 100
+                `, [job]);
+                return res.json({ success: true, job, runs: runs.map(formatRun) });
+            }
+
+            const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+            const [latest, totals] = await Promise.all([
+                db.all(`
+                    SELECT DISTINCT ON (job) id, job, instance, status, started_at, finished_at, duration_ms, error
+                    FROM job_runs
+                    ORDER BY job, started_at DESC
+                `),
+                db.all(`
+                    SELECT job,
+                        COUNT(*)::int AS runs,
+                        COUNT(*) FILTER (WHERE status = 'failed')::int AS failures,
+                        AVG(duration_ms)::int AS avg_duration_ms,
+                        MAX(started_at) FILTER (WHERE status = 'success') AS last_success_at
+                    FROM job_runs
+                    WHERE started_at > $1
+                    GROUP BY job
+                `, [dayAgo])
+            ]);
+
+            const totalsByJob = new Map(totals.map(t => [t.job, t]));
+            res.json({
+                success: true,
+                jobs: latest.map(r => {
+                    const t = totalsByJob.get(r.job);
+                    return {
+                        job: r.job,
+                        lastRun: formatRun(r),
+                        lastSuccessAt: t?.last_success_at ? parseInt(t.last_success_at) : null,
+                        last24h: { runs: t?.runs || 0, failures: t?.failures || 0, avgDurationMs: t?.avg_duration_ms ?? null }
+                    };
+                })
+            });
+        } catch (e) {
+            logger.error(`[Admin] Job status failed: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { init };
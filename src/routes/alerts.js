@@ -0,0 +1,207 @@
+/**
+ * Alert Routes
+ * CRUD for price / market-cap / K-Score alerts delivered to webhooks.
+ * Creating an alert returns a secret. It signs every webhook payload
+ * (HMAC-SHA256 over "<timestamp>.<body>") and must be sent back in the
+ * 'x-alert-secret' header to read, change or delete the alert.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config/env');
+const { isValidPubkey } = require('../utils/solana');
+const { isPrivateHost } = require('../utils/network');
+const { ALERT_TYPES } = require('../tasks/alertEngine');
+
+const router = express.Router();
+
+const MIN_COOLDOWN_SECONDS = 60;
+const MAX_COOLDOWN_SECONDS = 7 * 24 * 3600;
+const MAX_ALERTS_PER_WEBHOOK = 100;
+
+function validateWebhook(value) {
+    if (!value || typeof value !== 'string' || value.length > 500) return 'webhookUrl is required';
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return 'webhookUrl is not a valid URL';
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'webhookUrl must be http(s)';
+    if (!config.ALERTS_ALLOW_PRIVATE_WEBHOOKS && isPrivateHost(url.hostname)) return 'webhookUrl must be publicly reachable';
+    return null;
+}
+
+function formatAlert(a) {
+    return {
+        id: a.id,
+        mint: a.mint,
+        type: a.type,
+        threshold: a.threshold,
+        webhookUrl: a.webhook_url,
+        cooldownSeconds: a.cooldown_seconds,
+        active: a.active,
+        lastValue: a.last_value,
+        lastTriggeredAt: a.last_triggered_at ? parseInt(a.last_triggered_at) : null,
+        createdAt: a.created_at ? parseInt(a.created_at) : null
+    };
+}
+
+function init(deps) {
+    const { db } = deps;
+
+    // Loads the alert and checks the caller holds its secret
+    async function loadOwnedAlert(req, res) {
+        const id = parseInt(req.params.id);
+        if (!id) {
+            res.status(400).json({ success: false, error: 'Invalid alert id' });
+            return null;
+        }
+
+        const alert = await db.get('SELECT * FROM alerts WHERE id = $1', [id]);
+        const provided = req.get('x-alert-secret') || '';
+        const authorized = alert && provided.length === alert.secret.length &&
+            crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(alert.secret));
+
+        if (!authorized) {
+            // Same response for "missing" and "wrong secret" so ids can't be probed
+            res.status(404).json({ success: false, error: 'Alert not found' });
+            return null;
+        }
+        return alert;
+    }
+
+    router.post('/', async (req, res) => {
+        const { mint, type, threshold, webhookUrl, cooldownSeconds = 900 } = req.body || {};
+
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+        if (!ALERT_TYPES.includes(type)) return res.status(400).json({ success: false, error: `type must be one of: ${ALERT_TYPES.join(', ')}` });
+        if (typeof threshold !== 'number' || !isFinite(threshold)) return res.status(400).json({ success: false, error: 'threshold must be a number' });
+        if (type === 'kscore_drop' && threshold <= 0) return res.status(400).json({ success: false, error: 'kscore_drop threshold must be positive' });
+
+        const webhookError = validateWebhook(webhookUrl);
+        if (webhookError) return res.status(400).json({ success: false, error: webhookError });
+
+        const cooldown = parseInt(cooldownSeconds);
+        if (!(cooldown >= MIN_COOLDOWN_SECONDS && cooldown <= MAX_COOLDOWN_SECONDS)) {
+            return res.status(400).json({ success: false, error: `cooldownSeconds must be between ${MIN_COOLDOWN_SECONDS} and ${MAX_COOLDOWN_SECONDS}` });
+        }
+
+        try {
+            const token = await db.get('SELECT mint FROM tokens WHERE mint = $1', [mint]);
+            if (!token) return res.status(404).json({ success: false, error: 'Token not indexed' });
+
+            const count = await db.get('SELECT COUNT(*)::int AS n FROM alerts WHERE webhook_url = $1', [webhookUrl]);
+            if (count.n >= MAX_ALERTS_PER_WEBHOOK) {
+                return res.status(429).json({ success: false, error: 'Too many alerts for this webhook' });
+            }
+
+            const secret = crypto.randomBytes(32).toString('hex');
+            const alert = await db.get(`
+                INSERT INTO alerts (mint, type, threshold, webhook_url, secret, cooldown_seconds, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `, [mint, type, threshold, webhookUrl, secret, cooldown, Date.now()]);
+
+            // The secret is only ever returned here
+            res.status(201).json({ success: true, alert: formatAlert(alert), secret });
+        } catch (e) {
+            console.error("Create Alert Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const alert = await loadOwnedAlert(req, res);
+            if (!alert) return;
+            res.json({ success: true, alert: formatAlert(alert) });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.patch('/:id', async (req, res) => {
+        const { threshold, webhookUrl, cooldownSeconds, active } = req.body || {};
+
+        try {
+            const alert = await loadOwnedAlert(req, res);
+            if (!alert) return;
+
+            if (threshold !== undefined && (typeof threshold !== 'number' || !isFinite(threshold))) {
+                return res.status(400).json({ success: false, error: 'threshold must be a number' });
+            }
+            if (webhookUrl !== undefined) {
+                const webhookError = validateWebhook(webhookUrl);
+                if (webhookError) return res.status(400).json({ success: false, error: webhookError });
+            }
+            const cooldown = cooldownSeconds !== undefined ? parseInt(cooldownSeconds) : alert.cooldown_seconds;
+            if (!(cooldown >= MIN_COOLDOWN_SECONDS && cooldown <= MAX_COOLDOWN_SECONDS)) {
+                return res.status(400).json({ success: false, error: `cooldownSeconds must be between ${MIN_COOLDOWN_SECONDS} and ${MAX_COOLDOWN_SECONDS}` });
+            }
+
+            const updated = await db.get(`
+                UPDATE alerts SET threshold = $1, webhook_url = $2, cooldown_seconds = $3, active = $4
+                WHERE id = $5
+                RETURNING *
+            `, [
+                threshold ?? alert.threshold,
+                webhookUrl ?? alert.webhook_url,
+                cooldown,
+                typeof active === 'boolean' ? active : alert.active,
+                alert.id
+            ]);
+
+            res.json({ success: true, alert: formatAlert(updated) });
+        } catch (e) {
+            console.error("Update Alert Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const alert = await loadOwnedAlert(req, res);
+            if (!alert) return;
+            await db.run('DELETE FROM alerts WHERE id = $1', [alert.id]);
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // --- DELIVERY LOG ---
+    router.get('/:id/deliveries', async (req, res) => {
+        try {
+            const alert = await loadOwnedAlert(req, res);
+            if (!alert) return;
+
+            const deliveries = await db.all(`
+                SELECT id, payload, status, attempts, response_code, error, created_at, delivered_at
+                FROM alert_deliveries
+                WHERE alert_id = $1
+                ORDER BY created_at DESC
+                LIMIT 100
+            `, [alert.id]);
+
+            res.json({
+                success: true,
+                deliveries: deliveries.map(d => ({
+                    id: d.id,
+                    payload: d.payload,
+                    status: d.status,
+                    attempts: d.attempts,
+                    responseCode: d.response_code,
+                    error: d.error,
+                    createdAt: parseInt(d.created_at),
+                    deliveredAt: d.delivered_at ? parseInt(d.delivered_at) : null
+                }))
+            });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { init };
@@ -0,0 +1,122 @@
+/**
+ * Auth Routes
+ * Wallet sign-in (nonce -> signed message -> session) and API key management.
+ */
+const express = require('express');
+const { isValidPubkey } = require('../utils/solana');
+const auth = require('../services/auth');
+const { DEFAULT_KEY_TIER } = require('../config/rateLimits');
+const { logger } = require('../services');
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = 10;
+
+function init(deps) {
+    const { db } = deps;
+    const requireUser = auth.requireUser(db);
+
+    // Key revocations on other API nodes clear our lookup cache too
+    auth.listenForInvalidations()
+        .then(sub => { if (!sub) logger.warn('[Auth] Redis unavailable, API key revocations apply to other nodes after the cache TTL.'); })
+        .catch(e => logger.error(`[Auth] Invalidation subscribe failed: ${e.message}`));
+
+    // Step 1: get the message to sign
+    router.post('/nonce', async (req, res) => {
+        const { pubkey } = req.body || {};
+        if (!isValidPubkey(pubkey)) return res.status(400).json({ success: false, error: 'Invalid pubkey' });
+
+        try {
+            const challenge = await auth.issueNonce(db, pubkey);
+            res.json({ success: true, ...challenge });
+        } catch (e) {
+            console.error("Nonce Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // Step 2: send back the nonce and the base58 signature of that message
+    router.post('/verify', async (req, res) => {
+        const { pubkey, nonce, signature } = req.body || {};
+        if (!isValidPubkey(pubkey) || !nonce || typeof nonce !== 'string' || !signature || typeof signature !== 'string') {
+            return res.status(400).json({ success: false, error: 'pubkey, nonce and signature are required' });
+        }
+
+        try {
+            const session = await auth.signIn(db, pubkey, nonce, signature);
+            if (!session) return res.status(401).json({ success: false, error: 'Invalid or expired signature' });
+            res.json({ success: true, pubkey, ...session });
+        } catch (e) {
+            console.error("Sign-in Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.post('/logout', requireUser, async (req, res) => {
+        try {
+            await auth.endSession(db, auth.bearerToken(req));
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.get('/me', requireUser, (req, res) => {
+        res.json({ success: true, pubkey: req.user.pubkey });
+    });
+
+    // --- API KEYS ---
+    router.get('/keys', requireUser, async (req, res) => {
+        try {
+            const keys = await db.all(`
+                SELECT id, key_prefix, name, tier, created_at, revoked_at
+                FROM api_keys WHERE pubkey = $1
+                ORDER BY created_at DESC
+            `, [req.user.pubkey]);
+            res.json({ success: true, keys });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.post('/keys', requireUser, async (req, res) => {
+        const name = String(req.body?.name || 'default').substring(0, 64);
+
+        try {
+            const count = await db.get(`SELECT COUNT(*)::int AS n FROM api_keys WHERE pubkey = $1 AND revoked_at IS NULL`, [req.user.pubkey]);
+            if (count.n >= MAX_KEYS_PER_USER) {
+                return res.status(400).json({ success: false, error: `Limit of ${MAX_KEYS_PER_USER} active keys reached` });
+            }
+
+            // Higher tiers are granted by admins (POST /api/admin/api-key-tier)
+            const created = await auth.createApiKey(db, req.user.pubkey, name, DEFAULT_KEY_TIER);
+            // The plaintext key is only ever returned here
+            res.status(201).json({ success: true, ...created });
+        } catch (e) {
+            console.error("Create Key Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.delete('/keys/:id', requireUser, async (req, res) => {
+        const id = parseInt(req.params.id);
+        if (!id) return res.status(400).json({ success: false, error: 'Invalid key id' });
+
+        try {
+            const result = await db.run(`
+                UPDATE api_keys SET revoked_at = $1
+                WHERE id = $2 AND pubkey = $3 AND revoked_at IS NULL
+            `, [Date.now(), id, req.user.pubkey]);
+            if (result.rowCount === 0) return res.status(404).json({ success: false, error: 'Key not found' });
+
+            auth.forgetApiKeys();
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { init };
@@ -0,0 +1,115 @@
+/**
+ * Health & Metrics Routes
+ * Mounted at the root of both processes (outside /api, before rate limits):
+ * - API:    GET /healthz (liveness), GET /readyz (Postgres + Redis), GET /metrics
+ * - Worker: GET /healthz (per-task freshness from job_runs), GET /metrics
+ */
+const express = require('express');
+const { render } = require('../services/metrics');
+const { listJobs } = require('../services/scheduler');
+
+const CHECK_TIMEOUT_MS = 2000;
+
+// A job is stale once it has missed this many intervals without a successful run
+const STALE_AFTER_INTERVALS = 3;
+
+const startedAt = Date.now();
+
+function withTimeout(promise) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), CHECK_TIMEOUT_MS))
+    ]);
+}
+
+async function check(fn) {
+    const start = Date.now();
+    try {
+        await withTimeout(fn());
+        return { ok: true, latencyMs: Date.now() - start };
+    } catch (e) {
+        return { ok: false, error: e.message };
+    }
+}
+
+function checkPostgres(db) {
+    return check(() => db.get('SELECT 1'));
+}
+
+function checkRedis(redis) {
+    return check(async () => {
+        if (!redis || redis.status !== 'ready') throw new Error(`not ready (${redis ? redis.status : 'no client'})`);
+        await redis.ping();
+    });
+}
+
+function sendMetrics(req, res) {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(render());
+}
+
+function init(deps) {
+    const router = express.Router();
+    const { db, redis } = deps;
+
+    router.get('/healthz', (req, res) => {
+        res.json({ success: true, status: 'ok', uptimeSeconds: Math.floor(process.uptime()) });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        const [postgres, redisCheck] = await Promise.all([checkPostgres(db), checkRedis(redis)]);
+        const ready = postgres.ok && redisCheck.ok;
+        res.status(ready ? 200 : 503).json({ success: ready, checks: { postgres, redis: redisCheck } });
+    });
+
+    router.get('/metrics', sendMetrics);
+
+    return router;
+}
+
+function initWorker(deps) {
+    const router = express.Router();
+    const { db } = deps;
+
+    router.get('/healthz', async (req, res) => {
+        const postgres = await checkPostgres(db);
+        if (!postgres.ok) return res.status(503).json({ success: false, checks: { postgres }, jobs: [] });
+
+        try {
+            // Cluster-wide: the last success may have come from another replica
+            const rows = await db.all(`
+                SELECT DISTINCT ON (job) job, started_at, finished_at
+                FROM job_runs
+                WHERE status = 'success'
+                ORDER BY job, started_at DESC
+            `);
+            const lastSuccess = new Map(rows.map(r => [r.job, parseInt(r.finished_at || r.started_at)]));
+            const now = Date.now();
+
+            const jobs = listJobs().map(j => {
+                const at = lastSuccess.get(j.name) || null;
+                const allowedMs = j.intervalMs * STALE_AFTER_INTERVALS;
+                // Jobs that haven't had a chance to run since startup aren't stale yet
+                const stale = at ? now - at > allowedMs : now - startedAt > allowedMs;
+                return {
+                    job: j.name,
+                    intervalMs: j.intervalMs,
+                    lastSuccessAt: at,
+                    freshnessSeconds: at ? Math.floor((now - at) / 1000) : null,
+                    stale
+                };
+            });
+
+            const healthy = jobs.every(j => !j.stale);
+            res.status(healthy ? 200 : 503).json({ success: healthy, checks: { postgres }, jobs });
+        } catch (e) {
+            res.status(503).json({ success: false, error: e.message });
+        }
+    });
+
+    router.get('/metrics', sendMetrics);
+
+    return router;
+}
+
+module.exports = { init, initWorker };
@@ -0,0 +1,32 @@
+/**
+ * Portfolio Routes
+ * Public, read-only valuation of any wallet's token holdings.
+ */
+const express = require('express');
+const { isValidPubkey } = require('../utils/solana');
+const { cached } = require('../services/cache');
+const { getPortfolio } = require('../services/portfolio');
+
+const router = express.Router();
+
+function init(deps) {
+    const { db } = deps;
+
+    router.get('/:wallet', async (req, res) => {
+        const { wallet } = req.params;
+        if (!isValidPubkey(wallet)) return res.status(400).json({ success: false, error: 'Invalid wallet' });
+
+        try {
+            // Balances come from RPC, so keep a short cache per wallet
+            const portfolio = await cached(`api:portfolio:${wallet}`, 30, () => getPortfolio(db, wallet, deps.connection));
+            res.json({ success: true, ...portfolio });
+        } catch (e) {
+            console.error("Portfolio Error:", e.message);
+            res.status(502).json({ success: false, error: 'Failed to load wallet balances' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { init };
@@ -0,0 +1,58 @@
+/**
+ * Search Routes
+ * Typeahead over indexed tokens. Local only (no provider calls) so it stays
+ * fast enough to run on every keystroke; full search with the external
+ * fallback is GET /api/tokens?search=.
+ */
+const express = require('express');
+const { isValidPubkey } = require('../utils/solana');
+const { cached } = require('../services/cache');
+const { searchTokens, MAX_QUERY_LENGTH } = require('../services/search');
+const { logger } = require('../services');
+
+const router = express.Router();
+
+const SUGGEST_COLUMNS = 'mint, ticker, name, image, k_score, marketCap, volume24h';
+
+function init(deps) {
+    const { db } = deps;
+
+    // ?q=<text or mint>&limit= (max 20)
+    router.get('/suggest', async (req, res) => {
+        const q = String(req.query.q || '').trim();
+        if (q.length === 0) return res.json({ success: true, suggestions: [] });
+        if (q.length > MAX_QUERY_LENGTH) return res.status(400).json({ success: false, error: 'Query too long' });
+
+        const limitVal = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 20);
+        const cacheKey = `api:suggest:${q.toLowerCase()}:${limitVal}`;
+
+        try {
+            const result = await cached(cacheKey, 30, async () => {
+                const rows = isValidPubkey(q)
+                    ? await db.all(`SELECT ${SUGGEST_COLUMNS} FROM tokens WHERE mint = $1`, [q])
+                    : await searchTokens(db, q, { limit: limitVal, columns: SUGGEST_COLUMNS });
+
+                return {
+                    success: true,
+                    suggestions: rows.map(r => ({
+                        mint: r.mint,
+                        ticker: r.ticker,
+                        name: r.name,
+                        image: r.image,
+                        kScore: r.k_score || 0,
+                        marketCap: r.marketcap || 0,
+                        volume24h: r.volume24h || 0
+                    }))
+                };
+            });
+            res.json(result);
+        } catch (e) {
+            logger.error(`[Search] Suggest failed: ${e.message}`);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { init };
@@ -0,0 +1,131 @@
+/**
+ * Stream Routes (Server-Sent Events)
+ * GET /api/stream?mints=a,b&lists=newest,kscore
+ * - mints: per-token 'price' and 'kscore' events
+ * - lists: 'list' events telling the client a sorted list changed (refetch once
+ *   instead of polling). 'newest' subscribers also get the new token itself.
+ * Events arrive from the worker over Redis pub/sub (services/stream.js).
+ */
+const express = require('express');
+const { isValidPubkey } = require('../utils/solana');
+const { subscribe } = require('../services/stream');
+const { logger } = require('../services');
+
+const router = express.Router();
+
+const MAX_MINTS_PER_CLIENT = 50;
+const MAX_CLIENTS = 5000;
+const MAX_CLIENTS_PER_IP = 5;
+const HEARTBEAT_MS = 25000;
+// Coalesce list notifications so a busy indexer cycle triggers one refetch
+const LIST_DEBOUNCE_MS = 2000;
+
+// Which event types can reorder each /api/tokens sort
+const LIST_TRIGGERS = {
+    newest: ['token'],
+    kscore: ['kscore'],
+    mcap: ['candles'],
+    volume: ['candles'],
+    gainers: ['candles'],
+    '24h': ['candles'],
+    '1h': ['candles'],
+    '5m': ['candles'],
+    price: ['candles'],
+    graduating: ['lifecycle']
+};
+
+const clients = new Set();
+// Open streams per req.ip, so one caller can't take the whole MAX_CLIENTS
+const clientsPerIp = new Map();
+
+function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// A pushed payload is the whole change, so it needs no refetch hint after it
+function notifyList(client, sort, reason, payload) {
+    if (payload) {
+        send(client, 'list', { sort, reason, data: payload });
+        return;
+    }
+    if (client.pendingLists.has(sort)) return;
+
+    client.pendingLists.add(sort);
+    setTimeout(() => {
+        client.pendingLists.delete(sort);
+        if (!client.closed) send(client, 'list', { sort, reason });
+    }, LIST_DEBOUNCE_MS);
+}
+
+function dispatch(event) {
+    for (const client of clients) {
+        try {
+            if (event.type === 'candles') {
+                const updates = (event.data || []).filter(c => client.mints.has(c.mint));
+                if (updates.length > 0) send(client, 'price', updates);
+            } else if (event.mint && client.mints.has(event.mint)) {
+                send(client, event.type, { mint: event.mint, ...event.data });
+            }
+
+            for (const sort of client.lists) {
+                if (!LIST_TRIGGERS[sort].includes(event.type)) continue;
+                // New tokens are pushed whole; everything else is a refetch hint
+                notifyList(client, sort, event.type, event.type === 'token' ? event.data : null);
+            }
+        } catch (e) { }
+    }
+}
+
+function parseList(value) {
+    return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function init(deps) {
+    subscribe(dispatch)
+        .then(sub => { if (!sub) logger.warn('[Stream] Redis unavailable, live streaming disabled.'); })
+        .catch(e => logger.error(`[Stream] Subscribe failed: ${e.message}`));
+
+    router.get('/', (req, res) => {
+        const mints = parseList(req.query.mints).filter(isValidPubkey).slice(0, MAX_MINTS_PER_CLIENT);
+        const lists = parseList(req.query.lists).filter(s => Object.hasOwn(LIST_TRIGGERS, s));
+
+        if (mints.length === 0 && lists.length === 0) {
+            return res.status(400).json({ success: false, error: 'Subscribe to at least one of ?mints= or ?lists=' });
+        }
+        if (clients.size >= MAX_CLIENTS) {
+            return res.status(503).json({ success: false, error: 'Stream capacity reached, please poll instead' });
+        }
+        const ipCount = clientsPerIp.get(req.ip) || 0;
+        if (ipCount >= MAX_CLIENTS_PER_IP) {
+            return res.status(429).json({ success: false, error: 'Too many open streams' });
+        }
+        clientsPerIp.set(req.ip, ipCount + 1);
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        res.flushHeaders();
+
+        const client = { res, mints: new Set(mints), lists: new Set(lists), pendingLists: new Set(), closed: false };
+        clients.add(client);
+        send(client, 'ready', { mints, lists });
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            client.closed = true;
+            clearInterval(heartbeat);
+            clients.delete(client);
+            const remaining = clientsPerIp.get(req.ip) - 1;
+            if (remaining > 0) clientsPerIp.set(req.ip, remaining);
+            else clientsPerIp.delete(req.ip);
+        });
+    });
+
+    return router;
+}
+
+module.exports = { init };
@@ -2,56 +2,234 @@
  * Token Routes
  * Platform: PostgreSQL
  * Updated: History endpoint uses MINT instead of SYMBOL
+ * Updated: History supports intervals, time ranges and volume
  */
 const express = require('express');
-const axios = require('axios');
 const { isValidPubkey } = require('../utils/solana');
-const { smartCache } = require('../services/database');
-const { getClient } = require('../services/redis'); 
+const { INTERVALS, BASE_RESOLUTION } = require('../utils/candles');
+const { cached, tokenTag } = require('../services/cache');
+const { verifyFeePayment, PaymentError, PaymentUnavailableError } = require('../services/payment');
+const { requireUser } = require('../services/auth');
+const { searchTokens, importExternal, MAX_QUERY_LENGTH } = require('../services/search');
+const { restoreToken, restoreByTicker } = require('../services/tokenArchive');
 const config = require('../config/env');
+const { logger } = require('../services');
 
 const router = express.Router();
 
-async function checkExternalRateLimit() {
-    try {
-        const redis = getClient();
-        if (!redis || redis.status !== 'ready') return true; 
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_URL_LENGTH = 500;
 
-        const key = 'ratelimit:dexscreener:global';
-        const current = await redis.incr(key);
-        
-        if (current === 1) {
-            await redis.expire(key, 60);
+// ?safety=a,b filters. Fixed SQL fragments only; NULL (unchecked) never passes.
+const SAFETY_FILTERS = {
+    mintRevoked: 'mint_authority_revoked = TRUE',
+    freezeRevoked: 'freeze_authority_revoked = TRUE',
+    lpSecured: '(COALESCE(lp_burned_pct, 0) + COALESCE(lp_locked_pct, 0)) >= 90',
+    noTransferFee: 'has_transfer_fee = FALSE',
+    noPermanentDelegate: 'has_permanent_delegate = FALSE'
+};
+
+// List sorts, all DESC with mint as the tie-breaker. NULL reads as 0 so the
+// (value, mint) cursor comparison is total; migration 006 indexes the busiest.
+const SORTS = {
+    newest: 'COALESCE(timestamp, 0)',
+    kscore: 'COALESCE(k_score, 0)',
+    mcap: 'COALESCE(marketCap, 0)',
+    volume: 'COALESCE(volume24h, 0)',
+    liquidity: 'COALESCE(liquidity, 0)',
+    gainers: 'COALESCE(change24h, 0)',
+    '24h': 'COALESCE(change24h, 0)',
+    '1h': 'COALESCE(change1h, 0)',
+    '5m': 'COALESCE(change5m, 0)',
+    price: 'COALESCE(priceUsd, 0)',
+    graduating: 'COALESCE(bonding_progress, 0)'
+};
+
+// Sorts that only list part of the table (fixed SQL)
+const SORT_CONDITIONS = {
+    graduating: "lifecycle = 'bonding'"
+};
+
+const EVENT_TYPES = ['created', 'graduated', 'mcap_100k', 'liquidity_pull'];
+
+// ?min<Name>=&max<Name>= range filters. Age is in hours and bounds 'timestamp'.
+const RANGE_FILTERS = {
+    Mcap: 'marketCap',
+    Volume: 'volume24h',
+    Liquidity: 'liquidity',
+    Age: 'timestamp',
+    KScore: 'k_score',
+    Change5m: 'change5m',
+    Change1h: 'change1h',
+    Change24h: 'change24h'
+};
+
+const MAX_DEX_FILTERS = 10;
+
+/**
+ * List filters from the query string as plain data (also the cache key),
+ * or { error } for a malformed value.
+ */
+function parseListFilters(query) {
+    const filters = {
+        verified: query.filter === 'verified',
+        safety: String(query.safety || '').split(',').filter(f => Object.hasOwn(SAFETY_FILTERS, f)).sort(),
+        ranges: [],
+        dex: []
+    };
+
+    for (const name of Object.keys(RANGE_FILTERS)) {
+        for (const bound of ['min', 'max']) {
+            const raw = query[`${bound}${name}`];
+            if (raw === undefined || raw === '') continue;
+            const value = Number(raw);
+            if (!Number.isFinite(value)) return { error: `Invalid ${bound}${name}` };
+            filters.ranges.push([bound, name, value]);
+        }
+    }
+
+    if (query.dex) {
+        filters.dex = [...new Set(String(query.dex).toLowerCase().split(',').map(d => d.trim()).filter(Boolean))].sort();
+        if (filters.dex.length > MAX_DEX_FILTERS || !filters.dex.every(d => /^[a-z0-9_-]{1,32}$/.test(d))) {
+            return { error: 'Invalid dex' };
+        }
+    }
+
+    return filters;
+}
+
+// WHERE fragments for parsed filters; values are appended to 'params'
+function filterConditions(filters, params) {
+    const where = [];
+    if (filters.verified) where.push('hasCommunityUpdate = TRUE');
+    filters.safety.forEach(f => where.push(SAFETY_FILTERS[f]));
+
+    for (const [bound, name, value] of filters.ranges) {
+        if (name === 'Age') {
+            // At least minAge hours old = created at or before now - minAge
+            params.push(Date.now() - value * 3600000);
+            where.push(`timestamp ${bound === 'min' ? '<=' : '>='} $${params.length}`);
+        } else {
+            params.push(value);
+            where.push(`${RANGE_FILTERS[name]} ${bound === 'min' ? '>=' : '<='} $${params.length}`);
         }
+    }
+
+    if (filters.dex.length > 0) {
+        params.push(filters.dex);
+        where.push(`dex = ANY($${params.length})`);
+    }
+    return where;
+}
 
-        return current <= 250;
+function formatSafety(r) {
+    return {
+        mintAuthorityRevoked: r.mint_authority_revoked ?? null,
+        freezeAuthorityRevoked: r.freeze_authority_revoked ?? null,
+        lpBurnedPct: r.lp_burned_pct ?? null,
+        lpLockedPct: r.lp_locked_pct ?? null,
+        hasTransferFee: r.has_transfer_fee ?? null,
+        hasPermanentDelegate: r.has_permanent_delegate ?? null,
+        checkedAt: r.safety_checked_at ? parseInt(r.safety_checked_at) : null
+    };
+}
+
+const numOrNull = (v) => (v === null || v === undefined ? null : Number(v));
+
+// List fields; the detail route adds profile, supply and pairs
+function formatToken(r) {
+    return {
+        mint: r.mint, name: r.name, ticker: r.ticker, image: r.image,
+        marketCap: r.marketcap || 0, fdv: r.fdv || 0, volume24h: r.volume24h || 0, priceUsd: r.priceusd || 0,
+        liquidity: r.liquidity || 0, dex: r.dex || null,
+        lifecycle: r.lifecycle || null, bondingProgress: r.bonding_progress ?? null,
+        timestamp: parseInt(r.timestamp), change5m: r.change5m || 0, change1h: r.change1h || 0, change24h: r.change24h || 0,
+        hasCommunityUpdate: r.hascommunityupdate || false, kScore: r.k_score || 0,
+        safety: formatSafety(r)
+    };
+}
+
+function formatPair(p, indexedPair) {
+    return {
+        pairAddress: p.pair_address,
+        dexId: p.dex_id,
+        quoteMint: p.quote_mint,
+        quoteSymbol: p.quote_symbol,
+        priceUsd: p.price_usd,
+        priceNative: p.price_native,
+        liquidity: { usd: p.liquidity_usd, base: p.liquidity_base, quote: p.liquidity_quote },
+        volume24h: p.volume24h,
+        txns24h: { buys: p.buys24h, sells: p.sells24h },
+        fdv: p.fdv,
+        marketCap: p.market_cap,
+        pairCreatedAt: numOrNull(p.pair_created_at),
+        source: p.source,
+        updatedAt: numOrNull(p.updated_at),
+        // Our on-chain candles and trade feed come from this pair
+        indexed: p.pair_address === indexedPair
+    };
+}
+
+// Accepts empty values (field not being updated) or a plain http(s) URL
+function isValidUrl(value) {
+    if (!value) return true;
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return false;
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
     } catch (e) {
-        return true; 
+        return false;
     }
 }
 
 function init(deps) {
     const { db } = deps;
 
-    // --- HISTORY ENDPOINT (UPDATED) ---
-    // Fetches OHLC candles by MINT
+    // --- HISTORY ENDPOINT ---
+    // OHLCV candles by MINT, with buy/sell counts and unique traders from indexed trades.
+    // ?interval=1m|5m|15m|1h|4h|1d (default 1m), optional ?from=&to= in unix seconds,
+    // ?limit= (default and max 2000). Returns the latest candles up to 'to' (or now);
+    // with only 'from', the first candles from there. Ascending order either way.
+    // 1m data only covers the last CANDLE_RETENTION_DAYS; older history is 1h and up.
     router.get('/history/:mint', async (req, res) => {
         const { mint } = req.params;
+        const { interval = '1m', from, to } = req.query;
+
+        const resolution = INTERVALS[interval];
+        if (!resolution) {
+            return res.status(400).json({ error: `Invalid interval. Use one of: ${Object.keys(INTERVALS).join(', ')}` });
+        }
+
+        const fromVal = from !== undefined ? parseInt(from) : 0;
+        const toVal = to !== undefined ? parseInt(to) : Number.MAX_SAFE_INTEGER;
+        if (isNaN(fromVal) || isNaN(toVal) || fromVal > toVal) {
+            return res.status(400).json({ error: 'Invalid from/to range' });
+        }
+        const limitVal = Math.min(Math.max(parseInt(req.query.limit) || 2000, 1), 2000);
+        const latest = from === undefined || to !== undefined;
         
         // Cache this response for 10s
         res.set('Cache-Control', 'public, max-age=10');
 
         try {
-            // Get last 2000 candles
-            const candles = await db.all(`
-                SELECT time, open, high, low, close 
-                FROM candles 
-                WHERE mint = $1 
-                ORDER BY time ASC 
-                LIMIT 2000
-            `, [mint]);
-
-            res.json(candles || []);
+            // 1m reads raw candles; higher intervals read the indexer's rollups
+            const rows = resolution === BASE_RESOLUTION
+                ? await db.all(`
+                    SELECT time, open, high, low, close, volume, buys, sells, traders
+                    FROM candles 
+                    WHERE mint = $1 AND time >= $2 AND time <= $3
+                    ORDER BY time ${latest ? 'DESC' : 'ASC'} 
+                    LIMIT $4
+                `, [mint, fromVal, toVal, limitVal])
+                : await db.all(`
+                    SELECT time, open, high, low, close, volume, buys, sells, traders
+                    FROM candles_agg
+                    WHERE mint = $1 AND resolution = $2 AND time >= $3 AND time <= $4
+                    ORDER BY time ${latest ? 'DESC' : 'ASC'}
+                    LIMIT $5
+                `, [mint, resolution, fromVal, toVal, limitVal]);
+
+            res.json(latest ? rows.reverse() : rows);
         } catch (e) {
             console.error("History Error:", e);
             res.status(500).json({ error: 'DB Error' });
@@ -59,104 +237,371 @@ function init(deps) {
     });
 
     // --- SEARCH / TOKENS LIST ---
+    // ?sort= (see SORTS), ?limit= (max 100), filters (see parseListFilters).
+    // Browsing pages with ?cursor=<nextCursor from the previous page>; ?page= still
+    // works but shifts as values change. Search results are ranked by match
+    // quality ('sort' doesn't apply) and paged with ?page=.
     router.get('/tokens', async (req, res) => {
-        const { sort = 'newest', limit = 100, page = 1, search = '', filter = '' } = req.query;
-        const limitVal = Math.min(parseInt(limit) || 100, 100);
+        const { limit = 100, page = 1, search = '', cursor = '' } = req.query;
+        const sort = Object.hasOwn(SORTS, req.query.sort) ? req.query.sort : 'newest';
+        const limitVal = Math.min(Math.max(parseInt(limit) || 100, 1), 100);
         const pageVal = Math.max(parseInt(page) || 1, 1);
         const offsetVal = (pageVal - 1) * limitVal;
-        const searchTerm = search ? search.trim() : '';
-        const cacheKey = `api:tokens:${sort}:${limitVal}:${pageVal}:${searchTerm || 'all'}:${filter}`;
+        const searchTerm = search ? String(search).trim() : '';
+        if (searchTerm.length > MAX_QUERY_LENGTH) return res.status(400).json({ success: false, error: 'Query too long' });
 
-        try {
-            const result = await smartCache(cacheKey, 5, async () => {
-                let orderByClause = 'ORDER BY timestamp DESC'; 
-                switch (sort) {
-                    case 'kscore': orderByClause = 'ORDER BY k_score DESC'; break;
-                    case 'mcap': orderByClause = 'ORDER BY marketCap DESC'; break;
-                    case 'volume': orderByClause = 'ORDER BY volume24h DESC'; break;
-                    case 'gainers': case '24h': orderByClause = 'ORDER BY change24h DESC'; break;
-                    case '1h': orderByClause = 'ORDER BY change1h DESC'; break;
-                    case '5m': orderByClause = 'ORDER BY change5m DESC'; break;
-                    case 'price': orderByClause = 'ORDER BY priceUsd DESC'; break;
-                    default: orderByClause = 'ORDER BY timestamp DESC'; break;
-                }
+        const filters = parseListFilters(req.query);
+        if (filters.error) return res.status(400).json({ success: false, error: filters.error });
+
+        // Cursor is "<sort value>:<mint>" of the last token already seen
+        let after = null;
+        if (cursor) {
+            const [value, mint] = String(cursor).split(':');
+            after = { value: Number(value), mint };
+            if (value === '' || !Number.isFinite(after.value) || !isValidPubkey(mint)) {
+                return res.status(400).json({ success: false, error: 'Invalid cursor' });
+            }
+        }
+
+        const cacheKey = `api:tokens:${sort}:${limitVal}:${after ? `c${cursor}` : pageVal}:${searchTerm || 'all'}:${JSON.stringify(filters)}`;
 
+        try {
+            const result = await cached(cacheKey, 5, async () => {
+                const params = [];
+                const where = filterConditions(filters, params);
                 let rows = [];
+                let nextCursor = null;
+
                 if (searchTerm.length > 0) {
-                    if (isValidPubkey(searchTerm)) {
-                        rows = await db.all(`SELECT * FROM tokens WHERE mint = $1`, [searchTerm]);
-                    } else {
-                        const searchPattern = `%${searchTerm}%`;
-                        rows = await db.all(`SELECT * FROM tokens WHERE (ticker ILIKE $1 OR name ILIKE $1) ${filter === 'verified' ? 'AND hasCommunityUpdate = TRUE' : ''} ${orderByClause} LIMIT 50`, [searchPattern]);
+                    const runSearch = () => isValidPubkey(searchTerm)
+                        ? db.all(`SELECT * FROM tokens WHERE mint = $1`, [searchTerm])
+                        : searchTokens(db, searchTerm, { conditions: where, params, limit: limitVal, offset: offsetVal });
+
+                    rows = await runSearch();
+
+                    // Nothing live: the token may have been archived for inactivity
+                    if (rows.length === 0 && pageVal === 1) {
+                        const restored = isValidPubkey(searchTerm)
+                            ? await restoreToken(db, searchTerm)
+                            : (await restoreByTicker(db, searchTerm)).length > 0;
+                        if (restored) rows = await runSearch();
+                    }
+
+                    // Still nothing: pull matches from the providers into 'tokens', then rank them
+                    if (rows.length === 0 && pageVal === 1 && searchTerm.length >= 3) {
+                        try {
+                            const { imported } = await importExternal(deps, searchTerm);
+                            if (imported.length > 0) rows = await runSearch();
+                        } catch (e) { }
                     }
                 } else {
-                    let query = `SELECT * FROM tokens`;
-                    let where = [];
-                    if (filter === 'verified') where.push(`hasCommunityUpdate = TRUE`);
-                    if (where.length > 0) query += ` WHERE ${where.join(' AND ')}`;
-                    query += ` ${orderByClause} LIMIT ${limitVal} OFFSET ${offsetVal}`;
-                    rows = await db.all(query);
+                    const sortExpr = SORTS[sort];
+                    if (SORT_CONDITIONS[sort]) where.push(SORT_CONDITIONS[sort]);
+                    if (after) {
+                        params.push(after.value, after.mint);
+                        where.push(`(${sortExpr}, mint) < ($${params.length - 1}, $${params.length})`);
+                    }
+                    params.push(limitVal + 1);
+                    let query = `
+                        SELECT *, ${sortExpr} AS sort_value FROM tokens
+                        ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+                        ORDER BY ${sortExpr} DESC, mint DESC
+                        LIMIT $${params.length}
+                    `;
+                    if (!after && offsetVal > 0) {
+                        params.push(offsetVal);
+                        query += ` OFFSET $${params.length}`;
+                    }
+
+                    const found = await db.all(query, params);
+                    rows = found.slice(0, limitVal);
+                    const last = rows[rows.length - 1];
+                    if (found.length > limitVal) nextCursor = `${last.sort_value}:${last.mint}`;
                 }
 
-                // External Search Fallback
-                const isTooShort = searchTerm.length < 3;
-                if (searchTerm.length > 0 && !isTooShort && await checkExternalRateLimit()) {
-                    try {
-                        const extKey = `ext:${searchTerm}`;
-                        const extTokens = await smartCache(extKey, 300, async () => {
-                             if(rows.length > 0) return [];
-                             const d = await axios.get(`https://api.dexscreener.com/latest/dex/search?q=${searchTerm}`);
-                             return d.data?.pairs || [];
-                        });
-                        
-                        if(extTokens && extTokens.length) {
-                             const found = extTokens.filter(p => p.chainId === 'solana')[0];
-                             if(found && !rows.find(r => r.mint === found.baseToken.address)) {
-                                 rows.push({
-                                     mint: found.baseToken.address,
-                                     name: found.baseToken.name,
-                                     ticker: found.baseToken.symbol,
-                                     image: found.info?.imageUrl,
-                                     marketCap: found.fdv,
-                                     k_score: 0
-                                 });
-                             }
-                        }
-                    } catch(e) {}
+                return {
+                    success: true, sort, page: pageVal, limit: limitVal, nextCursor,
+                    tokens: rows.map(formatToken), lastUpdate: Date.now()
+                };
+            });
+            res.json(result);
+        } catch (e) {
+            logger.error(`[Tokens] List failed: ${e.message}`);
+            res.status(500).json({ success: false, tokens: [], error: 'DB Error' });
+        }
+    });
+
+    // --- COMMUNITY UPDATE SUBMISSION ---
+    // Queues a profile update for admin review once the fee payment checks out on-chain.
+    // Requires a wallet session; the submission is recorded against that wallet.
+    router.post('/request-update', requireUser(db), async (req, res) => {
+        const { mint, banner, description, website, twitter, telegram, tweetUrl, signature } = req.body || {};
+
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+        if (!signature || typeof signature !== 'string') return res.status(400).json({ success: false, error: 'Missing payment signature' });
+        if (![banner, website, twitter, telegram, tweetUrl].every(isValidUrl)) {
+            return res.status(400).json({ success: false, error: 'Invalid URL' });
+        }
+        if (description && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+            return res.status(400).json({ success: false, error: `Description must be under ${MAX_DESCRIPTION_LENGTH} characters` });
+        }
+        if (!banner && !description && !website && !twitter && !telegram && !tweetUrl) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+
+        try {
+            const token = await db.get('SELECT mint FROM tokens WHERE mint = $1', [mint]);
+            if (!token) return res.status(404).json({ success: false, error: 'Token not indexed' });
+
+            // Cheap check before spending an RPC call; the unique index catches races
+            const used = await db.get('SELECT id FROM token_updates WHERE signature = $1', [signature]);
+            if (used) return res.status(409).json({ success: false, error: 'Payment signature already used' });
+
+            const payment = await verifyFeePayment(signature, deps.connection);
+            // Treasury payments are public; only the wallet that paid can redeem one
+            if (payment.payer !== req.user.pubkey) {
+                return res.status(402).json({ success: false, error: 'Payment was not made by the signed-in wallet' });
+            }
+
+            const row = await db.get(`
+                INSERT INTO token_updates (mint, banner, description, website, twitter, telegram, tweetUrl, signature, payer, submitted_by, status, submittedAt)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', $11)
+                RETURNING id
+            `, [mint, banner || null, description || null, website || null, twitter || null, telegram || null, tweetUrl || null, signature, payment.payer, req.user.pubkey, Date.now()]);
+
+            res.json({ success: true, id: row.id, payment });
+        } catch (e) {
+            if (e instanceof PaymentError) return res.status(402).json({ success: false, error: e.message });
+            if (e instanceof PaymentUnavailableError) {
+                console.error("Request Update Error:", e.message);
+                return res.status(503).json({ success: false, error: 'Could not verify the payment right now, please retry' });
+            }
+            if (e.code === '23505') return res.status(409).json({ success: false, error: 'Payment signature already used' });
+            console.error("Request Update Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // --- HOLDER DISTRIBUTION ---
+    // Latest concentration snapshot plus history. Optional ?from=&to= in unix ms.
+    router.get('/token/:mint/holders', async (req, res) => {
+        const { mint } = req.params;
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+
+        const fromVal = parseInt(req.query.from) || 0;
+        const toVal = parseInt(req.query.to) || Date.now();
+
+        try {
+            const result = await cached(`api:holders:${mint}:${fromVal}:${req.query.to || 'now'}`, 60, async () => {
+                const history = await db.all(`
+                    SELECT time, supply, top10_pct, top20_pct, largest_holder_pct, holder_count
+                    FROM holder_snapshots
+                    WHERE mint = $1 AND time >= $2 AND time <= $3
+                    ORDER BY time DESC
+                    LIMIT 500
+                `, [mint, fromVal, toVal]);
+
+                const rows = history.map(h => ({
+                    time: parseInt(h.time),
+                    supply: h.supply,
+                    top10Pct: h.top10_pct,
+                    top20Pct: h.top20_pct,
+                    largestHolderPct: h.largest_holder_pct,
+                    holderCount: h.holder_count
+                })).reverse();
+
+                return { success: true, mint, latest: rows[rows.length - 1] || null, history: rows };
+            }, { tags: [tokenTag(mint)] });
+            res.json(result);
+        } catch (e) {
+            console.error("Holders Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // --- TRADE FEED ---
+    // Swaps on the token's indexed pool, newest first.
+    // ?limit= (max 100), ?side=buy|sell, ?before=<nextCursor from the previous page>
+    router.get('/token/:mint/trades', async (req, res) => {
+        const { mint } = req.params;
+        const { side, before } = req.query;
+
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+        if (side && side !== 'buy' && side !== 'sell') {
+            return res.status(400).json({ success: false, error: 'side must be buy or sell' });
+        }
+
+        // Cursor is "<time>:<signature>" of the last trade already seen
+        let cursor = null;
+        if (before) {
+            const [time, signature] = String(before).split(':');
+            cursor = { time: parseInt(time), signature };
+            if (isNaN(cursor.time) || !signature) return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+
+        const limitVal = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const cacheKey = `api:trades:${mint}:${side || 'all'}:${limitVal}:${before || ''}`;
+
+        try {
+            const result = await cached(cacheKey, 5, async () => {
+                const params = [mint];
+                const where = ['mint = $1'];
+                if (side) {
+                    params.push(side);
+                    where.push(`side = $${params.length}`);
+                }
+                if (cursor) {
+                    params.push(cursor.time, cursor.signature);
+                    where.push(`(time, signature) < ($${params.length - 1}, $${params.length})`);
                 }
+                params.push(limitVal + 1);
+
+                const rows = await db.all(`
+                    SELECT signature, slot, time, side, base_amount, quote_amount, quote_mint, price_usd, value_usd, trader
+                    FROM trades
+                    WHERE ${where.join(' AND ')}
+                    ORDER BY time DESC, signature DESC
+                    LIMIT $${params.length}
+                `, params);
 
+                const page = rows.slice(0, limitVal);
+                const last = page[page.length - 1];
                 return {
-                    success: true, page: pageVal, limit: limitVal,
-                    tokens: rows.map(r => ({
-                        mint: r.mint, name: r.name, ticker: r.ticker, image: r.image,
-                        marketCap: r.marketcap || r.marketCap || 0, volume24h: r.volume24h || 0, priceUsd: r.priceusd || r.priceUsd || 0,
-                        timestamp: parseInt(r.timestamp), change5m: r.change5m || 0, change1h: r.change1h || 0, change24h: r.change24h || 0,
-                        hasCommunityUpdate: r.hascommunityupdate || r.hasCommunityUpdate || false, kScore: r.k_score || 0
-                    })), lastUpdate: Date.now()
+                    success: true,
+                    trades: page.map(r => ({
+                        signature: r.signature,
+                        slot: parseInt(r.slot),
+                        time: parseInt(r.time),
+                        side: r.side,
+                        baseAmount: r.base_amount,
+                        quoteAmount: r.quote_amount,
+                        quoteMint: r.quote_mint,
+                        priceUsd: r.price_usd,
+                        valueUsd: r.value_usd,
+                        trader: r.trader
+                    })),
+                    nextCursor: rows.length > limitVal ? `${last.time}:${last.signature}` : null
                 };
             });
             res.json(result);
-        } catch (e) { res.status(500).json({ success: false, tokens: [], error: e.message }); }
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
     });
 
-    router.get('/token/:mint', async (req, res) => {
+    // --- TOKEN EVENTS ---
+    // Lifecycle timeline, newest first (see services/tokenEvents.js).
+    // ?type=a,b, ?limit= (max 100), ?before=<nextCursor from the previous page>
+    router.get('/token/:mint/events', async (req, res) => {
         const { mint } = req.params;
-        const cacheKey = `api:token:${mint}`;
-        const result = await smartCache(cacheKey, 30, async () => {
-            const token = await db.get('SELECT * FROM tokens WHERE mint = $1', [mint]);
-            let tokenData = token || { mint, name: 'Unknown', ticker: 'Unknown' };
-            
-            // Still fetch pairs for metadata purposes if needed
-            try {
-                const dexRes = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${mint}`, { timeout: 3000 });
-                if (dexRes.data?.pairs) {
-                    tokenData.pairs = dexRes.data.pairs;
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+
+        const types = req.query.type ? String(req.query.type).split(',') : [];
+        if (!types.every(t => EVENT_TYPES.includes(t))) {
+            return res.status(400).json({ success: false, error: `type must be one of: ${EVENT_TYPES.join(', ')}` });
+        }
+
+        // Cursor is "<time>:<id>" of the last event already seen
+        let cursor = null;
+        if (req.query.before) {
+            const [time, id] = String(req.query.before).split(':').map(v => parseInt(v));
+            cursor = { time, id };
+            if (isNaN(time) || isNaN(id)) return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+
+        const limitVal = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const cacheKey = `api:events:${mint}:${types.sort().join(',') || 'all'}:${limitVal}:${req.query.before || ''}`;
+
+        try {
+            const result = await cached(cacheKey, 10, async () => {
+                const params = [mint];
+                const where = ['mint = $1'];
+                if (types.length > 0) {
+                    params.push(types);
+                    where.push(`type = ANY($${params.length})`);
                 }
-            } catch(e) {}
-            
-            return { success: true, token: tokenData };
-        });
-        res.json(result);
+                if (cursor) {
+                    params.push(cursor.time, cursor.id);
+                    where.push(`(time, id) < ($${params.length - 1}, $${params.length})`);
+                }
+                params.push(limitVal + 1);
+
+                const rows = await db.all(`
+                    SELECT id, type, time, signature, data
+                    FROM token_events
+                    WHERE ${where.join(' AND ')}
+                    ORDER BY time DESC, id DESC
+                    LIMIT $${params.length}
+                `, params);
+
+                const page = rows.slice(0, limitVal);
+                const last = page[page.length - 1];
+                return {
+                    success: true,
+                    events: page.map(r => ({
+                        type: r.type,
+                        time: parseInt(r.time),
+                        signature: r.signature,
+                        data: r.data
+                    })),
+                    nextCursor: rows.length > limitVal ? `${last.time}:${last.id}` : null
+                };
+            }, { tags: [tokenTag(mint)] });
+            res.json(result);
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+    // --- TOKEN DETAIL ---
+    // Served from our tables only: the token row, its pairs as last seen by the
+    // Metadata Updater (largest liquidity first) and the pool we index.
+    // Cached under the token's tag, so worker updates show up right away.
+    router.get('/token/:mint', async (req, res) => {
+        const { mint } = req.params;
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+
+        try {
+            const result = await cached(`api:token:${mint}`, 30, async () => {
+                const token = await db.get('SELECT * FROM tokens WHERE mint = $1', [mint]);
+                if (!token) return { success: false, error: 'Token not indexed' };
+
+                const [pool, pairs] = await Promise.all([
+                    db.get('SELECT pair_address, dex, quote_mint FROM pools WHERE mint = $1', [mint]),
+                    db.all('SELECT * FROM pair_snapshots WHERE mint = $1 ORDER BY liquidity_usd DESC NULLS LAST', [mint])
+                ]);
+
+                return {
+                    success: true,
+                    token: {
+                        ...formatToken(token),
+                        banner: token.banner, description: token.description,
+                        website: token.website, twitter: token.twitter, telegram: token.telegram, tweetUrl: token.tweeturl,
+                        lastUpdated: numOrNull(token.lastupdated),
+                        supply: {
+                            total: token.total_supply ?? null,
+                            circulating: token.circulating_supply ?? null,
+                            burned: token.burned_supply ?? null,
+                            locked: token.locked_supply ?? null,
+                            checkedAt: numOrNull(token.supply_checked_at)
+                        },
+                        // Why the token scored what it did
+                        kScore: {
+                            score: token.k_score || 0,
+                            version: token.k_score_version || null,
+                            breakdown: token.k_score_breakdown || null,
+                            calculatedAt: token.last_k_calc ? parseInt(token.last_k_calc) : null
+                        },
+                        pool: pool ? { pairAddress: pool.pair_address, dex: pool.dex, quoteMint: pool.quote_mint } : null,
+                        pairs: pairs.map(p => formatPair(p, pool?.pair_address))
+                    }
+                };
+            }, { tags: [tokenTag(mint)] });
+            res.status(result.success ? 200 : 404).json(result);
+        } catch (e) {
+            console.error("Token Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
     });
 
     return router;
@@ -0,0 +1,199 @@
+/**
+ * Watchlist Routes
+ * Named lists of mints owned by a signed-in wallet, so lists follow the user
+ * across devices instead of living in localStorage.
+ */
+const express = require('express');
+const { isValidPubkey } = require('../utils/solana');
+const { requireUser } = require('../services/auth');
+
+const router = express.Router();
+
+const MAX_LISTS_PER_USER = 20;
+const MAX_ITEMS_PER_LIST = 200;
+const MAX_NAME_LENGTH = 64;
+
+function cleanName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim();
+    return trimmed.length > 0 && trimmed.length <= MAX_NAME_LENGTH ? trimmed : null;
+}
+
+function formatItem(r) {
+    return {
+        mint: r.mint,
+        addedAt: parseInt(r.added_at),
+        name: r.name || null,
+        ticker: r.ticker || null,
+        image: r.image || null,
+        priceUsd: r.priceusd || 0,
+        marketCap: r.marketcap || 0,
+        change24h: r.change24h || 0,
+        kScore: r.k_score || 0
+    };
+}
+
+function init(deps) {
+    const { db } = deps;
+
+    router.use(requireUser(db));
+
+    async function loadOwnedList(req, res) {
+        const id = parseInt(req.params.id);
+        const list = id ? await db.get('SELECT * FROM watchlists WHERE id = $1 AND pubkey = $2', [id, req.user.pubkey]) : null;
+        if (!list) res.status(404).json({ success: false, error: 'Watchlist not found' });
+        return list;
+    }
+
+    async function loadItems(listIds) {
+        const rows = await db.all(`
+            SELECT i.watchlist_id, i.mint, i.added_at, t.name, t.ticker, t.image, t.priceUsd, t.marketCap, t.change24h, t.k_score
+            FROM watchlist_items i
+            LEFT JOIN tokens t ON t.mint = i.mint
+            WHERE i.watchlist_id = ANY($1)
+            ORDER BY i.added_at ASC
+        `, [listIds]);
+
+        const byList = new Map(listIds.map(id => [id, []]));
+        rows.forEach(r => byList.get(r.watchlist_id).push(formatItem(r)));
+        return byList;
+    }
+
+    const formatList = (l, items) => ({
+        id: l.id,
+        name: l.name,
+        createdAt: parseInt(l.created_at),
+        updatedAt: parseInt(l.updated_at),
+        items
+    });
+
+    router.get('/', async (req, res) => {
+        try {
+            const lists = await db.all('SELECT * FROM watchlists WHERE pubkey = $1 ORDER BY created_at ASC', [req.user.pubkey]);
+            const items = await loadItems(lists.map(l => l.id));
+            res.json({ success: true, watchlists: lists.map(l => formatList(l, items.get(l.id))) });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        const name = cleanName(req.body?.name);
+        const mints = Array.isArray(req.body?.mints) ? [...new Set(req.body.mints)] : [];
+        if (!name) return res.status(400).json({ success: false, error: `name is required (max ${MAX_NAME_LENGTH} chars)` });
+        if (mints.length > MAX_ITEMS_PER_LIST || !mints.every(isValidPubkey)) {
+            return res.status(400).json({ success: false, error: `mints must be up to ${MAX_ITEMS_PER_LIST} valid addresses` });
+        }
+
+        try {
+            const count = await db.get('SELECT COUNT(*)::int AS n FROM watchlists WHERE pubkey = $1', [req.user.pubkey]);
+            if (count.n >= MAX_LISTS_PER_USER) {
+                return res.status(400).json({ success: false, error: `Limit of ${MAX_LISTS_PER_USER} watchlists reached` });
+            }
+
+            const now = Date.now();
+            const list = await db.get(`
+                INSERT INTO watchlists (pubkey, name, created_at, updated_at) VALUES ($1, $2, $3, $3)
+                RETURNING *
+            `, [req.user.pubkey, name, now]);
+
+            if (mints.length > 0) {
+                await db.run(`
+                    INSERT INTO watchlist_items (watchlist_id, mint, added_at)
+                    SELECT $1, m, $2 FROM UNNEST($3::text[]) AS m
+                    ON CONFLICT DO NOTHING
+                `, [list.id, now, mints]);
+            }
+
+            const items = await loadItems([list.id]);
+            res.status(201).json({ success: true, watchlist: formatList(list, items.get(list.id)) });
+        } catch (e) {
+            if (e.code === '23505') return res.status(409).json({ success: false, error: 'A watchlist with that name already exists' });
+            console.error("Create Watchlist Error:", e);
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const list = await loadOwnedList(req, res);
+            if (!list) return;
+            const items = await loadItems([list.id]);
+            res.json({ success: true, watchlist: formatList(list, items.get(list.id)) });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.patch('/:id', async (req, res) => {
+        const name = cleanName(req.body?.name);
+        if (!name) return res.status(400).json({ success: false, error: `name is required (max ${MAX_NAME_LENGTH} chars)` });
+
+        try {
+            const list = await loadOwnedList(req, res);
+            if (!list) return;
+            const updated = await db.get(`UPDATE watchlists SET name = $1, updated_at = $2 WHERE id = $3 RETURNING *`, [name, Date.now(), list.id]);
+            const items = await loadItems([list.id]);
+            res.json({ success: true, watchlist: formatList(updated, items.get(list.id)) });
+        } catch (e) {
+            if (e.code === '23505') return res.status(409).json({ success: false, error: 'A watchlist with that name already exists' });
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const list = await loadOwnedList(req, res);
+            if (!list) return;
+            await db.run('DELETE FROM watchlists WHERE id = $1', [list.id]);
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    // --- ITEMS ---
+    router.post('/:id/items', async (req, res) => {
+        const { mint } = req.body || {};
+        if (!isValidPubkey(mint)) return res.status(400).json({ success: false, error: 'Invalid mint' });
+
+        try {
+            const list = await loadOwnedList(req, res);
+            if (!list) return;
+
+            const count = await db.get('SELECT COUNT(*)::int AS n FROM watchlist_items WHERE watchlist_id = $1', [list.id]);
+            if (count.n >= MAX_ITEMS_PER_LIST) {
+                return res.status(400).json({ success: false, error: `Limit of ${MAX_ITEMS_PER_LIST} tokens per watchlist reached` });
+            }
+
+            const now = Date.now();
+            await db.run(`
+                INSERT INTO watchlist_items (watchlist_id, mint, added_at) VALUES ($1, $2, $3)
+                ON CONFLICT DO NOTHING
+            `, [list.id, mint, now]);
+            await db.run('UPDATE watchlists SET updated_at = $1 WHERE id = $2', [now, list.id]);
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    router.delete('/:id/items/:mint', async (req, res) => {
+        try {
+            const list = await loadOwnedList(req, res);
+            if (!list) return;
+
+            const result = await db.run('DELETE FROM watchlist_items WHERE watchlist_id = $1 AND mint = $2', [list.id, req.params.mint]);
+            if (result.rowCount === 0) return res.status(404).json({ success: false, error: 'Token not in watchlist' });
+
+            await db.run('UPDATE watchlists SET updated_at = $1 WHERE id = $2', [Date.now(), list.id]);
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'DB Error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { init };
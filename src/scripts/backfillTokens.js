@@ -1,17 +1,24 @@
 /**
  * Auto Seeder Task (DexScreener Top Volume Version)
  * Replaces the blocked Pump.fun API with DexScreener to fetch top volume tokens.
- * Focuses on 'pump' DEX pairs to find tokens relevant to the PumpFun ecosystem.
+ * Focuses on pump.fun tokens at any stage: still on the curve, or graduated to
+ * PumpSwap / Raydium (the Lifecycle Tracker works out which).
  */
-const axios = require('axios');
 const { logger } = require('../services');
 const { saveTokenData } = require('../services/database');
+const marketData = require('../services/marketData');
 
 // Configuration
 const MIN_VOLUME_24H = 5000; // Only index tokens with > $5k daily volume
 const BATCH_SIZE = 50; // DexScreener usually returns 30-50 pairs per search
 let isRunning = false;
 
+// DexScreener dexIds of the pump.fun curve and its own AMM
+const PUMP_DEX_IDS = ['pumpfun', 'pump', 'pumpswap'];
+
+// pump.fun mints are vanity addresses ending in 'pump'; graduated ones trade elsewhere
+const isPumpPair = (pair) => PUMP_DEX_IDS.includes(pair.dexId) || pair.baseToken?.address?.endsWith('pump');
+
 // Search terms to find active Pump tokens on DexScreener
 // We rotate these to find "Top" tokens in different clusters
 const SEARCH_TERMS = ['pump', 'solana', 'meme', 'coin', 'moon', 'pepe', 'doge'];
@@ -25,13 +32,9 @@ async function syncTopTokens(deps) {
     logger.info(`🏆 AutoSeeder: Scanning DexScreener for Top Volume '${term}' tokens...`);
 
     try {
-        // DexScreener Search API
+        // Search through the provider chain (DexScreener first)
         // This returns pairs sorted by relevance/volume usually
-        const response = await axios.get(`https://api.dexscreener.com/latest/dex/search?q=${term}`, {
-            timeout: 10000
-        });
-
-        const pairs = response.data.pairs;
+        const pairs = await marketData.searchPairs(deps, term);
         if (!pairs || pairs.length === 0) {
             isRunning = false;
             return;
@@ -43,12 +46,8 @@ async function syncTopTokens(deps) {
             // 1. Solana Only
             if (pair.chainId !== 'solana') continue;
 
-            // 2. Strict Filter: PumpSwap LP (Bonding Curve) OR Raydium (Graduated)
-            // If you ONLY want pre-bonded, check for dexId === 'pump'
-            // If you want ALL successful pump tokens, checking for 'pump' in labels or dexId helps.
-            // Note: DexScreener often labels the DEX as 'raydium' if it graduated.
-            // To find "Only PumpSwap LP", we look for dexId 'pump'.
-            if (pair.dexId !== 'pump') continue;
+            // 2. pump.fun tokens only: bonding curve, PumpSwap or graduated to another DEX
+            if (!isPumpPair(pair)) continue;
 
             // 3. Volume Check (Ensure it's a "Top" token)
             const volume = pair.volume?.h24 || 0;
@@ -59,7 +58,7 @@ async function syncTopTokens(deps) {
             addedCount++;
         }
 
-        logger.info(`🏆 AutoSeeder: Synced ${addedCount} active PumpSwap pairs from '${term}'.`);
+        logger.info(`🏆 AutoSeeder: Synced ${addedCount} active pump.fun pairs from '${term}'.`);
 
     } catch (e) {
         logger.error(`🏆 AutoSeeder Error: ${e.message}`);
@@ -0,0 +1,37 @@
+/**
+ * Trade Parser Fixture Check
+ * Runs utils/trades.parseSwap over every stored transaction in
+ * src/fixtures/transactions and compares the result with its 'expected'
+ * field. Exits non-zero on any mismatch. No network or database needed.
+ * Usage:
+ *   npm run check:trades
+ * To add a case, save a getTransaction JSON response (encoding 'json',
+ * maxSupportedTransactionVersion 0) as { description, pool, transaction, expected }.
+ */
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { parseSwap } = require('../utils/trades');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'transactions');
+
+function main() {
+    const files = fs.readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.json')).sort();
+    let failed = 0;
+
+    for (const file of files) {
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+        try {
+            assert.deepStrictEqual(parseSwap(fixture.transaction, fixture.pool), fixture.expected);
+            console.log(`ok    ${file}`);
+        } catch (e) {
+            failed++;
+            console.log(`FAIL  ${file}: ${fixture.description}\n${e.message}`);
+        }
+    }
+
+    console.log(`\n${files.length - failed}/${files.length} fixtures passed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,43 @@
+/**
+ * Migration CLI
+ * Usage:
+ *   npm run migrate                 apply all pending migrations
+ *   npm run migrate -- up [version] apply pending migrations up to 'version'
+ *   npm run migrate -- down [steps] revert the last 'steps' migrations (default 1)
+ *   npm run migrate -- status       list migrations and when they were applied
+ */
+require('dotenv').config();
+const { initDB } = require('../services/database');
+const { migrateUp, migrateDown, getStatus } = require('../services/migrations');
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const db = await initDB({ migrate: false });
+
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp(db.pool, { to: arg ? parseInt(arg) : Infinity });
+            console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Schema is up to date.');
+        } else if (command === 'down') {
+            const steps = arg ? parseInt(arg) : 1;
+            if (!(steps > 0)) throw new Error('steps must be a positive number');
+            const reverted = await migrateDown(db.pool, { steps });
+            console.log(reverted.length ? `Reverted: ${reverted.join(', ')}` : 'Nothing to revert.');
+        } else if (command === 'status') {
+            const rows = await getStatus(db.pool);
+            rows.forEach(r => {
+                const state = r.appliedAt ? `applied ${new Date(r.appliedAt).toISOString()}` : 'pending';
+                console.log(`${String(r.version).padStart(3, '0')}_${r.name}  ${state}`);
+            });
+        } else {
+            throw new Error(`Unknown command '${command}' (expected up, down or status)`);
+        }
+    } finally {
+        await db.pool.end();
+    }
+}
+
+main().catch(err => {
+    console.error("❌ Migration Error:", err.message);
+    process.exit(1);
+});
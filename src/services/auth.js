@@ -0,0 +1,224 @@
+/**
+ * Wallet Authentication & API Keys
+ * Sign-in: the server issues a one-time nonce, the wallet signs the sign-in
+ * message (ed25519), the server verifies it against the pubkey and returns
+ * a session token. Signed-in users can mint API keys with rate-limit tiers.
+ * Only SHA-256 hashes of session tokens and API keys are stored.
+ *
+ * Sessions are looked up on every request, so a logout takes effect on every
+ * API node at once. API key lookups (every keyed request) are cached briefly
+ * per process; revocations and tier changes are broadcast over Redis so each
+ * node drops its cache, and the TTL bounds staleness if a message is missed.
+ */
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../config/env');
+const { TIERS } = require('../config/rateLimits');
+const { getClient } = require('./redis');
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS = config.SESSION_TTL_HOURS * 60 * 60 * 1000;
+const API_KEY_PREFIX = 'hdx_';
+
+// DER header for a raw 32-byte ed25519 public key (SubjectPublicKeyInfo)
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Short-lived API key lookups so keyed requests don't all hit Postgres
+const LOOKUP_CACHE_MS = 60 * 1000;
+const apiKeyCache = new Map();
+
+const INVALIDATE_CHANNEL = 'holdex:auth:invalidate';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function cacheGet(cache, key) {
+    const hit = cache.get(key);
+    if (!hit) return undefined;
+    if (hit.expires < Date.now()) {
+        cache.delete(key);
+        return undefined;
+    }
+    return hit.value;
+}
+
+function cacheSet(cache, key, value) {
+    if (cache.size > 10000) cache.clear();
+    cache.set(key, { value, expires: Date.now() + LOOKUP_CACHE_MS });
+}
+
+function buildSignInMessage(pubkey, nonce, issuedAt) {
+    return [
+        'Sign in to HolDex',
+        '',
+        `Wallet: ${pubkey}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date(issuedAt).toISOString()}`
+    ].join('\n');
+}
+
+function verifyWalletSignature(pubkey, message, signatureB58) {
+    try {
+        const publicKey = crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(pubkey).toBuffer()]),
+            format: 'der',
+            type: 'spki'
+        });
+        return crypto.verify(null, Buffer.from(message), publicKey, Buffer.from(bs58.decode(signatureB58)));
+    } catch (e) {
+        return false;
+    }
+}
+
+// Each request gets its own row, so asking for a nonce can't replace one
+// another client is about to sign for the same wallet
+async function issueNonce(db, pubkey) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = Date.now();
+
+    await db.run(`DELETE FROM auth_nonces WHERE expires_at < $1`, [issuedAt]);
+    await db.run(`
+        INSERT INTO auth_nonces (nonce, pubkey, issued_at, expires_at) VALUES ($1, $2, $3, $4)
+    `, [nonce, pubkey, issuedAt, issuedAt + NONCE_TTL_MS]);
+
+    return { nonce, message: buildSignInMessage(pubkey, nonce, issuedAt), expiresAt: issuedAt + NONCE_TTL_MS };
+}
+
+/**
+ * Consumes 'nonce' (issued to 'pubkey') and, if the signature checks out,
+ * opens a session. Resolves to { token, expiresAt } or null.
+ */
+async function signIn(db, pubkey, nonce, signature) {
+    // Delete-and-return makes the nonce single use even under concurrent attempts
+    const row = await db.get(`
+        DELETE FROM auth_nonces WHERE nonce = $1 AND pubkey = $2 RETURNING issued_at, expires_at
+    `, [nonce, pubkey]);
+    if (!row || Number(row.expires_at) < Date.now()) return null;
+
+    const message = buildSignInMessage(pubkey, nonce, Number(row.issued_at));
+    if (!verifyWalletSignature(pubkey, message, signature)) return null;
+
+    const now = Date.now();
+    await db.run(`
+        INSERT INTO users (pubkey, created_at, last_login_at) VALUES ($1, $2, $2)
+        ON CONFLICT (pubkey) DO UPDATE SET last_login_at = EXCLUDED.last_login_at
+    `, [pubkey, now]);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = now + SESSION_TTL_MS;
+    await db.run(`
+        INSERT INTO sessions (token_hash, pubkey, created_at, expires_at) VALUES ($1, $2, $3, $4)
+    `, [hashToken(token), pubkey, now, expiresAt]);
+
+    return { token, expiresAt };
+}
+
+async function resolveSession(db, token) {
+    if (!token) return null;
+    const row = await db.get(`SELECT pubkey FROM sessions WHERE token_hash = $1 AND expires_at > $2`, [hashToken(token), Date.now()]);
+    return row ? { pubkey: row.pubkey } : null;
+}
+
+async function endSession(db, token) {
+    await db.run(`DELETE FROM sessions WHERE token_hash = $1`, [hashToken(token)]);
+}
+
+async function createApiKey(db, pubkey, name, tier) {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const row = await db.get(`
+        INSERT INTO api_keys (key_hash, key_prefix, pubkey, name, tier, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, key_prefix, name, tier, created_at
+    `, [hashToken(key), key.substring(0, 12), pubkey, name, tier, Date.now()]);
+    return { key, ...row };
+}
+
+async function resolveApiKey(db, key) {
+    if (!key || !key.startsWith(API_KEY_PREFIX)) return null;
+    const hash = hashToken(key);
+
+    const cached = cacheGet(apiKeyCache, hash);
+    if (cached !== undefined) return cached;
+
+    const row = await db.get(`SELECT id, pubkey, tier FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL`, [hash]);
+    const apiKey = row && TIERS[row.tier] ? { id: row.id, pubkey: row.pubkey, tier: row.tier } : null;
+    cacheSet(apiKeyCache, hash, apiKey);
+    return apiKey;
+}
+
+// Revocation/tier changes must not wait out the lookup cache, here or on other nodes
+function forgetApiKeys() {
+    apiKeyCache.clear();
+    const redis = getClient();
+    if (redis && redis.status === 'ready') redis.publish(INVALIDATE_CHANNEL, 'api-keys').catch(() => { });
+}
+
+/**
+ * Clears this process's API key cache whenever any node calls forgetApiKeys.
+ * Uses a dedicated connection (a subscribed client can't issue commands).
+ * Returns the subscriber connection (or null if Redis isn't configured).
+ */
+async function listenForInvalidations() {
+    const redis = getClient();
+    if (!redis) return null;
+
+    const subscriber = redis.duplicate();
+    subscriber.on('error', () => { }); // Main client already logs connection errors
+    subscriber.on('message', (channel) => {
+        if (channel === INVALIDATE_CHANNEL) apiKeyCache.clear();
+    });
+
+    await subscriber.subscribe(INVALIDATE_CHANNEL);
+    return subscriber;
+}
+
+function bearerToken(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.substring(7).trim() : null;
+}
+
+// --- MIDDLEWARE ---
+
+function requireUser(db) {
+    return async (req, res, next) => {
+        try {
+            const user = await resolveSession(db, bearerToken(req));
+            if (!user) return res.status(401).json({ success: false, error: 'Sign in required' });
+            req.user = user;
+            next();
+        } catch (e) {
+            res.status(500).json({ success: false, error: 'Auth Error' });
+        }
+    };
+}
+
+// Resolves 'x-api-key' (if any) onto req.apiKey for the rate limiters
+function attachApiKey(db) {
+    return async (req, res, next) => {
+        const key = req.get('x-api-key');
+        if (!key) return next();
+        try {
+            req.apiKey = await resolveApiKey(db, key);
+            if (!req.apiKey) return res.status(401).json({ success: false, error: 'Invalid API key' });
+        } catch (e) {
+            req.apiKey = null; // Fall back to anonymous limits rather than failing the request
+        }
+        next();
+    };
+}
+
+module.exports = {
+    issueNonce,
+    signIn,
+    endSession,
+    resolveSession,
+    createApiKey,
+    resolveApiKey,
+    forgetApiKeys,
+    listenForInvalidations,
+    verifyWalletSignature,
+    buildSignInMessage,
+    bearerToken,
+    requireUser,
+    attachApiKey
+};
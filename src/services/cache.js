@@ -0,0 +1,260 @@
+/**
+ * Cache Service
+ * Read-through cache for API responses. Redis when it is ready, otherwise a
+ * bounded in-process store, so an outage costs hit rate instead of errors.
+ *
+ * - Single flight: concurrent misses for a key share one fetch
+ * - Stale-while-revalidate: for 'staleSeconds' past its TTL an entry is still
+ *   served while one refresh runs in the background (one per cluster via a
+ *   short Redis lock)
+ * - Negative caching: null / { success: false } results are kept for
+ *   'negativeSeconds' (never served stale)
+ * - Tags: entries can be tagged (e.g. tokenTag(mint)) and dropped together;
+ *   the worker invalidates a token's tag whenever it updates that token.
+ *   A fetch that was in flight across an invalidation of one of its tags
+ *   doesn't write its (possibly stale) result: this process marks its own
+ *   fetches, and a per-tag generation in Redis catches the other processes'
+ *
+ * The in-process store is per process and can't be invalidated from another
+ * one; its entries are only read while Redis is down and expire by TTL.
+ */
+const { getClient } = require('./redis');
+const { recordCache } = require('./metrics');
+const logger = require('./logger');
+
+const MAX_MEMORY_ENTRIES = 5000;
+const REFRESH_LOCK_MS = 10000;
+const TAG_PREFIX = 'cache:tag:';
+const GENERATION_PREFIX = 'cache:gen:';
+// Generations only need to outlive a fetch; an expired one just skips a write
+const GENERATION_TTL_SECONDS = 24 * 60 * 60;
+
+const memory = new Map(); // key -> { payload, expiresAt, tags }
+const memoryTags = new Map(); // tag -> Set of keys
+const inflight = new Map(); // key -> { promise, tags, invalidated }
+
+const tokenTag = (mint) => `token:${mint}`;
+
+const defaultIsNegative = (value) => value === null || value === undefined || value?.success === false;
+
+function readyRedis() {
+    const redis = getClient();
+    return redis && redis.status === 'ready' ? redis : null;
+}
+
+// --- IN-PROCESS STORE ---
+
+function memoryDelete(key) {
+    const entry = memory.get(key);
+    if (!entry) return;
+    memory.delete(key);
+    for (const tag of entry.tags) {
+        const keys = memoryTags.get(tag);
+        if (!keys) continue;
+        keys.delete(key);
+        if (keys.size === 0) memoryTags.delete(tag);
+    }
+}
+
+function memoryGet(key) {
+    const entry = memory.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        memoryDelete(key);
+        return null;
+    }
+    // Re-insert so eviction drops the least recently used first
+    memory.delete(key);
+    memory.set(key, entry);
+    return entry.payload;
+}
+
+function memorySet(key, payload, seconds, tags) {
+    memoryDelete(key);
+    memory.set(key, { payload, expiresAt: Date.now() + seconds * 1000, tags });
+    for (const tag of tags) {
+        if (!memoryTags.has(tag)) memoryTags.set(tag, new Set());
+        memoryTags.get(tag).add(key);
+    }
+    while (memory.size > MAX_MEMORY_ENTRIES) memoryDelete(memory.keys().next().value);
+}
+
+// --- STORE ACCESS (Redis first, memory when it is down) ---
+
+async function readEntry(key) {
+    const redis = readyRedis();
+    if (redis) {
+        try {
+            const payload = await redis.get(key);
+            return payload ? JSON.parse(payload) : null;
+        } catch (e) { }
+    }
+    const payload = memoryGet(key);
+    return payload ? JSON.parse(payload) : null;
+}
+
+// 'seconds' is how long the entry is kept at all (TTL plus stale window)
+async function writeEntry(key, entry, seconds, tags) {
+    const payload = JSON.stringify(entry);
+    const redis = readyRedis();
+    if (redis) {
+        try {
+            const multi = redis.multi().set(key, payload, 'EX', seconds);
+            // Tag sets live as long as their longest entry (EXPIRE NX / GT need Redis 7)
+            for (const tag of tags) {
+                multi.sadd(TAG_PREFIX + tag, key).expire(TAG_PREFIX + tag, seconds, 'NX').expire(TAG_PREFIX + tag, seconds, 'GT');
+            }
+            await multi.exec();
+            return;
+        } catch (e) { }
+    }
+    memorySet(key, payload, seconds, tags);
+}
+
+/**
+ * Snapshot of the Redis generations of 'tags' (bumped by every invalidation,
+ * from any process). Two equal snapshots mean none of them was invalidated
+ * in between.
+ */
+async function tagGenerations(tags) {
+    const redis = readyRedis();
+    if (!redis || tags.length === 0) return null;
+    try {
+        return JSON.stringify(await redis.mget(...tags.map(tag => GENERATION_PREFIX + tag)));
+    } catch (e) {
+        return null;
+    }
+}
+
+async function deleteEntry(key) {
+    memoryDelete(key);
+    const redis = readyRedis();
+    if (!redis) return;
+    try {
+        await redis.del(key);
+    } catch (e) { }
+}
+
+// Only one node revalidates a stale key; without Redis every process may
+async function acquireRefresh(key) {
+    const redis = readyRedis();
+    if (!redis) return true;
+    try {
+        return (await redis.set(`${key}:refresh`, '1', 'PX', REFRESH_LOCK_MS, 'NX')) === 'OK';
+    } catch (e) {
+        return true;
+    }
+}
+
+async function releaseRefresh(key) {
+    const redis = readyRedis();
+    if (!redis) return;
+    try {
+        await redis.del(`${key}:refresh`);
+    } catch (e) { }
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Returns the cached value for 'key', or runs 'fetchFunction' and caches its
+ * result for 'ttlSeconds'. Options:
+ *   tags            - invalidation tags, e.g. [tokenTag(mint)]
+ *   staleSeconds    - how long past the TTL a value is served while it refreshes (default: ttlSeconds)
+ *   negativeSeconds - TTL for negative results (default: min(ttlSeconds, 10))
+ *   isNegative      - what counts as negative (default: null / undefined / { success: false })
+ * Errors from 'fetchFunction' are never cached; a failed background refresh
+ * keeps serving the stale value.
+ */
+async function cached(key, ttlSeconds, fetchFunction, options = {}) {
+    const {
+        tags = [],
+        staleSeconds = ttlSeconds,
+        negativeSeconds = Math.min(ttlSeconds, 10),
+        isNegative = defaultIsNegative
+    } = options;
+
+    const load = () => {
+        if (inflight.has(key)) return inflight.get(key).promise;
+
+        const flight = { tags, invalidated: false };
+        flight.promise = (async () => {
+            const generation = await tagGenerations(tags);
+            const value = await fetchFunction();
+            const negative = isNegative(value);
+            const ttl = negative ? negativeSeconds : ttlSeconds;
+            const keep = negative ? negativeSeconds : ttlSeconds + staleSeconds;
+            // Invalidated while fetching: the value may predate the change, so don't
+            // keep it. Checked after the write too, so an invalidation landing between
+            // the check and the write can't leave it behind.
+            if (keep > 0 && !flight.invalidated) {
+                await writeEntry(key, { value, freshUntil: Date.now() + ttl * 1000 }, keep, tags);
+                if (flight.invalidated || await tagGenerations(tags) !== generation) await deleteEntry(key);
+            }
+            return value;
+        })().finally(() => {
+            if (inflight.get(key) === flight) inflight.delete(key);
+        });
+
+        inflight.set(key, flight);
+        return flight.promise;
+    };
+
+    const entry = await readEntry(key);
+    if (!entry) {
+        recordCache('miss');
+        return load();
+    }
+
+    if (entry.freshUntil > Date.now()) {
+        recordCache('hit');
+        return entry.value;
+    }
+
+    recordCache('stale');
+    if (!inflight.has(key) && await acquireRefresh(key)) {
+        load()
+            .catch(e => logger.warn(`[Cache] Refresh failed for ${key}: ${e.message}`))
+            .finally(() => releaseRefresh(key));
+    }
+    return entry.value;
+}
+
+/**
+ * Drops every entry carrying any of 'tags', in Redis and in this process, and
+ * stops fetches already in flight (here or, via the generations, elsewhere)
+ * from writing back.
+ * Later callers of an in-flight key start a fresh fetch instead of joining it.
+ */
+async function invalidateTags(tags) {
+    if (tags.length === 0) return;
+
+    for (const tag of tags) {
+        for (const key of [...(memoryTags.get(tag) || [])]) memoryDelete(key);
+    }
+    for (const [key, flight] of inflight) {
+        if (!flight.tags.some(tag => tags.includes(tag))) continue;
+        flight.invalidated = true;
+        inflight.delete(key);
+    }
+
+    const redis = readyRedis();
+    if (!redis) return;
+    try {
+        const multi = redis.multi();
+        for (const tag of tags) multi.incr(GENERATION_PREFIX + tag).expire(GENERATION_PREFIX + tag, GENERATION_TTL_SECONDS);
+        await multi.exec();
+
+        const sets = tags.map(tag => TAG_PREFIX + tag);
+        const keys = await redis.sunion(...sets);
+        await redis.del(...keys, ...sets);
+    } catch (e) {
+        logger.warn(`[Cache] Invalidation failed for ${tags.length} tags: ${e.message}`);
+    }
+}
+
+async function invalidateTokens(mints) {
+    return invalidateTags(mints.map(tokenTag));
+}
+
+module.exports = { cached, invalidateTags, invalidateTokens, tokenTag };
@@ -0,0 +1,47 @@
+/**
+ * Per-process circuit breaker.
+ * Opens after 'threshold' consecutive failures; once 'cooldownMs' has passed
+ * a single probe call is let through (half-open) and its outcome decides
+ * whether the circuit closes again.
+ */
+const { setCircuitOpen } = require('../metrics');
+
+function createBreaker(name, { threshold = 5, cooldownMs = 30000 } = {}) {
+    let failures = 0;
+    let openedAt = 0;
+    let probing = false;
+
+    const isOpen = () => failures >= threshold;
+
+    return {
+        canRequest() {
+            if (!isOpen()) return true;
+            if (probing || Date.now() - openedAt < cooldownMs) return false;
+            probing = true;
+            return true;
+        },
+        success() {
+            failures = 0;
+            probing = false;
+            setCircuitOpen(name, false);
+        },
+        failure() {
+            failures++;
+            probing = false;
+            if (isOpen()) {
+                openedAt = Date.now();
+                setCircuitOpen(name, true);
+            }
+        },
+        // Gives back a probe slot that ended up not being used
+        release() {
+            probing = false;
+        },
+        state() {
+            if (!isOpen()) return 'closed';
+            return probing || Date.now() - openedAt >= cooldownMs ? 'half-open' : 'open';
+        }
+    };
+}
+
+module.exports = { createBreaker };
@@ -0,0 +1,26 @@
+/**
+ * Shared rate-limit budgets for outbound market-data APIs.
+ * Fixed windows counted in Redis, so the API and every worker replica draw
+ * from one allowance per provider. Fails open when Redis is unavailable.
+ */
+const { getClient } = require('../redis');
+
+async function takeBudget(name, { limit, windowSec }) {
+    try {
+        const redis = getClient();
+        if (!redis || redis.status !== 'ready') return true;
+
+        const key = `ratelimit:${name}:global`;
+        const current = await redis.incr(key);
+
+        if (current === 1) {
+            await redis.expire(key, windowSec);
+        }
+
+        return current <= limit;
+    } catch (e) {
+        return true;
+    }
+}
+
+module.exports = { takeBudget };
@@ -0,0 +1,53 @@
+/**
+ * DexScreener provider
+ * The canonical pair shape used across HolDex is DexScreener's; other
+ * providers map their responses onto it.
+ */
+const axios = require('axios');
+
+const BASE_URL = 'https://api.dexscreener.com/latest/dex';
+
+// /tokens/ accepts at most 30 addresses
+const MINTS_PER_REQUEST = 30;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One retry on 429 before letting the failover chain take over
+async function get(url, timeout) {
+    try {
+        return await axios.get(url, { timeout });
+    } catch (e) {
+        if (e.response?.status !== 429) throw e;
+        await delay(1000);
+        return axios.get(url, { timeout });
+    }
+}
+
+async function searchPairs(deps, query) {
+    const res = await get(`${BASE_URL}/search?q=${encodeURIComponent(query)}`, 5000);
+    return res.data?.pairs || [];
+}
+
+async function getPairsByMints(deps, mints) {
+    const pairs = [];
+    for (let i = 0; i < mints.length; i += MINTS_PER_REQUEST) {
+        const chunk = mints.slice(i, i + MINTS_PER_REQUEST);
+        const res = await get(`${BASE_URL}/tokens/${chunk.join(',')}`, 10000);
+        pairs.push(...(res.data?.pairs || []));
+    }
+    return pairs;
+}
+
+// No public "latest pairs" feed; a broad 'pump' search surfaces fresh meme pairs
+async function getNewPairs(deps) {
+    return searchPairs(deps, 'pump');
+}
+
+module.exports = {
+    name: 'dexscreener',
+    // Shared across the API and all workers (DexScreener allows ~300/min)
+    budget: { limit: 250, windowSec: 60 },
+    searchPairs,
+    getPairsByMints,
+    getNewPairs
+};
@@ -0,0 +1,61 @@
+/**
+ * Fixture provider
+ * Serves recorded responses from disk so tasks and routes can run offline:
+ *
+ *   <dir>/search/<query>.json   pairs returned for a search
+ *   <dir>/pairs/<mint>.json     pairs for one mint
+ *   <dir>/new-pairs.json        new-pair discovery feed
+ *
+ * Missing files read as "no pairs". Set MARKET_DATA_RECORD_DIR to capture
+ * live responses into the same layout (see record()).
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/env');
+
+const slug = (query) => String(query).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 64) || '_';
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+}
+
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function createFixtureProvider(dir = config.MARKET_DATA_FIXTURES_DIR) {
+    return {
+        name: 'fixture',
+        budget: null,
+        async searchPairs(deps, query) {
+            return readJson(path.join(dir, 'search', `${slug(query)}.json`));
+        },
+        async getPairsByMints(deps, mints) {
+            return mints.flatMap(mint => readJson(path.join(dir, 'pairs', `${mint}.json`)));
+        },
+        async getNewPairs() {
+            return readJson(path.join(dir, 'new-pairs.json'));
+        }
+    };
+}
+
+// Writes a live result where the fixture provider will look for it
+function record(dir, method, arg, pairs) {
+    if (method === 'searchPairs') {
+        writeJson(path.join(dir, 'search', `${slug(arg)}.json`), pairs);
+    } else if (method === 'getNewPairs') {
+        writeJson(path.join(dir, 'new-pairs.json'), pairs);
+    } else if (method === 'getPairsByMints') {
+        for (const mint of arg) {
+            writeJson(path.join(dir, 'pairs', `${mint}.json`), pairs.filter(p => p.baseToken?.address === mint));
+        }
+    }
+}
+
+module.exports = { createFixtureProvider, record };
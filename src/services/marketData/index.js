@@ -0,0 +1,106 @@
+/**
+ * Market Data
+ * Single entry point for token search, pairs-by-mint and new-pair discovery.
+ * Providers are tried in MARKET_DATA_PROVIDERS order. One is skipped when its
+ * circuit is open, its shared rate budget is spent or it doesn't support the
+ * call; an error falls through to the next. Every provider returns
+ * DexScreener-shaped pairs, tagged with 'source'.
+ */
+const config = require('../../config/env');
+const logger = require('../logger');
+const { recordFailover } = require('../metrics');
+const { takeBudget } = require('./budget');
+const { createBreaker } = require('./breaker');
+const { createFixtureProvider, record } = require('./fixture');
+
+const AVAILABLE = {
+    dexscreener: () => require('./dexscreener'),
+    jupiter: () => require('./jupiter'),
+    onchain: () => require('./onchain'),
+    fixture: () => createFixtureProvider()
+};
+
+class MarketDataError extends Error {
+    constructor(message, attempts = []) {
+        super(message);
+        this.name = 'MarketDataError';
+        this.attempts = attempts;
+    }
+}
+
+let chain = null;
+
+function getChain() {
+    if (chain) return chain;
+    chain = config.MARKET_DATA_PROVIDERS
+        .filter(name => {
+            if (AVAILABLE[name]) return true;
+            logger.warn(`[MarketData] Unknown provider '${name}' ignored`);
+            return false;
+        })
+        .map(name => ({ provider: AVAILABLE[name](), breaker: createBreaker(name) }));
+    return chain;
+}
+
+// Bad input (4xx other than 429) says nothing about the provider's health
+function isProviderFault(e) {
+    const status = e.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+async function call(deps, method, arg) {
+    const attempts = [];
+
+    for (const { provider, breaker } of getChain()) {
+        if (typeof provider[method] !== 'function') continue;
+
+        if (!breaker.canRequest()) {
+            attempts.push(`${provider.name}: circuit open`);
+            continue;
+        }
+        if (provider.budget && !(await takeBudget(provider.name, provider.budget))) {
+            breaker.release();
+            attempts.push(`${provider.name}: rate budget spent`);
+            continue;
+        }
+
+        try {
+            const pairs = (await provider[method](deps, arg)).map(p => ({ ...p, source: provider.name }));
+            breaker.success();
+            if (attempts.length > 0) recordFailover(method, provider.name);
+            if (config.MARKET_DATA_RECORD_DIR && provider.name !== 'fixture') {
+                record(config.MARKET_DATA_RECORD_DIR, method, arg, pairs);
+            }
+            return pairs;
+        } catch (e) {
+            if (isProviderFault(e)) breaker.failure(); else breaker.success();
+            attempts.push(`${provider.name}: ${e.message}`);
+            logger.warn(`[MarketData] ${provider.name}.${method} failed: ${e.message}`);
+        }
+    }
+
+    throw new MarketDataError(`No market-data provider could serve ${method} (${attempts.join('; ') || 'none configured'})`, attempts);
+}
+
+/** Pairs matching a free-text query (ticker, name or address). */
+function searchPairs(deps, query) {
+    return call(deps, 'searchPairs', query);
+}
+
+/** All known pairs whose base token is one of 'mints' (any batch size). */
+function getPairsByMints(deps, mints) {
+    if (mints.length === 0) return Promise.resolve([]);
+    return call(deps, 'getPairsByMints', mints);
+}
+
+/** Recently created pairs, for the new-token listener. */
+function getNewPairs(deps) {
+    return call(deps, 'getNewPairs');
+}
+
+module.exports = {
+    searchPairs,
+    getPairsByMints,
+    getNewPairs,
+    MarketDataError
+};
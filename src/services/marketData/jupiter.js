@@ -0,0 +1,78 @@
+/**
+ * Jupiter provider (Tokens API v2)
+ * Aggregated per-token stats rather than per-pool data, so each token maps
+ * to a single synthetic pair with dexId 'jupiter'. Good enough for prices,
+ * market cap and search; pool discovery ignores these pairs.
+ */
+const axios = require('axios');
+
+const BASE_URL = 'https://lite-api.jup.ag/tokens/v2';
+
+// /search accepts up to 100 comma-separated mints
+const MINTS_PER_REQUEST = 100;
+
+const num = (v) => (v === undefined || v === null ? undefined : Number(v));
+
+function toPair(t) {
+    const socials = [];
+    if (t.twitter) socials.push({ type: 'twitter', url: t.twitter });
+    if (t.telegram) socials.push({ type: 'telegram', url: t.telegram });
+
+    const volume24h = t.stats24h ? (Number(t.stats24h.buyVolume) || 0) + (Number(t.stats24h.sellVolume) || 0) : 0;
+    const createdAt = t.firstPool?.createdAt ? Date.parse(t.firstPool.createdAt) : NaN;
+
+    return {
+        chainId: 'solana',
+        dexId: 'jupiter',
+        pairAddress: t.firstPool?.id || null,
+        baseToken: { address: t.id, name: t.name, symbol: t.symbol },
+        quoteToken: null,
+        priceUsd: t.usdPrice !== undefined && t.usdPrice !== null ? String(t.usdPrice) : null,
+        fdv: num(t.fdv),
+        marketCap: num(t.mcap),
+        liquidity: { usd: Number(t.liquidity) || 0 },
+        volume: { h24: volume24h },
+        priceChange: {
+            m5: num(t.stats5m?.priceChange),
+            h1: num(t.stats1h?.priceChange),
+            h24: num(t.stats24h?.priceChange)
+        },
+        pairCreatedAt: Number.isNaN(createdAt) ? undefined : createdAt,
+        info: {
+            imageUrl: t.icon,
+            websites: t.website ? [{ url: t.website }] : [],
+            socials
+        }
+    };
+}
+
+async function searchPairs(deps, query) {
+    const res = await axios.get(`${BASE_URL}/search?query=${encodeURIComponent(query)}`, { timeout: 5000 });
+    return (res.data || []).map(toPair);
+}
+
+async function getPairsByMints(deps, mints) {
+    const pairs = [];
+    for (let i = 0; i < mints.length; i += MINTS_PER_REQUEST) {
+        const chunk = mints.slice(i, i + MINTS_PER_REQUEST);
+        const res = await axios.get(`${BASE_URL}/search?query=${chunk.join(',')}`, { timeout: 10000 });
+        pairs.push(...(res.data || []).map(toPair));
+    }
+    return pairs;
+}
+
+// Tokens whose first pool was created most recently
+async function getNewPairs() {
+    const res = await axios.get(`${BASE_URL}/recent`, { timeout: 5000 });
+    return (res.data || []).map(toPair);
+}
+
+module.exports = {
+    name: 'jupiter',
+    // The keyless lite API allows 60/min
+    budget: { limit: 50, windowSec: 60 },
+    searchPairs,
+    getPairsByMints,
+    getNewPairs,
+    toPair
+};
@@ -0,0 +1,68 @@
+/**
+ * On-chain provider
+ * Answers pairs-by-mint from our own index: the pools resolved by Pool
+ * Discovery and the USD candles the Price Indexer writes from their vault
+ * reserves. No third-party API involved, so it keeps prices moving when
+ * every aggregator is down. Search and new-pair discovery aren't supported.
+ */
+const DAY_SECONDS = 24 * 60 * 60;
+
+const pctChange = (now, then) => (then > 0 ? ((now - then) / then) * 100 : 0);
+
+async function getPairsByMints(deps, mints) {
+    const { db } = deps;
+    if (mints.length === 0) return [];
+
+    const nowSec = Math.floor(Date.now() / 1000);
+    const rows = await db.all(`
+        SELECT p.mint, p.pair_address, p.dex, p.quote_mint,
+               t.name, t.ticker, t.image, t.marketCap, t.priceUsd, t.total_supply, t.circulating_supply,
+               latest.close, latest.time,
+               (SELECT close FROM candles WHERE mint = p.mint AND time <= $2 ORDER BY time DESC LIMIT 1) AS close_5m,
+               (SELECT close FROM candles WHERE mint = p.mint AND time <= $3 ORDER BY time DESC LIMIT 1) AS close_1h,
+               (SELECT close FROM candles WHERE mint = p.mint AND time <= $4 ORDER BY time DESC LIMIT 1) AS close_24h,
+               (SELECT COALESCE(SUM(volume), 0) FROM candles WHERE mint = p.mint AND time > $4) AS volume_24h
+        FROM pools p
+        LEFT JOIN tokens t ON t.mint = p.mint
+        JOIN LATERAL (
+            SELECT close, time FROM candles WHERE mint = p.mint ORDER BY time DESC LIMIT 1
+        ) latest ON TRUE
+        WHERE p.mint = ANY($1) AND p.pair_address IS NOT NULL
+    `, [mints, nowSec - 300, nowSec - 3600, nowSec - DAY_SECONDS]);
+
+    return rows.map(r => {
+        const price = Number(r.close) || 0;
+        // Supply from Holder Analytics; before its first scan, scale the last known market cap by the price move
+        const lastPrice = Number(r.priceusd) || 0;
+        const lastCap = Number(r.marketcap) || 0;
+        const scaledCap = lastPrice > 0 && lastCap > 0 ? lastCap * (price / lastPrice) : undefined;
+        const fdv = r.total_supply > 0 ? price * r.total_supply : scaledCap;
+        const marketCap = r.circulating_supply > 0 ? price * r.circulating_supply : scaledCap;
+
+        return {
+            chainId: 'solana',
+            dexId: r.dex || 'onchain',
+            pairAddress: r.pair_address,
+            baseToken: { address: r.mint, name: r.name, symbol: r.ticker },
+            quoteToken: { address: r.quote_mint },
+            priceUsd: String(price),
+            fdv,
+            marketCap,
+            // Reserves aren't stored, so every indexed pool ranks equally in getBestPair
+            liquidity: { usd: 0 },
+            volume: { h24: Number(r.volume_24h) || 0 },
+            priceChange: {
+                m5: pctChange(price, Number(r.close_5m)),
+                h1: pctChange(price, Number(r.close_1h)),
+                h24: pctChange(price, Number(r.close_24h))
+            },
+            info: { imageUrl: r.image }
+        };
+    });
+}
+
+module.exports = {
+    name: 'onchain',
+    budget: null,
+    getPairsByMints
+};
@@ -0,0 +1,237 @@
+/**
+ * Metrics Service
+ * Minimal in-process Prometheus registry (text exposition format 0.0.4).
+ * Each process (API, worker) exposes its own registry on GET /metrics.
+ *
+ * - HTTP request latency per route (API)
+ * - Cache (services/cache.js) hits, stale hits and misses
+ * - Outbound calls: DexScreener, Jupiter and other HTTP via axios, Solana RPC
+ *   via connections made with utils/solana.createConnection()
+ * - Market-data provider failovers and open circuits
+ * - Scheduled job runs, duration, freshness, items processed and lag (worker)
+ */
+const axios = require('axios');
+
+const PREFIX = 'holdex_';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelKey(labelNames, labels = {}) {
+    return labelNames.map(n => labels[n] ?? '').join('\u0000');
+}
+
+function formatLabels(labelNames, key, extra = '') {
+    const values = key.split('\u0000');
+    const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+    if (extra) parts.push(extra);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function register(metric) {
+    if (registry.has(metric.name)) return registry.get(metric.name);
+    registry.set(metric.name, metric);
+    return metric;
+}
+
+function counter(name, help, labelNames = []) {
+    const values = new Map();
+    return register({
+        name: PREFIX + name, help, type: 'counter', labelNames, values,
+        inc(labels, by = 1) {
+            const key = labelKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + by);
+        },
+        lines() {
+            return [...values].map(([key, v]) => `${this.name}${formatLabels(labelNames, key)} ${v}`);
+        }
+    });
+}
+
+// 'collect' (optional) is called at scrape time for values derived from other state
+function gauge(name, help, labelNames = [], collect = null) {
+    const values = new Map();
+    return register({
+        name: PREFIX + name, help, type: 'gauge', labelNames, values,
+        set(labels, v) {
+            values.set(labelKey(labelNames, labels), v);
+        },
+        lines() {
+            if (collect) collect(this);
+            return [...values].map(([key, v]) => `${this.name}${formatLabels(labelNames, key)} ${v}`);
+        }
+    });
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    return register({
+        name: PREFIX + name, help, type: 'histogram', labelNames, series,
+        observe(labels, v) {
+            const key = labelKey(labelNames, labels);
+            let s = series.get(key);
+            if (!s) {
+                s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, s);
+            }
+            buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+            s.sum += v;
+            s.count++;
+        },
+        lines() {
+            const out = [];
+            for (const [key, s] of series) {
+                buckets.forEach((b, i) => out.push(`${this.name}_bucket${formatLabels(labelNames, key, `le="${b}"`)} ${s.counts[i]}`));
+                out.push(`${this.name}_bucket${formatLabels(labelNames, key, 'le="+Inf"')} ${s.count}`);
+                out.push(`${this.name}_sum${formatLabels(labelNames, key)} ${s.sum}`);
+                out.push(`${this.name}_count${formatLabels(labelNames, key)} ${s.count}`);
+            }
+            return out;
+        }
+    });
+}
+
+function render() {
+    const out = [];
+    for (const m of registry.values()) {
+        out.push(`# HELP ${m.name} ${m.help}`);
+        out.push(`# TYPE ${m.name} ${m.type}`);
+        out.push(...m.lines());
+    }
+    return out.join('\n') + '\n';
+}
+
+// --- HTTP (API) ---
+const httpDuration = histogram('http_request_duration_seconds', 'API request latency by route', ['method', 'route', 'status']);
+
+// Express middleware. Labels by the matched route pattern (not the raw URL) to keep cardinality bounded.
+function httpMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    });
+    next();
+}
+
+// --- CACHE ---
+const cacheRequests = counter('cache_requests_total', 'Cache lookups by result (hit, stale, miss)', ['result']);
+gauge('cache_hit_ratio', 'Cache lookups answered from cache (fresh or stale) since process start', [], (g) => {
+    const hits = (cacheRequests.values.get('hit') || 0) + (cacheRequests.values.get('stale') || 0);
+    const total = hits + (cacheRequests.values.get('miss') || 0);
+    g.set({}, total > 0 ? hits / total : 0);
+});
+
+// result: 'hit', 'stale' or 'miss'
+function recordCache(result) {
+    cacheRequests.inc({ result });
+}
+
+// --- OUTBOUND CALLS ---
+const externalRequests = counter('external_requests_total', 'Outbound calls by service and endpoint', ['service', 'endpoint']);
+const externalErrors = counter('external_request_errors_total', 'Failed outbound calls by service and endpoint', ['service', 'endpoint']);
+const externalDuration = histogram('external_request_duration_seconds', 'Outbound call latency', ['service']);
+
+// Webhook hosts etc. are unbounded, so only known APIs get their own label
+function describeUrl(url) {
+    try {
+        const { hostname, pathname } = new URL(url);
+        if (hostname === 'api.dexscreener.com') {
+            return { service: 'dexscreener', endpoint: pathname.split('/').slice(0, 4).join('/') };
+        }
+        if (hostname === 'lite-api.jup.ag') {
+            return { service: 'jupiter', endpoint: pathname.split('/').slice(0, 4).join('/') };
+        }
+        return { service: 'other', endpoint: '' };
+    } catch (e) {
+        return { service: 'other', endpoint: '' };
+    }
+}
+
+function recordExternal(labels, startedAt, failed) {
+    externalRequests.inc(labels);
+    if (failed) externalErrors.inc(labels);
+    externalDuration.observe({ service: labels.service }, (Date.now() - startedAt) / 1000);
+}
+
+let axiosInstrumented = false;
+
+// Counts every request made through the shared axios instance
+function instrumentAxios() {
+    if (axiosInstrumented) return;
+    axiosInstrumented = true;
+
+    axios.interceptors.request.use((cfg) => {
+        cfg.metadata = { startedAt: Date.now() };
+        return cfg;
+    });
+    axios.interceptors.response.use((res) => {
+        recordExternal(describeUrl(res.config.url), res.config.metadata?.startedAt || Date.now(), false);
+        return res;
+    }, (err) => {
+        if (err.config) recordExternal(describeUrl(err.config.url), err.config.metadata?.startedAt || Date.now(), true);
+        return Promise.reject(err);
+    });
+}
+
+// fetch() replacement for @solana/web3.js Connections; labels by JSON-RPC method
+async function rpcFetch(input, init) {
+    let method = 'unknown';
+    try {
+        const body = JSON.parse(init?.body || '{}');
+        method = Array.isArray(body) ? 'batch' : body.method;
+    } catch (e) { }
+
+    const labels = { service: 'rpc', endpoint: method };
+    const startedAt = Date.now();
+    try {
+        const res = await fetch(input, init);
+        recordExternal(labels, startedAt, !res.ok);
+        return res;
+    } catch (e) {
+        recordExternal(labels, startedAt, true);
+        throw e;
+    }
+}
+
+// --- MARKET-DATA PROVIDERS ---
+const providerFailovers = counter('market_data_failovers_total', 'Calls served by a fallback provider, by method and provider', ['method', 'provider']);
+const providerCircuitOpen = gauge('market_data_circuit_open', 'Whether a provider\'s circuit breaker is open (1) in this process', ['provider']);
+
+function recordFailover(method, provider) {
+    providerFailovers.inc({ method, provider });
+}
+
+function setCircuitOpen(provider, open) {
+    providerCircuitOpen.set({ provider }, open ? 1 : 0);
+}
+
+// --- SCHEDULED JOBS (worker) ---
+const jobRuns = counter('job_runs_total', 'Scheduled job runs by outcome', ['job', 'status']);
+const jobDuration = gauge('job_last_duration_seconds', 'Duration of the last run', ['job']);
+const jobLastSuccess = gauge('job_last_success_timestamp_seconds', 'Unix time of the last successful run', ['job']);
+const jobProcessed = gauge('job_items_processed', 'Tokens (or other items) processed in the last run', ['job']);
+const jobLag = gauge('job_lag_seconds', 'Age of the stalest record the job maintains, as of its last run', ['job']);
+
+// 'result' is whatever the job resolved to; tasks return { processed, lagSeconds }
+function recordJob(job, status, durationMs, result) {
+    jobRuns.inc({ job, status });
+    jobDuration.set({ job }, durationMs / 1000);
+    if (status === 'success') jobLastSuccess.set({ job }, Math.floor(Date.now() / 1000));
+    if (result && typeof result.processed === 'number') jobProcessed.set({ job }, result.processed);
+    if (result && typeof result.lagSeconds === 'number') jobLag.set({ job }, Math.max(0, Math.round(result.lagSeconds)));
+}
+
+module.exports = {
+    render,
+    httpMetrics,
+    recordCache,
+    instrumentAxios,
+    rpcFetch,
+    recordFailover,
+    setCircuitOpen,
+    recordJob
+};
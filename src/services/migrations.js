@@ -0,0 +1,155 @@
+/**
+ * Schema Migrations
+ * Numbered files in src/migrations (NNN_name.js) export async up(db) and
+ * down(db). Applied versions are recorded in 'schema_migrations'. Each
+ * migration runs in its own transaction, and the whole run holds a Postgres
+ * advisory lock so the API and worker can both migrate on startup without
+ * racing each other.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d{3})_([\w-]+)\.js$/;
+
+// Arbitrary app-wide key for pg_advisory_lock
+const LOCK_KEY = 4817301;
+
+const label = (m) => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+        .filter(m => m.match)
+        .map(({ file, match }) => {
+            const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof up !== 'function' || typeof down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { version: parseInt(match[1]), name: match[2], up, down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((m, i) => {
+        if (i > 0 && migrations[i - 1].version === m.version) {
+            throw new Error(`Duplicate migration version ${m.version}`);
+        }
+    });
+    return migrations;
+}
+
+// Same interface as the pool wrapper in database.js, bound to one client
+function wrapClient(client) {
+    return {
+        get: async (text, params) => (await client.query(text, params)).rows[0],
+        all: async (text, params) => (await client.query(text, params)).rows,
+        run: async (text, params) => ({ rowCount: (await client.query(text, params)).rowCount }),
+        exec: async (text) => client.query(text)
+    };
+}
+
+// Session-level advisory locks belong to a connection, so everything runs on one client
+async function withLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+        try {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    applied_at BIGINT
+                );
+            `);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+async function appliedVersions(client) {
+    const res = await client.query('SELECT version, applied_at FROM schema_migrations');
+    return new Map(res.rows.map(r => [r.version, parseInt(r.applied_at)]));
+}
+
+async function runInTransaction(client, migration, direction) {
+    try {
+        await client.query('BEGIN');
+        await migration[direction](wrapClient(client));
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, Date.now()]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${label(migration)} (${direction}) failed: ${err.message}`;
+        throw err;
+    }
+}
+
+/**
+ * Applies pending migrations up to 'to' (default: latest).
+ * Resolves to the list of versions applied.
+ */
+async function migrateUp(pool, { to = Infinity } = {}) {
+    const migrations = loadMigrations();
+
+    return withLock(pool, async (client) => {
+        const applied = await appliedVersions(client);
+        const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+
+        for (const migration of pending) {
+            logger.info(`🗄️ Applying migration ${label(migration)}`);
+            await runInTransaction(client, migration, 'up');
+        }
+        return pending.map(m => m.version);
+    });
+}
+
+/**
+ * Reverts the most recent 'steps' applied migrations.
+ * Resolves to the list of versions reverted.
+ */
+async function migrateDown(pool, { steps = 1 } = {}) {
+    const migrations = loadMigrations();
+
+    return withLock(pool, async (client) => {
+        const applied = await appliedVersions(client);
+        const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+
+        for (const migration of targets) {
+            logger.info(`🗄️ Reverting migration ${label(migration)}`);
+            await runInTransaction(client, migration, 'down');
+        }
+        return targets.map(m => m.version);
+    });
+}
+
+async function getStatus(pool) {
+    const migrations = loadMigrations();
+
+    return withLock(pool, async (client) => {
+        const applied = await appliedVersions(client);
+        const known = new Set(migrations.map(m => m.version));
+
+        const rows = migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            appliedAt: applied.get(m.version) || null
+        }));
+        // Applied by a newer build than this one
+        for (const [version, appliedAt] of applied) {
+            if (!known.has(version)) rows.push({ version, name: '(unknown)', appliedAt });
+        }
+        return rows.sort((a, b) => a.version - b.version);
+    });
+}
+
+module.exports = { migrateUp, migrateDown, getStatus, loadMigrations };
@@ -0,0 +1,98 @@
+/**
+ * Payment Verification Service
+ * Confirms that a transaction signature paid the listing fee to the treasury,
+ * either in SOL (FEE_SOL) or in the fee token (FEE_TOKEN_AMOUNT of FEE_TOKEN_MINT).
+ * The RPC connection is injectable so callers can pass a stub.
+ */
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
+const config = require('../config/env');
+
+const defaultConnection = createConnection(config.SOLANA_RPC_URL, 'confirmed');
+
+// Payments older than this can't be redeemed (stops replaying ancient transfers)
+const MAX_PAYMENT_AGE_SECONDS = 24 * 60 * 60;
+
+// The transaction doesn't pay the fee (the caller's problem)
+class PaymentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaymentError';
+    }
+}
+
+// We couldn't check (RPC down or erroring); says nothing about the payment
+class PaymentUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaymentUnavailableError';
+    }
+}
+
+function keyToString(key) {
+    if (!key) return null;
+    if (typeof key === 'string') return key;
+    if (key.pubkey) return keyToString(key.pubkey);
+    return key.toBase58 ? key.toBase58() : String(key);
+}
+
+// Net SOL received by the treasury, in lamports
+function getSolReceived(tx) {
+    const keys = tx.transaction.message.accountKeys.map(keyToString);
+    const idx = keys.indexOf(config.TREASURY_WALLET);
+    if (idx === -1) return 0;
+    return (tx.meta.postBalances[idx] || 0) - (tx.meta.preBalances[idx] || 0);
+}
+
+// Net fee tokens received by any treasury-owned token account, in UI units
+function getTokenReceived(tx) {
+    const sumFor = (balances) => (balances || [])
+        .filter(b => b.owner === config.TREASURY_WALLET && b.mint === config.FEE_TOKEN_MINT)
+        .reduce((sum, b) => {
+            const { amount, decimals } = b.uiTokenAmount;
+            return sum + Number(amount) / (10 ** decimals);
+        }, 0);
+
+    return sumFor(tx.meta.postTokenBalances) - sumFor(tx.meta.preTokenBalances);
+}
+
+/**
+ * Verifies a fee payment on-chain.
+ * Resolves to { payer, method, amount }, throws PaymentError if it doesn't
+ * pay the fee or PaymentUnavailableError if the RPC lookup failed.
+ */
+async function verifyFeePayment(signature, connection = defaultConnection) {
+    let tx;
+    try {
+        tx = await connection.getParsedTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        });
+    } catch (e) {
+        throw new PaymentUnavailableError(`RPC lookup failed: ${e.message}`);
+    }
+
+    if (!tx || !tx.meta) throw new PaymentError('Transaction not found or not yet confirmed');
+    if (tx.meta.err) throw new PaymentError('Transaction failed on-chain');
+
+    if (tx.blockTime && (Date.now() / 1000) - tx.blockTime > MAX_PAYMENT_AGE_SECONDS) {
+        throw new PaymentError('Payment transaction is too old');
+    }
+
+    const payerKey = tx.transaction.message.accountKeys.find(k => k.signer) || tx.transaction.message.accountKeys[0];
+    const payer = keyToString(payerKey);
+
+    const lamports = getSolReceived(tx);
+    if (lamports >= Math.round(config.FEE_SOL * LAMPORTS_PER_SOL)) {
+        return { payer, method: 'SOL', amount: lamports / LAMPORTS_PER_SOL };
+    }
+
+    const tokens = getTokenReceived(tx);
+    if (tokens >= config.FEE_TOKEN_AMOUNT) {
+        return { payer, method: 'TOKEN', amount: tokens };
+    }
+
+    throw new PaymentError(`Transaction does not pay the fee (${config.FEE_SOL} SOL or ${config.FEE_TOKEN_AMOUNT} tokens) to the treasury`);
+}
+
+module.exports = { verifyFeePayment, PaymentError, PaymentUnavailableError };
@@ -0,0 +1,105 @@
+/**
+ * Portfolio Service
+ * Reads a wallet's SPL (and Token-2022) balances over RPC and values them
+ * against indexed prices. 24h PnL is the mark-to-market change of the current
+ * holdings, i.e. it assumes the balances were held for the whole 24h.
+ * The RPC connection is injectable so callers can pass a stub.
+ */
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
+const config = require('../config/env');
+const { SOL_MINT } = require('../utils/pools');
+
+const defaultConnection = createConnection(config.SOLANA_RPC_URL, 'confirmed');
+
+const TOKEN_PROGRAMS = [
+    new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
+    new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb')
+];
+
+// USD value 24h ago of a position worth `value` now, given the % change
+function pnl24h(value, change24h) {
+    const change = Number(change24h) || 0;
+    if (!value || change <= -100) return 0;
+    return value - value / (1 + change / 100);
+}
+
+// Sums balances per mint (a wallet can hold several accounts for one mint)
+async function getTokenBalances(wallet, connection = defaultConnection) {
+    const owner = new PublicKey(wallet);
+    const results = await Promise.all(TOKEN_PROGRAMS.map(programId =>
+        connection.getParsedTokenAccountsByOwner(owner, { programId })
+    ));
+
+    const balances = new Map();
+    for (const result of results) {
+        for (const { account } of result.value) {
+            const info = account.data?.parsed?.info;
+            const amount = info?.tokenAmount?.uiAmount;
+            if (!info || !amount) continue;
+            balances.set(info.mint, (balances.get(info.mint) || 0) + amount);
+        }
+    }
+    return balances;
+}
+
+async function getPortfolio(db, wallet, connection = defaultConnection) {
+    const [balances, lamports] = await Promise.all([
+        getTokenBalances(wallet, connection),
+        connection.getBalance(new PublicKey(wallet))
+    ]);
+
+    const mints = [...balances.keys()];
+    const rows = mints.length > 0 ? await db.all(`
+        SELECT mint, name, ticker, image, priceUsd, change24h, k_score
+        FROM tokens WHERE mint = ANY($1)
+    `, [mints]) : [];
+    const tokens = new Map(rows.map(r => [r.mint, r]));
+
+    const holdings = mints.map(mint => {
+        const t = tokens.get(mint);
+        const balance = balances.get(mint);
+        const priceUsd = t?.priceusd || 0;
+        const valueUsd = balance * priceUsd;
+        return {
+            mint,
+            name: t?.name || null,
+            ticker: t?.ticker || null,
+            image: t?.image || null,
+            balance,
+            priceUsd,
+            valueUsd,
+            change24h: t?.change24h || 0,
+            pnl24hUsd: pnl24h(valueUsd, t?.change24h),
+            kScore: t ? (t.k_score || 0) : null,
+            indexed: !!t
+        };
+    }).sort((a, b) => b.valueUsd - a.valueUsd);
+
+    // Native SOL is valued from the indexed SOL/USDC pool
+    const dayAgo = Math.floor(Date.now() / 1000) - 24 * 3600;
+    const [solNow, solDayAgo] = await Promise.all([
+        db.get(`SELECT close FROM candles WHERE mint = $1 ORDER BY time DESC LIMIT 1`, [SOL_MINT]),
+        db.get(`SELECT close FROM candles WHERE mint = $1 AND time <= $2 ORDER BY time DESC LIMIT 1`, [SOL_MINT, dayAgo])
+    ]);
+    const solPrice = solNow?.close || 0;
+    const solChange = solPrice && solDayAgo?.close ? ((solPrice - solDayAgo.close) / solDayAgo.close) * 100 : 0;
+    const solBalance = lamports / LAMPORTS_PER_SOL;
+    const solValue = solBalance * solPrice;
+    const solPnl = pnl24h(solValue, solChange);
+
+    const tokensValue = holdings.reduce((sum, h) => sum + h.valueUsd, 0);
+    const totalValue = tokensValue + solValue;
+    const totalPnl = holdings.reduce((sum, h) => sum + h.pnl24hUsd, 0) + solPnl;
+
+    return {
+        wallet,
+        sol: { balance: solBalance, priceUsd: solPrice, valueUsd: solValue, change24h: solChange, pnl24hUsd: solPnl },
+        holdings,
+        totalValueUsd: totalValue,
+        pnl24hUsd: totalPnl,
+        pnl24hPct: totalValue - totalPnl > 0 ? (totalPnl / (totalValue - totalPnl)) * 100 : 0
+    };
+}
+
+module.exports = { getPortfolio, getTokenBalances, pnl24h };
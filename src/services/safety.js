@@ -0,0 +1,117 @@
+/**
+ * Token Safety Checks
+ * Reads the mint account and LP state over RPC and reports rug-pull signals:
+ * - mint / freeze authority revoked
+ * - share of LP tokens burned or held by lockers
+ * - Token-2022 transfer-fee and permanent-delegate extensions
+ * The RPC connection is injectable so callers can pass a stub.
+ */
+const { PublicKey } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
+const config = require('../config/env');
+const { readLpState } = require('../utils/pools');
+
+const defaultConnection = createConnection(config.INDEXER_RPC_URL, 'confirmed');
+
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+// Token-2022 extension type ids (spl-token-2022 ExtensionType)
+const EXT_TRANSFER_FEE_CONFIG = 1;
+const EXT_PERMANENT_DELEGATE = 12;
+
+// Mint layout: extensions start after the 165-byte base + 1-byte account type
+const MINT_EXTENSIONS_OFFSET = 166;
+
+// Tokens (LP or otherwise) held by these owners count as burned
+const BURN_OWNERS = new Set([
+    '1nc1nerator11111111111111111111111111111111', // Incinerator
+    '11111111111111111111111111111111'             // System program (burn-by-convention)
+]);
+
+// Tokens held by accounts owned by these programs count as locked
+const LOCKER_PROGRAMS = new Set([
+    'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m' // Streamflow
+]);
+
+function readMintAuthorities(data) {
+    // COption<Pubkey> = u32 tag + 32 bytes
+    return {
+        mintAuthorityRevoked: data.readUInt32LE(0) === 0,
+        freezeAuthorityRevoked: data.readUInt32LE(46) === 0
+    };
+}
+
+function readExtensionTypes(data) {
+    const types = [];
+    let offset = MINT_EXTENSIONS_OFFSET;
+    while (offset + 4 <= data.length) {
+        const type = data.readUInt16LE(offset);
+        const length = data.readUInt16LE(offset + 2);
+        if (type === 0) break; // Uninitialized = end of TLV data
+        types.push(type);
+        offset += 4 + length;
+    }
+    return types;
+}
+
+/**
+ * Burned/locked LP percentages for a Raydium pool. Returns nulls when the
+ * pool has no LP token (e.g. a pump.fun curve) or can't be read.
+ */
+async function checkLiquidity(connection, poolInfo) {
+    const lp = readLpState(poolInfo);
+    if (!lp || lp.lpIssued <= 0) return { lpBurnedPct: null, lpLockedPct: null };
+
+    const lpMintKey = new PublicKey(lp.lpMint);
+    const [supplyRes, largestRes] = await Promise.all([
+        connection.getTokenSupply(lpMintKey),
+        connection.getTokenLargestAccounts(lpMintKey)
+    ]);
+
+    const outstanding = Number(supplyRes.value.amount);
+    let burned = Math.max(0, lp.lpIssued - outstanding);
+    let locked = 0;
+
+    const largest = largestRes.value || [];
+    if (largest.length > 0) {
+        const parsed = await connection.getMultipleParsedAccounts(largest.map(a => a.address));
+        const owners = parsed.value.map(a => a?.data?.parsed?.info?.owner || null);
+        const ownerInfos = await connection.getMultipleAccountsInfo(owners.map(o => new PublicKey(o || PublicKey.default)));
+
+        largest.forEach((a, i) => {
+            const amount = Number(a.amount);
+            if (BURN_OWNERS.has(owners[i])) burned += amount;
+            else if (ownerInfos[i] && LOCKER_PROGRAMS.has(ownerInfos[i].owner.toBase58())) locked += amount;
+        });
+    }
+
+    const pct = (v) => Math.min(100, (v / lp.lpIssued) * 100);
+    return { lpBurnedPct: pct(burned), lpLockedPct: pct(locked) };
+}
+
+/**
+ * Runs every safety check for a mint. 'pairAddress' is the indexed pool
+ * (pools.pair_address), if any.
+ */
+async function checkTokenSafety(mint, pairAddress = null, connection = defaultConnection) {
+    const keys = [new PublicKey(mint)];
+    if (pairAddress) keys.push(new PublicKey(pairAddress));
+
+    const [mintInfo, poolInfo] = await connection.getMultipleAccountsInfo(keys);
+    if (!mintInfo) throw new Error('Mint account not found');
+
+    const isToken2022 = mintInfo.owner.toBase58() === TOKEN_2022_PROGRAM_ID;
+    const extensions = isToken2022 ? readExtensionTypes(mintInfo.data) : [];
+
+    const liquidity = poolInfo ? await checkLiquidity(connection, poolInfo) : { lpBurnedPct: null, lpLockedPct: null };
+
+    return {
+        ...readMintAuthorities(mintInfo.data),
+        ...liquidity,
+        isToken2022,
+        hasTransferFee: extensions.includes(EXT_TRANSFER_FEE_CONFIG),
+        hasPermanentDelegate: extensions.includes(EXT_PERMANENT_DELEGATE)
+    };
+}
+
+module.exports = { checkTokenSafety, BURN_OWNERS, LOCKER_PROGRAMS };
@@ -0,0 +1,164 @@
+/**
+ * Job Scheduler
+ * Runs worker tasks on an interval so that, however many worker replicas are
+ * up, each slot is executed by exactly one of them:
+ * - A lease row in 'job_locks' stops two replicas running the same job at
+ *   once. The holder renews it while the job runs; if the holder crashes the
+ *   lease expires after LEASE_MS and another replica takes over. Unlike a
+ *   session advisory lock it doesn't pin a pool connection for the whole run,
+ *   so the number of jobs isn't bounded by the pool size.
+ * - The last start time in 'job_runs' stops a replica re-running a slot that
+ *   another replica has just finished.
+ * Every run is recorded in 'job_runs' (status, duration, error) and in /metrics.
+ */
+const os = require('os');
+const logger = require('./logger');
+const { recordJob } = require('./metrics');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const LEASE_MS = 60000;
+const RENEW_INTERVAL_MS = LEASE_MS / 3;
+
+// A run that started within this fraction of the interval already covers the slot
+const SLOT_TOLERANCE = 0.8;
+
+const RUN_RETENTION_MS = 3 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+// --- LEASES ---
+
+// Takes the job's lease if it is free or expired. Resolves to true if we hold it.
+async function acquireLease(db, name) {
+    const now = Date.now();
+    const row = await db.get(`
+        INSERT INTO job_locks (job, holder, locked_until) VALUES ($1, $2, $3)
+        ON CONFLICT (job) DO UPDATE SET holder = EXCLUDED.holder, locked_until = EXCLUDED.locked_until
+        WHERE job_locks.locked_until < $4
+        RETURNING job
+    `, [name, INSTANCE_ID, now + LEASE_MS, now]);
+    return !!row;
+}
+
+// Extends the lease while the job runs; warns if another replica took it over
+function keepLease(db, name) {
+    return setInterval(async () => {
+        try {
+            const res = await db.run(`
+                UPDATE job_locks SET locked_until = $1 WHERE job = $2 AND holder = $3
+            `, [Date.now() + LEASE_MS, name, INSTANCE_ID]);
+            if (res.rowCount === 0) logger.warn(`[Scheduler] ${name}: lease lost mid-run, another replica may start it`);
+        } catch (e) {
+            logger.warn(`[Scheduler] ${name}: lease renewal failed: ${e.message}`);
+        }
+    }, RENEW_INTERVAL_MS);
+}
+
+async function releaseLease(db, name) {
+    await db.run(`DELETE FROM job_locks WHERE job = $1 AND holder = $2`, [name, INSTANCE_ID]);
+}
+
+async function recordStart(db, name) {
+    // We hold the lease, so anything still 'running' belongs to a replica that died mid-run
+    await db.run(`UPDATE job_runs SET status = 'abandoned' WHERE job = $1 AND status = 'running'`, [name]);
+    const row = await db.get(`
+        INSERT INTO job_runs (job, instance, status, started_at) VALUES ($1, $2, 'running', $3)
+        RETURNING id
+    `, [name, INSTANCE_ID, Date.now()]);
+    return row.id;
+}
+
+/**
+ * Attempts one execution of the job. Resolves to the delay (ms) until the
+ * next attempt on this replica.
+ */
+async function runOnce(db, job) {
+    if (!(await acquireLease(db, job.name))) return job.intervalMs; // Running on another replica
+    const renewal = keepLease(db, job.name);
+
+    try {
+        const last = await db.get(`SELECT started_at FROM job_runs WHERE job = $1 ORDER BY started_at DESC LIMIT 1`, [job.name]);
+        const sinceLast = last ? Date.now() - parseInt(last.started_at) : Infinity;
+        if (sinceLast < job.intervalMs * SLOT_TOLERANCE) {
+            // Another replica covered this slot; line up with its schedule
+            return Math.max(job.minDelayMs, job.intervalMs - sinceLast);
+        }
+
+        const runId = await recordStart(db, job.name);
+        const started = Date.now();
+        let error = null;
+        let result = null;
+
+        try {
+            result = await job.fn();
+        } catch (e) {
+            error = e;
+            logger.error(`[Scheduler] ${job.name} failed: ${e.message}`);
+        }
+
+        const duration = Date.now() - started;
+        recordJob(job.name, error ? 'failed' : 'success', duration, result);
+        await db.run(`
+            UPDATE job_runs SET status = $1, finished_at = $2, duration_ms = $3, error = $4
+            WHERE id = $5
+        `, [error ? 'failed' : 'success', Date.now(), duration, error ? error.message.substring(0, 1000) : null, runId]);
+
+        return Math.max(job.minDelayMs, job.intervalMs - duration);
+    } finally {
+        clearInterval(renewal);
+        await releaseLease(db, job.name).catch(() => {});
+    }
+}
+
+async function pruneRuns(db) {
+    const result = await db.run(`DELETE FROM job_runs WHERE started_at < $1 AND status <> 'running'`, [Date.now() - RUN_RETENTION_MS]);
+    if (result.rowCount > 0) logger.info(`[Scheduler] Pruned ${result.rowCount} old job runs.`);
+}
+
+/**
+ * Registers a task and starts its timer.
+ * Runs never overlap on one replica (the next tick is only set after the
+ * previous run finishes), so tasks don't need their own isRunning guards.
+ * Errors thrown by fn are logged and recorded as a failed run. fn may
+ * resolve to { processed, lagSeconds } to report per-cycle metrics.
+ *
+ * opts.intervalMs      target time between run starts
+ * opts.initialDelayMs  delay before the first attempt after startup
+ * opts.minDelayMs      minimum gap after a run that overran its interval
+ */
+function schedule(deps, name, opts, fn) {
+    if (jobs.has(name)) throw new Error(`Job '${name}' is already scheduled`);
+
+    const job = {
+        name,
+        fn,
+        intervalMs: opts.intervalMs,
+        minDelayMs: opts.minDelayMs ?? 1000
+    };
+    jobs.set(name, job);
+
+    const tick = async () => {
+        let next = job.intervalMs;
+        try {
+            next = await runOnce(deps.db, job);
+        } catch (e) {
+            logger.error(`[Scheduler] ${name} could not be scheduled: ${e.message}`);
+        }
+        setTimeout(tick, next);
+    };
+    setTimeout(tick, opts.initialDelayMs || 0);
+
+    // Housekeeping for the run log itself, scheduled alongside the first job
+    if (!jobs.has('job-runs-prune')) {
+        schedule(deps, 'job-runs-prune', { intervalMs: PRUNE_INTERVAL_MS, initialDelayMs: 60000 }, () => pruneRuns(deps.db));
+    }
+}
+
+// Jobs scheduled in this process, for the worker's health endpoint
+function listJobs() {
+    return [...jobs.values()].map(j => ({ name: j.name, intervalMs: j.intervalMs }));
+}
+
+module.exports = { schedule, listJobs, INSTANCE_ID };
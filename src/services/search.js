@@ -0,0 +1,103 @@
+/**
+ * Token Search
+ * Ranked ticker / name search over 'tokens' (trigram indexes, migration 005).
+ * Match tiers, best first:
+ *   4 exact ticker, 3 ticker prefix, 2 name prefix, 1 substring, 0 fuzzy (pg_trgm)
+ * Within a tier tokens are weighted by K-Score, 24h volume and similarity.
+ * When nothing local matches, the market-data providers are searched and
+ * their hits are saved into 'tokens', so they rank like any other token.
+ */
+const { saveTokenData } = require('./database');
+const { cached } = require('./cache');
+const marketData = require('./marketData');
+const { getBestPair } = require('../tasks/metadataUpdater');
+const { MIN_LIQUIDITY } = require('../tasks/newTokenListener');
+
+// Imported per external search, best liquidity first
+const MAX_IMPORTS = 5;
+// Longer search terms are rejected by the routes before any trigram query
+const MAX_QUERY_LENGTH = 64;
+
+const escapeLike = (s) => s.replace(/[\\%_]/g, '\\$&');
+
+// t = lowercased term, prefix / substring = LIKE patterns (placeholders)
+const matchTier = (t, prefix, substring) => `
+    CASE
+        WHEN lower(ticker) = ${t} THEN 4
+        WHEN lower(ticker) LIKE ${prefix} THEN 3
+        WHEN lower(name) LIKE ${prefix} THEN 2
+        WHEN lower(ticker) LIKE ${substring} OR lower(name) LIKE ${substring} THEN 1
+        ELSE 0
+    END`;
+
+// K-Score is 0-100; ln(1 + volume) is ~14 at $1M, so volume counts up to ~70
+const matchWeight = (t) => `
+    COALESCE(k_score, 0)
+    + 5 * LN(1 + GREATEST(COALESCE(volume24h, 0), 0))
+    + 50 * GREATEST(similarity(lower(ticker), ${t}), similarity(lower(name), ${t}))`;
+
+/**
+ * Ranked matches for 'term'. 'conditions' are extra SQL fragments ANDed into
+ * the WHERE clause, with their values in 'params' ($1..$n); the search's own
+ * parameters are numbered after them.
+ */
+async function searchTokens(db, term, { conditions = [], params = [], limit = 50, offset = 0, columns = '*' } = {}) {
+    const q = term.trim().toLowerCase();
+    const values = [...params, q, `${escapeLike(q)}%`, `%${escapeLike(q)}%`, limit, offset];
+    const [t, prefix, substring, limitRef, offsetRef] = [1, 2, 3, 4, 5].map(i => `$${params.length + i}`);
+
+    const where = [
+        `(lower(ticker) LIKE ${substring} OR lower(name) LIKE ${substring} OR lower(ticker) % ${t} OR lower(name) % ${t})`,
+        ...conditions
+    ];
+
+    return db.all(`
+        SELECT ${columns}, ${matchTier(t, prefix, substring)} AS match_tier
+        FROM tokens
+        WHERE ${where.join(' AND ')}
+        ORDER BY match_tier DESC, ${matchWeight(t)} DESC, mint
+        LIMIT ${limitRef} OFFSET ${offsetRef}
+    `, values);
+}
+
+/**
+ * Searches the providers and saves the best-liquidity Solana tokens they
+ * return. Cached per term for 5 minutes so repeated misses don't re-query.
+ * Resolves to { imported: [mint, ...] }.
+ */
+async function importExternal(deps, term) {
+    const { db } = deps;
+
+    return cached(`ext:${term.trim().toLowerCase()}`, 300, async () => {
+        const pairs = (await marketData.searchPairs(deps, term)).filter(p => p.chainId === 'solana');
+
+        const byMint = new Map();
+        for (const pair of pairs) {
+            const mint = pair.baseToken?.address;
+            if (!mint) continue;
+            if (!byMint.has(mint)) byMint.set(mint, []);
+            byMint.get(mint).push(pair);
+        }
+
+        const candidates = [...byMint]
+            .map(([mint, list]) => getBestPair(list, mint))
+            .filter(p => p && (p.liquidity?.usd || 0) >= MIN_LIQUIDITY)
+            .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))
+            .slice(0, MAX_IMPORTS);
+
+        for (const pair of candidates) {
+            await saveTokenData(db, pair.baseToken.address, {
+                ticker: pair.baseToken.symbol,
+                name: pair.baseToken.name,
+                image: pair.info?.imageUrl,
+                marketCap: pair.fdv || pair.marketCap || 0,
+                volume24h: pair.volume?.h24 || 0,
+                priceUsd: pair.priceUsd
+            }, pair.pairCreatedAt || Date.now());
+        }
+
+        return { imported: candidates.map(p => p.baseToken.address) };
+    });
+}
+
+module.exports = { searchTokens, importExternal, MAX_QUERY_LENGTH };
@@ -0,0 +1,48 @@
+/**
+ * Stream Event Bus (Redis Pub/Sub)
+ * The worker publishes live events; every API node subscribes and fans them
+ * out to connected clients (see routes/stream.js).
+ *
+ * Event shape: { type, mint?, data, ts }
+ * Types:
+ *   'candles' - batch of price updates from the indexer (data: [{ mint, time, price, volume }])
+ *   'token'   - newly discovered token (data: token summary)
+ *   'kscore'  - K-Score changed (data: { score, previous, version })
+ *   'lifecycle' - token event recorded (data: { type, time, signature, data }, see services/tokenEvents.js)
+ */
+const { getClient } = require('./redis');
+
+const CHANNEL = 'holdex:stream';
+
+// Fire-and-forget: streaming must never break the task that emits
+async function publish(type, data, mint = null) {
+    try {
+        const redis = getClient();
+        if (!redis || redis.status !== 'ready') return;
+        await redis.publish(CHANNEL, JSON.stringify({ type, mint, data, ts: Date.now() }));
+    } catch (e) { }
+}
+
+/**
+ * Subscribes 'handler' to every event. Uses a dedicated connection because a
+ * subscribed ioredis client can't issue normal commands.
+ * Returns the subscriber connection (or null if Redis isn't configured).
+ */
+async function subscribe(handler) {
+    const redis = getClient();
+    if (!redis) return null;
+
+    const subscriber = redis.duplicate();
+    subscriber.on('error', () => { }); // Main client already logs connection errors
+    subscriber.on('message', (channel, message) => {
+        if (channel !== CHANNEL) return;
+        try {
+            handler(JSON.parse(message));
+        } catch (e) { }
+    });
+
+    await subscriber.subscribe(CHANNEL);
+    return subscriber;
+}
+
+module.exports = { publish, subscribe, CHANNEL };
@@ -0,0 +1,82 @@
+/**
+ * Token Archive
+ * Inactive tokens move from 'tokens' to 'tokens_archive' (migration 009) so
+ * the refresh, indexing and scoring loops stop paying for them. Anything that
+ * touches an archived token again (a listener saving it, a search for it)
+ * restores it; it comes back unclassified and due for an immediate refresh.
+ */
+const { SOL_MINT, STABLE_MINTS } = require('../utils/pools');
+const { invalidateTokens } = require('./cache');
+
+// Quote assets price everything else through their pools; never archived
+const PROTECTED_MINTS = [SOL_MINT, ...STABLE_MINTS];
+
+// Columns reset on restore so the token is re-evaluated from scratch
+const RESET_ON_RESTORE = `jsonb_build_object(
+    'zero_activity_since', NULL, 'next_refresh_at', NULL, 'activity_tier', NULL, 'lifecycle', NULL
+)`;
+
+/**
+ * Moves tokens with no volume and no liquidity since before 'cutoff' (unix ms)
+ * into the archive, with their pool and pair rows. Candles and trades stay.
+ * Tokens with a paid community update and quote assets are never archived.
+ * Resolves to the archived mints.
+ */
+async function archiveInactive(db, cutoff, limit) {
+    const rows = await db.all(`
+        WITH moved AS (
+            DELETE FROM tokens WHERE mint IN (
+                SELECT mint FROM tokens
+                WHERE zero_activity_since <= $1 AND hasCommunityUpdate IS NOT TRUE AND mint <> ALL($4)
+                ORDER BY zero_activity_since ASC
+                LIMIT $2
+            )
+            RETURNING *
+        )
+        INSERT INTO tokens_archive (mint, data, archived_at)
+        SELECT mint, to_jsonb(moved), $3 FROM moved
+        ON CONFLICT (mint) DO UPDATE SET data = EXCLUDED.data, archived_at = EXCLUDED.archived_at
+        RETURNING mint
+    `, [cutoff, limit, Date.now(), PROTECTED_MINTS]);
+
+    const mints = rows.map(r => r.mint);
+    if (mints.length > 0) {
+        await db.run(`DELETE FROM pools WHERE mint = ANY($1)`, [mints]);
+        await db.run(`DELETE FROM pair_snapshots WHERE mint = ANY($1)`, [mints]);
+        await invalidateTokens(mints);
+    }
+    return mints;
+}
+
+// Resolves to the restored mints (empty if none were archived)
+async function restoreTokens(db, mints) {
+    if (mints.length === 0) return [];
+    const rows = await db.all(`
+        WITH restored AS (
+            DELETE FROM tokens_archive WHERE mint = ANY($1) RETURNING data
+        )
+        INSERT INTO tokens
+        SELECT (jsonb_populate_record(NULL::tokens, data || ${RESET_ON_RESTORE})).* FROM restored
+        ON CONFLICT (mint) DO NOTHING
+        RETURNING mint
+    `, [mints]);
+
+    const restored = rows.map(r => r.mint);
+    await invalidateTokens(restored);
+    return restored;
+}
+
+async function restoreToken(db, mint) {
+    const restored = await restoreTokens(db, [mint]);
+    return restored.length > 0;
+}
+
+// Restores archived tokens whose ticker is exactly 'term' (case-insensitive)
+async function restoreByTicker(db, term, limit = 5) {
+    const rows = await db.all(`
+        SELECT mint FROM tokens_archive WHERE lower(data->>'ticker') = $1 LIMIT $2
+    `, [term.trim().toLowerCase(), limit]);
+    return restoreTokens(db, rows.map(r => r.mint));
+}
+
+module.exports = { archiveInactive, restoreToken, restoreTokens, restoreByTicker };
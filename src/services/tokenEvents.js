@@ -0,0 +1,36 @@
+/**
+ * Token Events
+ * Per-token timeline in 'token_events' (migration 008). Milestones (created,
+ * graduated, mcap_100k) are unique per token, so whichever task sees one
+ * first records it and later sightings are no-ops. New events are published
+ * to the stream as 'lifecycle'.
+ */
+const { publish } = require('./stream');
+const { invalidateTokens } = require('./cache');
+
+const EVENT_TYPES = {
+    CREATED: 'created',
+    GRADUATED: 'graduated',
+    MCAP_100K: 'mcap_100k',
+    LIQUIDITY_PULL: 'liquidity_pull'
+};
+
+/**
+ * Resolves to true if the event was stored, false if the milestone was
+ * already on record. 'time' is unix ms.
+ */
+async function recordEvent(db, mint, type, { time = Date.now(), signature = null, data = null } = {}) {
+    const row = await db.get(`
+        INSERT INTO token_events (mint, type, time, signature, data)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT DO NOTHING
+        RETURNING id
+    `, [mint, type, time, signature, data ? JSON.stringify(data) : null]);
+
+    if (!row) return false;
+    await invalidateTokens([mint]);
+    await publish('lifecycle', { type, time, signature, data }, mint);
+    return true;
+}
+
+module.exports = { EVENT_TYPES, recordEvent };
@@ -0,0 +1,197 @@
+/**
+ * Alert Engine
+ * - evaluateMints(): called by the Price Indexer, Metadata Updater and K-Score
+ *   Updater after they write new values; checks every active alert on those mints
+ * - Delivery loop: POSTs signed payloads to webhooks with exponential-backoff retries
+ *
+ * Alert types (threshold meaning):
+ *   price_above / price_below  - USD price crosses the level
+ *   change_5m / change_1h      - % change reaches X (negative X = drop of at least |X|%)
+ *   mcap_above                 - market cap crosses the milestone
+ *   kscore_drop                - K-Score falls by at least X points since the last evaluation
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config/env');
+const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const { resolvePublicAddress } = require('../utils/network');
+
+const ALERT_TYPES = ['price_above', 'price_below', 'change_5m', 'change_1h', 'mcap_above', 'kscore_drop'];
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30000; // 30s, 60s, 2m, 4m
+const DELIVERY_TIMEOUT_MS = 5000;
+const DELIVERY_INTERVAL_MS = 15000;
+const DELIVERY_BATCH = 50;
+const CLAIM_LEASE_MS = DELIVERY_BATCH * DELIVERY_TIMEOUT_MS;
+
+// Current value of the metric an alert watches
+function metricFor(type, t) {
+    switch (type) {
+        case 'price_above':
+        case 'price_below': return t.candle_close ?? t.priceusd;
+        case 'change_5m': return t.change5m;
+        case 'change_1h': return t.change1h;
+        case 'mcap_above': return t.marketcap;
+        case 'kscore_drop': return t.k_score;
+        default: return null;
+    }
+}
+
+/**
+ * Edge-triggered: fires only on the evaluation where the condition becomes
+ * true, never on the first evaluation (no baseline yet).
+ */
+function shouldFire(type, threshold, prev, cur) {
+    if (prev === null || prev === undefined || cur === null || cur === undefined) return false;
+
+    const holds = (v) => {
+        switch (type) {
+            case 'price_above':
+            case 'mcap_above': return v >= threshold;
+            case 'price_below': return v <= threshold;
+            case 'change_5m':
+            case 'change_1h': return threshold >= 0 ? v >= threshold : v <= threshold;
+            default: return false;
+        }
+    };
+
+    if (type === 'kscore_drop') return prev - cur >= threshold;
+    return holds(cur) && !holds(prev);
+}
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function evaluateMints(deps, mints) {
+    const { db } = deps;
+    if (!mints || mints.length === 0) return;
+
+    try {
+        const rows = await db.all(`
+            SELECT a.*, t.ticker, t.priceUsd, t.change5m, t.change1h, t.marketCap, t.k_score,
+                   c.close AS candle_close
+            FROM alerts a
+            JOIN tokens t ON t.mint = a.mint
+            LEFT JOIN LATERAL (
+                SELECT close FROM candles WHERE mint = a.mint ORDER BY time DESC LIMIT 1
+            ) c ON TRUE
+            WHERE a.active = TRUE AND a.mint = ANY($1)
+        `, [mints]);
+
+        const now = Date.now();
+        let queued = 0;
+
+        for (const a of rows) {
+            const cur = metricFor(a.type, a);
+            if (cur === null || cur === undefined) continue;
+
+            const inCooldown = a.last_triggered_at && now - Number(a.last_triggered_at) < a.cooldown_seconds * 1000;
+            const fire = !inCooldown && shouldFire(a.type, a.threshold, a.last_value, cur);
+
+            if (fire) {
+                const payload = {
+                    alertId: a.id, type: a.type, mint: a.mint, ticker: a.ticker,
+                    threshold: a.threshold, previous: a.last_value, value: cur, triggeredAt: now
+                };
+                // One trigger per alert per minute, even with several writers evaluating
+                const inserted = await db.get(`
+                    INSERT INTO alert_deliveries (alert_id, dedup_key, payload, status, next_attempt_at, created_at)
+                    VALUES ($1, $2, $3, 'pending', $4, $4)
+                    ON CONFLICT (dedup_key) DO NOTHING
+                    RETURNING id
+                `, [a.id, `${a.id}:${Math.floor(now / 60000)}`, JSON.stringify(payload), now]);
+
+                if (inserted) queued++;
+            }
+
+            await db.run(`
+                UPDATE alerts SET last_value = $1 ${fire ? ', last_triggered_at = $3' : ''}
+                WHERE id = $2
+            `, fire ? [cur, a.id, now] : [cur, a.id]);
+        }
+
+        if (queued > 0) {
+            logger.info(`[Alerts] Queued ${queued} deliveries.`);
+            deliverPending(deps); // Don't make the calling task wait on webhooks
+        }
+    } catch (e) {
+        logger.error(`[Alerts] Evaluation failed: ${e.message}`);
+    }
+}
+
+async function attemptDelivery(db, d) {
+    const body = JSON.stringify(d.payload);
+    const timestamp = Date.now().toString();
+    const attempts = d.attempts + 1;
+
+    try {
+        // Resolve and check the host now and connect to exactly that address,
+        // so DNS can't point an accepted webhook at an internal service
+        const target = config.ALERTS_ALLOW_PRIVATE_WEBHOOKS ? null : await resolvePublicAddress(new URL(d.webhook_url).hostname);
+
+        const res = await axios.post(d.webhook_url, body, {
+            timeout: DELIVERY_TIMEOUT_MS,
+            maxRedirects: 0,
+            proxy: false,
+            lookup: target ? async () => target : undefined,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-HolDex-Timestamp': timestamp,
+                'X-HolDex-Signature': `sha256=${sign(d.secret, timestamp, body)}`,
+                'X-HolDex-Delivery': String(d.id)
+            }
+        });
+
+        await db.run(`
+            UPDATE alert_deliveries SET status = 'delivered', attempts = $1, response_code = $2, error = NULL, delivered_at = $3
+            WHERE id = $4
+        `, [attempts, res.status, Date.now(), d.id]);
+    } catch (e) {
+        const exhausted = attempts >= MAX_ATTEMPTS;
+        await db.run(`
+            UPDATE alert_deliveries SET status = $1, attempts = $2, response_code = $3, error = $4, next_attempt_at = $5
+            WHERE id = $6
+        `, [
+            exhausted ? 'failed' : 'retrying', attempts, e.response?.status || null,
+            e.message.substring(0, 500), Date.now() + RETRY_BASE_MS * (2 ** (attempts - 1)), d.id
+        ]);
+    }
+}
+
+async function deliverPending(deps) {
+    const { db } = deps;
+    // Claim due rows by pushing next_attempt_at forward, so another worker
+    // replica running this loop can't pick up the same delivery
+    const now = Date.now();
+    const due = await db.all(`
+        WITH claimed AS (
+            UPDATE alert_deliveries SET next_attempt_at = $1
+            WHERE id IN (
+                SELECT id FROM alert_deliveries
+                WHERE status IN ('pending', 'retrying') AND next_attempt_at <= $2
+                ORDER BY next_attempt_at ASC
+                LIMIT $3
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING id, alert_id, payload, attempts
+        )
+        SELECT c.id, c.payload, c.attempts, a.webhook_url, a.secret
+        FROM claimed c
+        JOIN alerts a ON a.id = c.alert_id
+    `, [now + CLAIM_LEASE_MS, now, DELIVERY_BATCH]);
+
+    for (const d of due) {
+        await attemptDelivery(db, d);
+    }
+    return { processed: due.length };
+}
+
+function start(deps) {
+    schedule(deps, 'alert-delivery', { intervalMs: DELIVERY_INTERVAL_MS }, () => deliverPending(deps));
+    logger.info("🚀 Alert Engine started");
+}
+
+module.exports = { start, evaluateMints, deliverPending, shouldFire, sign, ALERT_TYPES };
@@ -0,0 +1,115 @@
+/**
+ * Candle Maintenance
+ * Keeps the day-partitioned 'candles' table (migration 010) bounded:
+ * - Creates partitions a week ahead of the clock
+ * - Past CANDLE_RETENTION_DAYS, compacts each day of 1m candles into 1h
+ *   candles (only hours the indexer's own rollup is missing) and drops the
+ *   day's partition; stray rows in candles_default are deleted instead
+ * - Prunes sub-hour rollups (5m, 15m) past the same retention
+ * 1h, 4h and 1d candles are kept forever.
+ */
+const config = require('../config/env');
+const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const { INTERVALS, BASE_RESOLUTION, bucketTime } = require('../utils/candles');
+
+const DAY_SECONDS = 86400;
+const DAYS_AHEAD = 7;
+// Bounds one run; a long backlog (e.g. right after migrating) clears over several runs
+const MAX_DAYS_PER_RUN = 14;
+
+const HOUR = INTERVALS['1h'];
+const PARTITION_PATTERN = /^candles_p(\d{4})(\d{2})(\d{2})$/;
+
+const partitionName = (dayStart) => `candles_p${new Date(dayStart * 1000).toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+async function ensurePartitions(db, today) {
+    for (let day = today; day <= today + DAYS_AHEAD * DAY_SECONDS; day += DAY_SECONDS) {
+        try {
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS ${partitionName(day)} PARTITION OF candles
+                FOR VALUES FROM (${day}) TO (${day + DAY_SECONDS});
+            `);
+        } catch (e) {
+            // e.g. candles_default already holds rows for that day
+            logger.warn(`[Candles] Could not create partition ${partitionName(day)}: ${e.message}`);
+        }
+    }
+}
+
+// Day partitions of 'candles', oldest first
+async function listPartitions(db) {
+    const rows = await db.all(`
+        SELECT c.relname AS name
+        FROM pg_inherits i
+        JOIN pg_class c ON c.oid = i.inhrelid
+        JOIN pg_class p ON p.oid = i.inhparent
+        WHERE p.relname = 'candles'
+    `);
+
+    return rows
+        .map(r => {
+            const m = PARTITION_PATTERN.exec(r.name);
+            return m ? { name: r.name, start: Date.UTC(+m[1], +m[2] - 1, +m[3]) / 1000 } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Builds 1h candles from the 1m rows of 'source' in [from, to). Hours the
+ * price indexer already rolled up are left alone. Unique traders can't be
+ * summed across minutes, so the busiest minute stands in as a lower bound.
+ */
+async function compactRange(db, source, from, to) {
+    const result = await db.run(`
+        INSERT INTO candles_agg (mint, resolution, time, open, high, low, close, volume, close_native, quote_mint, buys, sells, traders)
+        SELECT mint, $3::integer, time - (time % $3) AS bucket,
+               (array_agg(open ORDER BY time ASC))[1], MAX(high), MIN(low), (array_agg(close ORDER BY time DESC))[1],
+               COALESCE(SUM(volume), 0), (array_agg(close_native ORDER BY time DESC))[1], (array_agg(quote_mint ORDER BY time DESC))[1],
+               COALESCE(SUM(buys), 0), COALESCE(SUM(sells), 0), COALESCE(MAX(traders), 0)
+        FROM ${source}
+        WHERE time >= $1 AND time < $2
+        GROUP BY mint, bucket
+        ON CONFLICT (mint, resolution, time) DO NOTHING
+    `, [from, to, HOUR]);
+    return result.rowCount;
+}
+
+async function maintainCandles(deps) {
+    const { db } = deps;
+    const now = Math.floor(Date.now() / 1000);
+    const today = bucketTime(now, DAY_SECONDS);
+    const cutoff = today - config.CANDLE_RETENTION_DAYS * DAY_SECONDS;
+
+    await ensurePartitions(db, today);
+
+    const expired = (await listPartitions(db)).filter(p => p.start + DAY_SECONDS <= cutoff).slice(0, MAX_DAYS_PER_RUN);
+    let filled = 0;
+
+    for (const partition of expired) {
+        filled += await compactRange(db, partition.name, partition.start, partition.start + DAY_SECONDS);
+        await db.exec(`DROP TABLE IF EXISTS ${partition.name};`);
+    }
+
+    const strays = await db.get(`SELECT MIN(time) AS t FROM candles_default WHERE time < $1`, [cutoff]);
+    if (strays?.t !== null && strays?.t !== undefined) {
+        filled += await compactRange(db, 'candles_default', Number(strays.t), cutoff);
+        await db.run(`DELETE FROM candles_default WHERE time < $1`, [cutoff]);
+    }
+
+    const subHour = Object.values(INTERVALS).filter(r => r > BASE_RESOLUTION && r < HOUR);
+    const pruned = await db.run(`DELETE FROM candles_agg WHERE resolution = ANY($1) AND time < $2`, [subHour, cutoff]);
+
+    if (expired.length > 0 || pruned.rowCount > 0) {
+        logger.info(`[Candles] Dropped ${expired.length} day partitions (${filled} missing 1h candles filled), pruned ${pruned.rowCount} sub-hour rollups.`);
+    }
+    return { processed: expired.length };
+}
+
+function start(deps) {
+    schedule(deps, 'candle-maintenance', { intervalMs: 60 * 60 * 1000, initialDelayMs: 60000 }, () => maintainCandles(deps));
+    logger.info(`🚀 Candle Maintenance started (1m retention: ${config.CANDLE_RETENTION_DAYS}d)`);
+}
+
+module.exports = { start, maintainCandles };
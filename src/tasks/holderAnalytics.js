@@ -0,0 +1,194 @@
+/**
+ * Holder Analytics Task
+ * Periodically snapshots holder concentration per token into 'holder_snapshots':
+ * - top-20 share (raw, as reported by getTokenLargestAccounts)
+ * - top-10 share and largest holder % EXCLUDING known LP vaults and burn addresses
+ * - estimated holder count (non-empty token accounts), recounted daily and
+ *   kept on 'tokens' (holder_count / holder_count_at)
+ * Also records the token's supply split (total / burned / locked / circulating)
+ * on 'tokens', which turns market cap into price * circulating supply.
+ */
+const { PublicKey } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
+const config = require('../config/env');
+const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const { invalidateTokens } = require('../services/cache');
+const { pumpCurveAddress } = require('../utils/pools');
+const { BURN_OWNERS, LOCKER_PROGRAMS } = require('../services/safety');
+
+const connection = createConnection(config.INDEXER_RPC_URL, 'confirmed');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_ACCOUNT_SIZE = 165;
+
+// Owners whose balances aren't "holders": AMM authorities and burn sinks
+const EXCLUDED_OWNERS = new Set([
+    '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium AMM v4 authority
+    'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL', // Raydium CPMM authority
+    ...BURN_OWNERS
+]);
+
+// Tokens scanned per cycle (each costs several RPC calls)
+const SCAN_BATCH = 50;
+
+// Holder counts scan every token account of the mint: recount daily, and stop
+// recounting once a token has this many holders (its last count is kept)
+const HOLDER_COUNT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_COUNTED_HOLDERS = 50000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Counts non-empty token accounts for a mint. Expensive on large tokens, so
+ * only the 8-byte amount is fetched. Returns null if the RPC refuses the scan.
+ */
+async function estimateHolderCount(mintKey, tokenProgram) {
+    try {
+        const filters = [{ memcmp: { offset: 0, bytes: mintKey.toBase58() } }];
+        // Token-2022 accounts carry extensions, so only legacy accounts have a fixed size
+        if (tokenProgram === TOKEN_PROGRAM_ID) filters.unshift({ dataSize: TOKEN_ACCOUNT_SIZE });
+
+        const accounts = await connection.getProgramAccounts(new PublicKey(tokenProgram), {
+            filters,
+            dataSlice: { offset: 64, length: 8 }
+        });
+        return accounts.filter(a => a.account.data.readBigUInt64LE(0) > 0n).length;
+    } catch (e) {
+        logger.debug(`[Holders] Holder count scan refused for ${mintKey.toBase58()}: ${e.message}`);
+        return null;
+    }
+}
+
+function holderCountDue(token, now) {
+    if (token.holder_count >= MAX_COUNTED_HOLDERS) return false;
+    return !token.holder_count_at || now - token.holder_count_at >= HOLDER_COUNT_TTL_MS;
+}
+
+/**
+ * Builds one concentration snapshot for a mint.
+ * 'lpAccounts' are token accounts/owners known to be LP (from the pools table).
+ * holderCount is null unless 'countHolders' is set (or the RPC refuses the scan).
+ */
+async function analyzeMint(mint, lpAccounts = new Set(), { countHolders = true } = {}) {
+    const mintKey = new PublicKey(mint);
+
+    const [mintInfo, supplyRes, largestRes] = await Promise.all([
+        connection.getAccountInfo(mintKey),
+        connection.getTokenSupply(mintKey),
+        connection.getTokenLargestAccounts(mintKey)
+    ]);
+
+    const supply = supplyRes.value.uiAmount || 0;
+    const largest = largestRes.value || [];
+    if (supply <= 0 || largest.length === 0) return null;
+
+    // Resolve owners so LP/burn wallets can be recognised
+    const parsed = await connection.getMultipleParsedAccounts(largest.map(a => a.address));
+    const holders = largest.map((a, i) => ({
+        address: a.address.toBase58(),
+        owner: parsed.value[i]?.data?.parsed?.info?.owner || null,
+        amount: a.uiAmount || 0
+    }));
+
+    // Locked = held by a wallet that is itself owned by a locker program
+    const ownerInfos = await connection.getMultipleAccountsInfo(holders.map(h => new PublicKey(h.owner || PublicKey.default)));
+    const burned = holders.filter(h => BURN_OWNERS.has(h.owner)).reduce((s, h) => s + h.amount, 0);
+    const locked = holders
+        .filter((h, i) => h.owner && ownerInfos[i] && LOCKER_PROGRAMS.has(ownerInfos[i].owner.toBase58()))
+        .reduce((s, h) => s + h.amount, 0);
+
+    const isExcluded = (h) => lpAccounts.has(h.address) || (h.owner && (lpAccounts.has(h.owner) || EXCLUDED_OWNERS.has(h.owner)));
+    const realHolders = holders.filter(h => !isExcluded(h));
+
+    const pct = (amount) => (amount / supply) * 100;
+    const sum = (list) => list.reduce((s, h) => s + h.amount, 0);
+
+    const tokenProgram = mintInfo ? mintInfo.owner.toBase58() : TOKEN_PROGRAM_ID;
+
+    return {
+        supply,
+        burned,
+        locked,
+        // Only the largest accounts are checked, so small burns/locks still count as circulating
+        circulating: Math.max(0, supply - burned - locked),
+        top20Pct: pct(sum(holders)),
+        top10Pct: pct(sum(realHolders.slice(0, 10))),
+        largestHolderPct: realHolders.length > 0 ? pct(realHolders[0].amount) : 0,
+        holderCount: countHolders ? await estimateHolderCount(mintKey, tokenProgram) : null
+    };
+}
+
+async function scanHolders(deps) {
+    const { db } = deps;
+
+    // Same eligibility as the K-Score cycle, stalest first
+    const tokens = await db.all(`
+        SELECT t.mint, t.last_holder_scan, t.holder_count, t.holder_count_at, p.base_vault, p.quote_vault, p.pair_address, p.dex
+        FROM tokens t
+        LEFT JOIN pools p ON p.mint = t.mint
+        WHERE t.hasCommunityUpdate = TRUE OR t.volume24h > 5000
+        ORDER BY t.last_holder_scan ASC NULLS FIRST
+        LIMIT $1
+    `, [SCAN_BATCH]);
+
+    if (!tokens || tokens.length === 0) return { processed: 0 };
+
+    // Stalest first, so the first row is how far behind the scans are
+    const lagSeconds = tokens[0].last_holder_scan ? (Date.now() - tokens[0].last_holder_scan) / 1000 : undefined;
+    let scanned = 0;
+    for (const t of tokens) {
+        try {
+            // Pool vaults are token accounts; a pump.fun curve owns its token account
+            const lpAccounts = new Set([t.base_vault, t.quote_vault, t.pair_address].filter(Boolean));
+            lpAccounts.add(pumpCurveAddress(t.mint));
+
+            const countDue = holderCountDue(t, Date.now());
+            const snapshot = await analyzeMint(t.mint, lpAccounts, { countHolders: countDue });
+            const now = Date.now();
+
+            if (snapshot) {
+                const holderCount = snapshot.holderCount ?? t.holder_count ?? null;
+                await db.run(`
+                    INSERT INTO holder_snapshots (mint, time, supply, top10_pct, top20_pct, largest_holder_pct, holder_count)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    ON CONFLICT (mint, time) DO NOTHING
+                `, [t.mint, now, snapshot.supply, snapshot.top10Pct, snapshot.top20Pct, snapshot.largestHolderPct, holderCount]);
+
+                // A refused scan still waits a day, since it's likely to be refused again
+                if (countDue) {
+                    await db.run(`
+                        UPDATE tokens SET holder_count = COALESCE($1, holder_count), holder_count_at = $2 WHERE mint = $3
+                    `, [snapshot.holderCount, now, t.mint]);
+                }
+
+                await db.run(`
+                    UPDATE tokens SET
+                        total_supply = $1, burned_supply = $2, locked_supply = $3, circulating_supply = $4,
+                        supply_checked_at = $5,
+                        fdv = CASE WHEN priceUsd > 0 THEN priceUsd * $1 ELSE fdv END,
+                        marketCap = CASE WHEN priceUsd > 0 THEN priceUsd * $4 ELSE marketCap END
+                    WHERE mint = $6
+                `, [snapshot.supply, snapshot.burned, snapshot.locked, snapshot.circulating, now, t.mint]);
+                await invalidateTokens([t.mint]);
+                scanned++;
+            }
+
+            await db.run(`UPDATE tokens SET last_holder_scan = $1 WHERE mint = $2`, [now, t.mint]);
+        } catch (e) {
+            logger.warn(`[Holders] Scan failed for ${t.mint}: ${e.message}`);
+        }
+
+        await sleep(200);
+    }
+
+    logger.info(`[Holders] Snapshotted ${scanned}/${tokens.length} tokens.`);
+    return { processed: scanned, lagSeconds };
+}
+
+function start(deps) {
+    schedule(deps, 'holder-analytics', { intervalMs: config.HOLDER_SCAN_INTERVAL, initialDelayMs: 20000 }, () => scanHolders(deps));
+    logger.info(`🚀 Holder Analytics started (Interval: ${config.HOLDER_SCAN_INTERVAL / 60000}m)`);
+}
+
+module.exports = { start, scanHolders, analyzeMint };
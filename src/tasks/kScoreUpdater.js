@@ -1,8 +1,15 @@
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
 const config = require('../config/env');
 const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const { ACTIVE_VERSION, SAFETY_METRICS, getModel } = require('../config/kscore');
+const { checkTokenSafety } = require('../services/safety');
+const { publish } = require('../services/stream');
+const { invalidateTokens } = require('../services/cache');
+const alertEngine = require('./alertEngine');
 
-const solanaConnection = new Connection(config.SOLANA_RPC_URL, 'confirmed');
+const solanaConnection = createConnection(config.SOLANA_RPC_URL, 'confirmed');
 
 // Helper sleep function
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -17,58 +24,162 @@ async function getHolderCount(mintAddress) {
     }
 }
 
+// Token row plus its indexed pool and latest holder snapshot
+const TOKEN_WITH_HOLDERS_SQL = `
+    SELECT t.*, p.pair_address, hs.top10_pct, hs.largest_holder_pct
+    FROM tokens t
+    LEFT JOIN pools p ON p.mint = t.mint
+    LEFT JOIN LATERAL (
+        SELECT top10_pct, largest_holder_pct FROM holder_snapshots
+        WHERE mint = t.mint ORDER BY time DESC LIMIT 1
+    ) hs ON TRUE
+`;
+
+// Preview sample: tokens scored per admin request (the most traded eligible ones)
+const PREVIEW_DEFAULT_LIMIT = 500;
+const PREVIEW_MAX_LIMIT = 2000;
+const PREVIEW_YIELD_EVERY = 100;
+
+const usesMetric = (model, metric) => Object.values(model.factors).some(f => f.metric === metric);
+
+// Maps safety flags (live or stored) onto scoring metrics.
+// Unknown flags stay null so they neither reward nor penalise.
+function safetyInputs(safety) {
+    const known = (v) => v !== null && v !== undefined;
+    return {
+        mintAuthorityActive: known(safety.mintAuthorityRevoked) ? (safety.mintAuthorityRevoked ? 0 : 1) : null,
+        freezeAuthorityActive: known(safety.freezeAuthorityRevoked) ? (safety.freezeAuthorityRevoked ? 0 : 1) : null,
+        lpSafePct: known(safety.lpBurnedPct) ? Math.min(100, safety.lpBurnedPct + (safety.lpLockedPct || 0)) : null,
+        riskyExtensions: known(safety.hasTransferFee) ? (safety.hasTransferFee ? 1 : 0) + (safety.hasPermanentDelegate ? 1 : 0) : null
+    };
+}
+
+function storedSafety(dbData) {
+    if (!dbData) return {};
+    return {
+        mintAuthorityRevoked: dbData.mint_authority_revoked,
+        freezeAuthorityRevoked: dbData.freeze_authority_revoked,
+        lpBurnedPct: dbData.lp_burned_pct,
+        lpLockedPct: dbData.lp_locked_pct,
+        hasTransferFee: dbData.has_transfer_fee,
+        hasPermanentDelegate: dbData.has_permanent_delegate
+    };
+}
+
 /**
- * Shared Scoring Logic
- * Used by both the batch updater and the single-token API
+ * Collects the metric values a model needs.
+ * 'live' allows RPC calls; previews run with live = false and fall back to
+ * stored snapshots so they never burn RPC credits.
+ * Resolves to { inputs, safety } (safety is null unless checked live).
  */
-async function computeScoreInternal(mint, dbData = null) {
-    let score = 0;
-    
-    try {
-        // 1. Verification / Community Update (Max 50 pts)
-        // If we have DB data, check verification status
-        if (dbData && (dbData.hasCommunityUpdate || dbData.hascommunityupdate)) {
-            score += 50;
+async function gatherInputs(mint, dbData, model, live = true) {
+    const num = (v) => (v === null || v === undefined ? null : Number(v));
+    const inputs = {
+        verified: dbData && (dbData.hasCommunityUpdate || dbData.hascommunityupdate) ? 1 : 0,
+        volume24h: dbData ? num(dbData.volume24h) || 0 : null,
+        marketCap: dbData ? num(dbData.marketCap || dbData.marketcap) || 0 : null,
+        top10Pct: dbData ? num(dbData.top10_pct) : null,
+        largestHolderPct: dbData ? num(dbData.largest_holder_pct) : null,
+        holdersAlive: null
+    };
+
+    // Holder Analysis (RPC) - only when the model asks for it, as it eats RPC credits
+    if (usesMetric(model, 'holdersAlive')) {
+        if (live) {
+            const holders = await getHolderCount(mint);
+            inputs.holdersAlive = holders ? holders.length : null;
         } else {
-            // If no DB data passed, we assume base score or 0
-            // (The API route calls this, usually without knowing if it's verified yet unless passed)
-            // We give a small "Discovery" points base
-            score += 10;
+            inputs.holdersAlive = inputs.top10Pct !== null ? 1 : null;
         }
+    }
 
-        // 2. Volume (Max 20 pts)
-        if (dbData) {
-            const vol = dbData.volume24h || 0;
-            if (vol > 100000) score += 20;
-            else if (vol > 10000) score += 10;
+    // Safety checks (RPC) - fresh flags are returned so the caller can persist them
+    let safety = null;
+    if (SAFETY_METRICS.some(m => usesMetric(model, m))) {
+        if (live) {
+            try {
+                safety = await checkTokenSafety(mint, dbData?.pair_address || null);
+            } catch (e) {
+                logger.warn(`Safety check failed for ${mint}: ${e.message}`);
+            }
         }
+        Object.assign(inputs, safetyInputs(safety || storedSafety(dbData)));
+    }
 
-        // 3. Holder Analysis (RPC) - Max 20 pts
-        // We only do this if it's a critical update, as it eats RPC credits
-        const holders = await getHolderCount(mint);
-        if (holders && holders.length > 0) {
-            // Basic check: If we can fetch holders, the chain data is alive
-            score += 20; 
-            
-            // Advanced: Check concentration (placeholder logic for future expansion)
-            // const topHolder = holders[0];
-            // if (topHolder.uiAmount > supply * 0.5) score -= 10; 
-        }
+    return { inputs, safety };
+}
+
+/**
+ * Pure scoring: applies a model to gathered inputs.
+ * Returns { score, breakdown } where breakdown maps factor -> { metric, value, points }.
+ */
+function scoreWithModel(model, inputs) {
+    const breakdown = {};
+    let total = 0;
+
+    for (const [name, factor] of Object.entries(model.factors)) {
+        const value = inputs[factor.metric];
+        let points = 0;
 
-        // 4. Age/Market Cap Boost (Max 10 pts)
-        if (dbData) {
-             const mcap = dbData.marketCap || dbData.marketcap || 0;
-             if (mcap > 100000) score += 10;
+        if (value !== null && value !== undefined) {
+            const bucket = factor.buckets.find(b =>
+                (typeof b.gt === 'number' && value > b.gt) || (typeof b.lt === 'number' && value < b.lt)
+            );
+            points = bucket ? bucket.points : (factor.default || 0);
         }
 
-        return Math.min(score, 100);
-        
+        breakdown[name] = { metric: factor.metric, value: value ?? null, points };
+        total += points;
+    }
+
+    return { score: Math.max(0, Math.min(total, model.cap)), breakdown };
+}
+
+/**
+ * Shared Scoring Logic
+ * Used by both the batch updater and the single-token API.
+ * Resolves to { score, breakdown, version }.
+ */
+async function computeScoreInternal(mint, dbData = null, version = ACTIVE_VERSION) {
+    const model = getModel(version);
+    
+    try {
+        const { inputs, safety } = await gatherInputs(mint, dbData, model);
+        return { ...scoreWithModel(model, inputs), version, safety };
     } catch (e) {
         console.error(`Score Calc Error ${mint}:`, e.message);
-        return 10; // Default low score on error
+        return { score: 10, breakdown: null, version, safety: null }; // Default low score on error
+    }
+}
+
+async function saveScore(db, mint, result, previous = null) {
+    await db.run(`
+        UPDATE tokens 
+        SET k_score = $1, last_k_calc = $2, k_score_breakdown = $3, k_score_version = $4
+        WHERE mint = $5
+    `, [result.score, Date.now(), result.breakdown ? JSON.stringify(result.breakdown) : null, result.version, mint]);
+
+    if (previous !== null && previous !== result.score) {
+        await publish('kscore', { score: result.score, previous, version: result.version }, mint);
     }
 }
 
+async function saveSafety(db, mint, safety) {
+    await db.run(`
+        UPDATE tokens SET
+            mint_authority_revoked = $1, freeze_authority_revoked = $2,
+            lp_burned_pct = $3, lp_locked_pct = $4,
+            has_transfer_fee = $5, has_permanent_delegate = $6,
+            safety_checked_at = $7
+        WHERE mint = $8
+    `, [
+        safety.mintAuthorityRevoked, safety.freezeAuthorityRevoked,
+        safety.lpBurnedPct, safety.lpLockedPct,
+        safety.hasTransferFee, safety.hasPermanentDelegate,
+        Date.now(), mint
+    ]);
+}
+
 /**
  * Updates a single token's score immediately in the DB.
  * Used by Admin Approval route.
@@ -76,81 +187,120 @@ async function computeScoreInternal(mint, dbData = null) {
 async function updateSingleToken(deps, mint) {
     const { db } = deps;
     try {
-        const token = await db.get('SELECT * FROM tokens WHERE mint = $1', [mint]);
+        const token = await db.get(`${TOKEN_WITH_HOLDERS_SQL} WHERE t.mint = $1`, [mint]);
         if (!token) return;
 
         logger.info(`⚡ Immediate K-Score Calc triggered for ${token.ticker}`);
-        const score = await computeScoreInternal(mint, token);
-
-        await db.run(`
-            UPDATE tokens 
-            SET k_score = $1, last_k_calc = $2 
-            WHERE mint = $3
-        `, [score, Date.now(), mint]);
+        const result = await computeScoreInternal(mint, token);
+        await saveScore(db, mint, result, token.k_score);
+        if (result.safety) await saveSafety(db, mint, result.safety);
+        await invalidateTokens([mint]);
         
-        return score;
+        return result.score;
     } catch (e) {
         logger.error(`Failed single update for ${mint}:`, e);
         return 0;
     }
 }
 
+/**
+ * Scores a sample of eligible tokens with 'model' from stored data only (no
+ * RPC) and compares against the live score. Nothing is written.
+ * The sample is the 'limit' highest-volume eligible tokens (capped at
+ * PREVIEW_MAX_LIMIT) so one admin request can't score the whole table;
+ * 'eligible' reports how many there are in total.
+ */
+async function previewModel(deps, model, label = 'custom', limit = PREVIEW_DEFAULT_LIMIT) {
+    const { db } = deps;
+    const sampleSize = Math.min(Math.max(parseInt(limit) || PREVIEW_DEFAULT_LIMIT, 1), PREVIEW_MAX_LIMIT);
+
+    const [tokens, eligible] = await Promise.all([
+        db.all(`
+            ${TOKEN_WITH_HOLDERS_SQL}
+            WHERE t.hasCommunityUpdate = TRUE OR t.volume24h > 5000
+            ORDER BY t.volume24h DESC NULLS LAST
+            LIMIT $1
+        `, [sampleSize]),
+        db.get(`SELECT COUNT(*)::int AS n FROM tokens t WHERE t.hasCommunityUpdate = TRUE OR t.volume24h > 5000`)
+    ]);
+
+    const results = [];
+    for (const t of tokens) {
+        const { inputs } = await gatherInputs(t.mint, t, model, false);
+        const { score, breakdown } = scoreWithModel(model, inputs);
+        results.push({ mint: t.mint, ticker: t.ticker, currentScore: t.k_score || 0, previewScore: score, delta: score - (t.k_score || 0), breakdown });
+        // Scoring is CPU only; let other requests on this API node through
+        if (results.length % PREVIEW_YIELD_EVERY === 0) await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const avg = (key) => results.length ? results.reduce((s, r) => s + r[key], 0) / results.length : 0;
+    const movers = [...results].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)).slice(0, 50);
+
+    return {
+        model: label,
+        tokens: results.length,
+        eligible: eligible?.n ?? results.length,
+        changed: results.filter(r => r.delta !== 0).length,
+        avgCurrent: avg('currentScore'),
+        avgPreview: avg('previewScore'),
+        movers
+    };
+}
+
 async function updateKScores(deps) {
     const { db } = deps;
     
     logger.info("虫 K-Score Updater: Starting cycle...");
 
-    try {
-        const tokens = await db.all(`
-            SELECT * FROM tokens 
-            WHERE hasCommunityUpdate = 1 
-            OR volume24h > 5000
-        `);
-
-        if (!tokens || tokens.length === 0) {
-            logger.info("虫 K-Score: No eligible tokens found.");
-            return;
-        }
+    const tokens = await db.all(`
+        ${TOKEN_WITH_HOLDERS_SQL}
+        WHERE t.hasCommunityUpdate = TRUE 
+        OR t.volume24h > 5000
+    `);
 
-        logger.info(`虫 K-Score: Updating ${tokens.length} tokens...`);
+    if (!tokens || tokens.length === 0) {
+        logger.info("虫 K-Score: No eligible tokens found.");
+        return { processed: 0 };
+    }
 
-        for (const t of tokens) {
-            try {
-                // Use the shared scoring logic
-                const score = await computeScoreInternal(t.mint, t);
-
-                // Update DB
-                await db.run(`
-                    UPDATE tokens 
-                    SET k_score = $1, last_k_calc = $2 
-                    WHERE mint = $3
-                `, [score, Date.now(), t.mint]);
-
-            } catch (err) {
-                console.warn(`Failed K-Score for ${t.mint}: ${err.message}`);
-            }
-            
-            await sleep(50); 
+    logger.info(`虫 K-Score: Updating ${tokens.length} tokens...`);
+
+    // Oldest previous score among this cycle's tokens (0 = never scored, not lag)
+    const scoredAt = tokens.map(t => Number(t.last_k_calc)).filter(Boolean);
+    const lagSeconds = scoredAt.length ? (Date.now() - Math.min(...scoredAt)) / 1000 : undefined;
+
+    for (const t of tokens) {
+        try {
+            // Use the shared scoring logic
+            const result = await computeScoreInternal(t.mint, t);
+            await saveScore(db, t.mint, result, t.k_score);
+            if (result.safety) await saveSafety(db, t.mint, result.safety);
+            await invalidateTokens([t.mint]);
+
+        } catch (err) {
+            console.warn(`Failed K-Score for ${t.mint}: ${err.message}`);
         }
         
-        logger.info("虫 K-Score Updater: Cycle complete.");
-
-    } catch (e) {
-        logger.error("K-Score Cycle Error", e);
+        await sleep(50); 
     }
+    
+    await alertEngine.evaluateMints(deps, tokens.map(t => t.mint));
+
+    logger.info("虫 K-Score Updater: Cycle complete.");
+    return { processed: tokens.length, lagSeconds };
 }
 
 function start(deps) {
-    // Run every 10 minutes
-    setInterval(() => updateKScores(deps), 600000);
-    // Run once immediately after startup (delay 10s)
-    setTimeout(() => updateKScores(deps), 10000);
+    // Every 10 minutes, first run 10s after startup
+    schedule(deps, 'kscore-updater', { intervalMs: 600000, initialDelayMs: 10000 }, () => updateKScores(deps));
 }
 
 module.exports = { 
     start, 
     updateSingleToken, // Exported for Routes
+    previewModel,      // Exported for Admin preview
     calculateTokenScore: async (mint) => {
-        return await computeScoreInternal(mint, null);
+        const result = await computeScoreInternal(mint, null);
+        return result.score;
     }
 };
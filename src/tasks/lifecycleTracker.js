@@ -0,0 +1,162 @@
+/**
+ * Lifecycle Tracker
+ * Keeps tokens.lifecycle and the 'token_events' timeline current:
+ * - Reads pump.fun curve accounts for unclassified / bonding / migrating
+ *   tokens: progress %, and graduation once the token trades on an AMM
+ * - Records first $100k market cap and liquidity pulls from the values the
+ *   Metadata Updater stores
+ * - Marks tokens with no volume and no liquidity as dead (and revives them)
+ */
+const { PublicKey } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
+const config = require('../config/env');
+const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const { EVENT_TYPES, recordEvent } = require('../services/tokenEvents');
+const { invalidateTokens } = require('../services/cache');
+const { PROGRAMS, DEX, pumpCurveAddress, readPumpCurve, bondingProgress } = require('../utils/pools');
+
+const connection = createConnection(config.INDEXER_RPC_URL, 'confirmed');
+
+const CURVE_BATCH = 300;
+const CHUNK_SIZE = 100;
+
+const MCAP_MILESTONE = 100000;
+// Only tokens we saw young enough for the milestone to be news
+const MILESTONE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// A pull is liquidity falling below 20% of the previous pass, from at least $1k
+const PULL_MIN_LIQUIDITY = 1000;
+const PULL_RATIO = 0.2;
+
+const DEAD_LIQUIDITY = 100;
+// New tokens get a day before their missing volume counts against them
+const DEAD_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// DexScreener dexIds of the curve itself; any other pair means an AMM pool exists
+const CURVE_DEX_IDS = ['pumpfun', 'pump'];
+
+function classify(row, info) {
+    if (!info || info.owner.toBase58() !== PROGRAMS.PUMP_FUN) {
+        return { lifecycle: 'graduated', progress: null };
+    }
+    const curve = readPumpCurve(info.data);
+    if (!curve.complete) return { lifecycle: 'bonding', progress: bondingProgress(curve) };
+
+    const onAmm = (row.pool_dex && row.pool_dex !== DEX.PUMP_FUN) || row.has_amm_pair;
+    return { lifecycle: onAmm ? 'graduated' : 'migrating', progress: 100 };
+}
+
+async function checkCurves(db, now) {
+    const tokens = await db.all(`
+        SELECT t.mint, t.lifecycle, t.timestamp, p.dex AS pool_dex,
+               EXISTS (
+                   SELECT 1 FROM pair_snapshots s WHERE s.mint = t.mint AND s.dex_id <> ALL($2)
+               ) AS has_amm_pair
+        FROM tokens t
+        LEFT JOIN pools p ON p.mint = t.mint
+        WHERE t.lifecycle IS NULL OR t.lifecycle IN ('bonding', 'migrating')
+        ORDER BY t.lifecycle_checked_at ASC NULLS FIRST
+        LIMIT $1
+    `, [CURVE_BATCH, CURVE_DEX_IDS]);
+
+    let graduated = 0;
+    for (let i = 0; i < tokens.length; i += CHUNK_SIZE) {
+        const chunk = tokens.slice(i, i + CHUNK_SIZE);
+        const infos = await connection.getMultipleAccountsInfo(chunk.map(t => new PublicKey(pumpCurveAddress(t.mint))));
+
+        for (let j = 0; j < chunk.length; j++) {
+            const row = chunk[j];
+            const { lifecycle, progress } = classify(row, infos[j]);
+
+            await db.run(`
+                UPDATE tokens SET lifecycle = $1, bonding_progress = $2, lifecycle_checked_at = $3 WHERE mint = $4
+            `, [lifecycle, progress, now, row.mint]);
+
+            if (!row.lifecycle) {
+                await recordEvent(db, row.mint, EVENT_TYPES.CREATED, { time: parseInt(row.timestamp) || now });
+            }
+            // Only transitions we watched; a token first seen already graduated has no known graduation time
+            if (lifecycle === 'graduated' && (row.lifecycle === 'bonding' || row.lifecycle === 'migrating')) {
+                if (await recordEvent(db, row.mint, EVENT_TYPES.GRADUATED, { data: { dex: row.pool_dex || null } })) graduated++;
+            }
+        }
+        await invalidateTokens(chunk.map(t => t.mint));
+    }
+
+    if (graduated > 0) logger.info(`[Lifecycle] ${graduated} tokens graduated.`);
+    return tokens.length;
+}
+
+async function recordMilestones(db, now) {
+    const reached = await db.all(`
+        SELECT t.mint, t.marketCap FROM tokens t
+        WHERE t.marketCap >= $1 AND t.timestamp >= $2
+          AND NOT EXISTS (SELECT 1 FROM token_events e WHERE e.mint = t.mint AND e.type = $3)
+    `, [MCAP_MILESTONE, now - MILESTONE_MAX_AGE_MS, EVENT_TYPES.MCAP_100K]);
+
+    for (const t of reached) {
+        await recordEvent(db, t.mint, EVENT_TYPES.MCAP_100K, { time: now, data: { marketCap: t.marketcap } });
+    }
+}
+
+async function detectLiquidityPulls(db, now) {
+    // Remember this pass's liquidity and get the previous one back in the same statement
+    const changed = await db.all(`
+        UPDATE tokens t SET last_seen_liquidity = t.liquidity
+        FROM (
+            SELECT mint, last_seen_liquidity AS before FROM tokens
+            WHERE last_seen_liquidity IS DISTINCT FROM liquidity
+        ) prev
+        WHERE t.mint = prev.mint
+        RETURNING t.mint, prev.before, t.liquidity AS after
+    `);
+
+    const pulls = changed.filter(c => c.before >= PULL_MIN_LIQUIDITY && (c.after || 0) < c.before * PULL_RATIO);
+    for (const p of pulls) {
+        await recordEvent(db, p.mint, EVENT_TYPES.LIQUIDITY_PULL, { time: now, data: { before: p.before, after: p.after || 0 } });
+    }
+    if (pulls.length > 0) logger.warn(`[Lifecycle] Liquidity pulled on ${pulls.length} tokens.`);
+}
+
+async function markDead(db, now) {
+    const dead = await db.all(`
+        UPDATE tokens SET lifecycle = 'dead', lifecycle_checked_at = $1
+        WHERE lifecycle IN ('bonding', 'graduated')
+          AND COALESCE(volume24h, 0) = 0 AND COALESCE(liquidity, 0) < $2
+          AND timestamp < $3
+        RETURNING mint
+    `, [now, DEAD_LIQUIDITY, now - DEAD_MIN_AGE_MS]);
+
+    // Trading again: back to unclassified so the next pass re-reads the curve
+    const revived = await db.all(`
+        UPDATE tokens SET lifecycle = NULL
+        WHERE lifecycle = 'dead' AND (COALESCE(volume24h, 0) > 0 OR COALESCE(liquidity, 0) >= $1)
+        RETURNING mint
+    `, [DEAD_LIQUIDITY]);
+
+    await invalidateTokens([...dead, ...revived].map(r => r.mint));
+}
+
+async function trackLifecycle(deps) {
+    const { db } = deps;
+    const now = Date.now();
+
+    const stalest = await db.get(`
+        SELECT MIN(lifecycle_checked_at) AS t FROM tokens WHERE lifecycle IS NULL OR lifecycle IN ('bonding', 'migrating')
+    `);
+
+    const checked = await checkCurves(db, now);
+    await recordMilestones(db, now);
+    await detectLiquidityPulls(db, now);
+    await markDead(db, now);
+
+    return { processed: checked, lagSeconds: stalest?.t ? (now - Number(stalest.t)) / 1000 : undefined };
+}
+
+function start(deps) {
+    schedule(deps, 'lifecycle-tracker', { intervalMs: 60000, initialDelayMs: 30000 }, () => trackLifecycle(deps));
+    logger.info('🚀 Lifecycle Tracker started');
+}
+
+module.exports = { start, trackLifecycle };
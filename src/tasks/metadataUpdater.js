@@ -1,33 +1,21 @@
 /**
  * Metadata Updater (Stabilized Version)
- * Implements Pagination & Locking to handle high concurrency.
+ * Refreshes tokens by activity tier (hot every minute ... cold hourly); runs
+ * under the job scheduler (one replica at a time).
  * UPDATED: Strict logic to pull price/mcap from Largest Liquidity Pool.
  * UPDATED: Reduced Batch Size to prevent 400 Errors from DexScreener.
+ * UPDATED: Pairs come from the market-data provider chain (DexScreener first).
+ * UPDATED: Keeps per-pair snapshots and total liquidity; market cap uses circulating supply.
  */
-const axios = require('axios');
 const config = require('../config/env');
 const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const marketData = require('../services/marketData');
+const { invalidateTokens } = require('../services/cache');
+const alertEngine = require('./alertEngine');
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// --- LOCKING MECHANISM ---
-let isRunning = false;
-
-// Helper: Batch fetch with retry
-async function fetchWithRetry(url, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await axios.get(url, { timeout: 10000 });
-        } catch (e) {
-            // If 400, do not retry, it's a bad request (too many mints or invalid format)
-            if (e.response && e.response.status === 400) throw e;
-            
-            if (i === retries - 1) throw e;
-            await delay(1000 * (i + 1));
-        }
-    }
-}
-
 // Logic to determine the best pair for Price/MCap data
 function getBestPair(pairs, mint) {
     if (!pairs || pairs.length === 0) return null;
@@ -66,113 +54,220 @@ async function syncTokenData(deps, mint, pairs) {
     if (!bestPair) return;
 
     // Prepare Data
-    // Use FDV (Fully Diluted Valuation) as Market Cap standard for Solana tokens
-    // Fallback to marketCap property if FDV is missing.
-    const marketCap = Number(bestPair.fdv || bestPair.marketCap || 0);
+    // Provider values are the fallback until Holder Analytics has read the
+    // on-chain supply; after that FDV / market cap are price * total / circulating.
+    const fdv = Number(bestPair.fdv || bestPair.marketCap || 0);
+    const marketCap = Number(bestPair.marketCap || bestPair.fdv || 0);
     const priceUsd = Number(bestPair.priceUsd || 0);
     
     const change5m = Number(bestPair.priceChange?.m5 || 0);
     const change1h = Number(bestPair.priceChange?.h1 || 0);
     const change24h = Number(bestPair.priceChange?.h24 || 0);
 
+    // C. Total liquidity across pools. The on-chain provider doesn't know
+    // reserves and names DEXes its own way, so its pairs leave both alone.
+    const liquidityKnown = pairs.some(p => p.source !== 'onchain');
+    const totalLiquidity = pairs.reduce((sum, p) => sum + (Number(p.liquidity?.usd) || 0), 0);
+
     const query = `
         UPDATE tokens SET 
-        volume24h = $1, marketCap = $2, priceUsd = $3, 
-        change5m = $4, change1h = $5, change24h = $6, 
-        lastUpdated = $7 
-        WHERE mint = $8
+        volume24h = $1, priceUsd = $2, 
+        change5m = $3, change1h = $4, change24h = $5, 
+        liquidity = COALESCE($6, liquidity), dex = COALESCE($7, dex),
+        fdv = CASE WHEN total_supply > 0 THEN $2 * total_supply ELSE $8 END,
+        marketCap = CASE WHEN circulating_supply > 0 THEN $2 * circulating_supply ELSE $9 END,
+        lastUpdated = $10 
+        WHERE mint = $11
     `;
 
     const params = [
         totalVolume,
-        marketCap,
         priceUsd,
         change5m,
         change1h,
         change24h,
+        liquidityKnown ? totalLiquidity : null,
+        liquidityKnown ? bestPair.dexId || null : null,
+        fdv,
+        marketCap,
         Date.now(),
         mint
     ];
 
     await db.run(query, params);
+    await savePairSnapshots(db, mint, pairs);
 }
 
+// Pair-level providers only: Jupiter reports one aggregate per token and the
+// on-chain provider is built from our own tables.
+const AGGREGATE_SOURCES = ['jupiter', 'onchain'];
+
+const numOrNull = (v) => (v === undefined || v === null || v === '' || isNaN(Number(v)) ? null : Number(v));
+
 /**
- * Main Update Function (Paged & Locked)
+ * Upserts the latest state of each of the token's pairs into 'pair_snapshots'.
  */
-async function updateMetadata(deps) {
-    if (isRunning) {
-        logger.warn("⚠️ Metadata Updater: Previous cycle still active. Skipping this run.");
-        return;
-    }
-    isRunning = true;
+async function savePairSnapshots(db, mint, pairs) {
+    const rows = pairs
+        .filter(p => p.pairAddress && p.chainId === 'solana' && !AGGREGATE_SOURCES.includes(p.source))
+        .map(p => [
+            p.pairAddress, mint, p.dexId || null, p.quoteToken?.address || null, p.quoteToken?.symbol || null,
+            numOrNull(p.priceUsd), numOrNull(p.priceNative),
+            numOrNull(p.liquidity?.usd), numOrNull(p.liquidity?.base), numOrNull(p.liquidity?.quote),
+            numOrNull(p.volume?.h24), numOrNull(p.txns?.h24?.buys), numOrNull(p.txns?.h24?.sells),
+            numOrNull(p.fdv), numOrNull(p.marketCap), numOrNull(p.pairCreatedAt), p.source || null, Date.now()
+        ]);
+    if (rows.length === 0) return;
 
-    const { db, globalState } = deps;
-    
-    // FIX: Reduced from 50 to 30. DexScreener API limits the /tokens/ endpoint to 30 addresses.
-    const BATCH_SIZE = 30; 
-    
-    let offset = 0;
-    let hasMore = true;
+    const values = [];
+    const placeholders = [];
+    let i = 1;
+    rows.forEach(row => {
+        values.push(...row);
+        placeholders.push(`(${row.map(() => `$${i++}`).join(', ')})`);
+    });
+
+    await db.run(`
+        INSERT INTO pair_snapshots (
+            pair_address, mint, dex_id, quote_mint, quote_symbol,
+            price_usd, price_native, liquidity_usd, liquidity_base, liquidity_quote,
+            volume24h, buys24h, sells24h, fdv, market_cap, pair_created_at, source, updated_at
+        )
+        VALUES ${placeholders.join(', ')}
+        ON CONFLICT (pair_address) DO UPDATE SET
+            mint = EXCLUDED.mint,
+            dex_id = EXCLUDED.dex_id,
+            quote_mint = EXCLUDED.quote_mint,
+            quote_symbol = EXCLUDED.quote_symbol,
+            price_usd = EXCLUDED.price_usd,
+            price_native = EXCLUDED.price_native,
+            liquidity_usd = EXCLUDED.liquidity_usd,
+            liquidity_base = EXCLUDED.liquidity_base,
+            liquidity_quote = EXCLUDED.liquidity_quote,
+            volume24h = EXCLUDED.volume24h,
+            buys24h = EXCLUDED.buys24h,
+            sells24h = EXCLUDED.sells24h,
+            fdv = EXCLUDED.fdv,
+            market_cap = EXCLUDED.market_cap,
+            pair_created_at = COALESCE(EXCLUDED.pair_created_at, pair_snapshots.pair_created_at),
+            source = EXCLUDED.source,
+            updated_at = EXCLUDED.updated_at
+    `, values);
+}
+
+// --- ACTIVITY TIERS ---
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Refresh interval per tier; 'hot' is also the scheduler tick
+const REFRESH_MS = {
+    hot: config.METADATA_HOT_INTERVAL,
+    warm: config.METADATA_UPDATE_INTERVAL,
+    cold: config.METADATA_COLD_INTERVAL
+};
+
+// Providers split larger requests themselves; 30 is one DexScreener /tokens/ call
+const BATCH_SIZE = 30;
+// Bounds one run; an overdue backlog is worked off most-overdue first over several runs
+const MAX_BATCHES_PER_RUN = 40;
+
+/**
+ * Re-tiers refreshed tokens from what was just stored and schedules their
+ * next refresh. 'unseen' are mints the providers returned no pairs for,
+ * which count as having no activity.
+ *   hot:  $50k+ volume, under a day old, or traded in the last hour
+ *   warm: $1k+ volume, under a week old, traded in the last day, or community-updated
+ *   cold: everything else
+ */
+async function scheduleRefresh(db, mints, unseen, now) {
+    await db.run(`
+        UPDATE tokens SET
+            activity_tier = tier.name,
+            next_refresh_at = $2::bigint + CASE tier.name WHEN 'hot' THEN $3::bigint WHEN 'warm' THEN $4::bigint ELSE $5::bigint END,
+            zero_activity_since = CASE
+                WHEN (COALESCE(volume24h, 0) = 0 AND COALESCE(liquidity, 0) = 0) OR mint = ANY($6)
+                THEN COALESCE(zero_activity_since, $2)
+                ELSE NULL
+            END
+        FROM (
+            SELECT mint, CASE
+                WHEN COALESCE(volume24h, 0) >= 50000 OR timestamp >= $2 - $7::bigint OR last_trade_at >= $2 - $8::bigint THEN 'hot'
+                WHEN COALESCE(volume24h, 0) >= 1000 OR timestamp >= $2 - $9::bigint OR last_trade_at >= $2 - $7::bigint
+                     OR hasCommunityUpdate = TRUE THEN 'warm'
+                ELSE 'cold'
+            END AS name
+            FROM tokens WHERE mint = ANY($1)
+        ) tier
+        WHERE tokens.mint = tier.mint
+    `, [mints, now, REFRESH_MS.hot, REFRESH_MS.warm, REFRESH_MS.cold, unseen, 24 * HOUR_MS, HOUR_MS, 7 * 24 * HOUR_MS]);
+}
+
+/**
+ * Main Update Function: refreshes every token that is due (overlap is
+ * prevented by the scheduler). Due = next_refresh_at passed, or never refreshed.
+ */
+async function updateMetadata(deps) {
+    const { db } = deps;
+    const startedAt = Date.now();
     let totalProcessed = 0;
 
-    logger.info("🔄 Metadata Updater: Starting paginated cycle...");
+    const overdue = await db.get(`SELECT MIN(next_refresh_at) AS t FROM tokens WHERE next_refresh_at <= $1`, [startedAt]);
 
-    try {
-        while (hasMore) {
-            const tokens = await db.all(`SELECT mint FROM tokens LIMIT $1 OFFSET $2`, [BATCH_SIZE, offset]);
+    for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+        const now = Date.now();
+        const tokens = await db.all(`
+            SELECT mint FROM tokens
+            WHERE next_refresh_at IS NULL OR next_refresh_at <= $1
+            ORDER BY next_refresh_at ASC NULLS FIRST, mint ASC
+            LIMIT $2
+        `, [now, BATCH_SIZE]);
 
-            if (!tokens || tokens.length === 0) {
-                hasMore = false;
-                break;
-            }
+        if (!tokens || tokens.length === 0) break;
+
+        const mints = tokens.map(t => t.mint);
+        let unseen = [];
 
-            const mints = tokens.map(t => t.mint).join(',');
+        try {
+            const pairsData = await marketData.getPairsByMints(deps, mints);
             
-            try {
-                const dexRes = await fetchWithRetry(`https://api.dexscreener.com/latest/dex/tokens/${mints}`);
-                const pairsData = dexRes.data?.pairs || [];
-                
-                const pairsByMint = {};
-                for (const pair of pairsData) {
-                    const m = pair.baseToken.address;
-                    if (!pairsByMint[m]) pairsByMint[m] = [];
-                    pairsByMint[m].push(pair);
-                }
-
-                const updatePromises = tokens.map(t => {
-                    return syncTokenData(deps, t.mint, pairsByMint[t.mint] || []);
-                });
-
-                await Promise.all(updatePromises);
-
-            } catch (e) {
-                logger.error(`❌ Batch Error (Offset ${offset}): ${e.message}`, {
-                    status: e.response?.status,
-                    data: e.response?.data
-                });
+            const pairsByMint = {};
+            for (const pair of pairsData) {
+                const m = pair.baseToken.address;
+                if (!pairsByMint[m]) pairsByMint[m] = [];
+                pairsByMint[m].push(pair);
             }
+            unseen = mints.filter(m => !pairsByMint[m]);
 
-            totalProcessed += tokens.length;
-            offset += BATCH_SIZE;
-            
-            await delay(1100);
+            const updatePromises = tokens.map(t => {
+                return syncTokenData(deps, t.mint, pairsByMint[t.mint] || []);
+            });
+
+            await Promise.all(updatePromises);
+            await alertEngine.evaluateMints(deps, mints);
+
+        } catch (e) {
+            logger.error(`❌ Batch Error (${mints[0]}..): ${e.message}`, {
+                status: e.response?.status,
+                data: e.response?.data
+            });
         }
 
-        globalState.lastBackendUpdate = Date.now();
-        logger.info(`✅ Metadata Updater: Cycle complete. Processed ${totalProcessed} tokens.`);
+        // Always reschedule, so a failing batch waits its turn instead of blocking the queue
+        await scheduleRefresh(db, mints, unseen, now);
+        await invalidateTokens(mints);
+        totalProcessed += tokens.length;
 
-    } catch (fatalError) {
-        logger.error(`🔥 Metadata Updater FATAL: ${fatalError.message}`);
-    } finally {
-        isRunning = false;
+        await delay(1100);
     }
+
+    if (totalProcessed > 0) logger.info(`✅ Metadata Updater: Refreshed ${totalProcessed} due tokens.`);
+
+    return { processed: totalProcessed, lagSeconds: overdue?.t ? (startedAt - Number(overdue.t)) / 1000 : 0 };
 }
 
 function start(deps) {
-    setTimeout(() => updateMetadata(deps), 5000);
-    setInterval(() => updateMetadata(deps), config.METADATA_UPDATE_INTERVAL);
-    logger.info(`🚀 Metadata Updater started (Interval: ${config.METADATA_UPDATE_INTERVAL / 60000}m)`);
+    schedule(deps, 'metadata-updater', { intervalMs: REFRESH_MS.hot, initialDelayMs: 5000 }, () => updateMetadata(deps));
+    logger.info(`🚀 Metadata Updater started (hot ${REFRESH_MS.hot / 60000}m / warm ${REFRESH_MS.warm / 60000}m / cold ${REFRESH_MS.cold / 60000}m)`);
 }
 
-module.exports = { updateMetadata, start, syncTokenData };
+module.exports = { updateMetadata, start, syncTokenData, getBestPair };
@@ -0,0 +1,138 @@
+/**
+ * Pool Discovery Task
+ * Populates the 'pools' table that the Price Indexer reads.
+ * - Picks each token's best pair with the same liquidity rule as the Metadata Updater
+ * - Resolves vaults & decimals from the on-chain pool account (Raydium AMM v4, CPMM, pump.fun, PumpSwap)
+ * - Re-resolves when the best pair changes (e.g. bonding curve graduated to PumpSwap or Raydium)
+ */
+const { PublicKey } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
+const config = require('../config/env');
+const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const { getBestPair } = require('./metadataUpdater');
+const marketData = require('../services/marketData');
+const { decodePool, SOL_MINT } = require('../utils/pools');
+
+const connection = createConnection(config.INDEXER_RPC_URL);
+
+// DexScreener dexIds whose pools we know how to decode.
+// Raydium AMM v4 and CPMM both report as 'raydium'; the owner program tells them apart.
+// Pairs from the jupiter/onchain providers never match, so a failover cycle changes nothing.
+const SUPPORTED_DEX_IDS = ['raydium', 'pumpfun', 'pump', 'pumpswap'];
+
+const BATCH_SIZE = 30;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function resolveBatch(deps, mints) {
+    const { db } = deps;
+    const pairsData = await marketData.getPairsByMints(deps, mints);
+
+    const pairsByMint = {};
+    for (const pair of pairsData) {
+        if (pair.chainId !== 'solana') continue;
+        if (!SUPPORTED_DEX_IDS.includes(pair.dexId)) continue;
+        const m = pair.baseToken.address;
+        if (!pairsByMint[m]) pairsByMint[m] = [];
+        pairsByMint[m].push(pair);
+    }
+
+    const existing = await db.all(`SELECT mint, pair_address, quote_mint FROM pools WHERE mint = ANY($1)`, [mints]);
+    const currentPair = new Map(existing.map(p => [p.mint, p.pair_address]));
+    // Pools resolved before quote tracking need one more pass
+    const missingQuote = new Set(existing.filter(p => !p.quote_mint).map(p => p.mint));
+
+    // Only hit the RPC for mints that are new or whose best pair moved
+    const toResolve = [];
+    for (const mint of mints) {
+        const best = getBestPair(pairsByMint[mint], mint);
+        if (!best) continue;
+        if (currentPair.get(mint) === best.pairAddress && !missingQuote.has(mint)) continue;
+        toResolve.push({ mint, pair: best });
+    }
+
+    if (toResolve.length === 0) return 0;
+
+    const infos = await connection.getMultipleAccountsInfo(toResolve.map(r => new PublicKey(r.pair.pairAddress)));
+
+    let resolved = 0;
+    for (let i = 0; i < toResolve.length; i++) {
+        const { mint, pair } = toResolve[i];
+        const pool = decodePool(infos[i], pair.pairAddress, mint);
+
+        if (!pool) {
+            logger.debug(`[PoolDiscovery] Unsupported or mismatched pool ${pair.pairAddress} for ${mint}`);
+            continue;
+        }
+
+        const wasMigration = currentPair.has(mint) && currentPair.get(mint) !== pair.pairAddress;
+
+        await db.run(`
+            INSERT INTO pools (mint, symbol, pair_address, base_vault, quote_vault, base_decimals, quote_decimals, quote_mint, dex, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            ON CONFLICT (mint) DO UPDATE SET
+                symbol = EXCLUDED.symbol,
+                pair_address = EXCLUDED.pair_address,
+                base_vault = EXCLUDED.base_vault,
+                quote_vault = EXCLUDED.quote_vault,
+                base_decimals = EXCLUDED.base_decimals,
+                quote_decimals = EXCLUDED.quote_decimals,
+                quote_mint = EXCLUDED.quote_mint,
+                dex = EXCLUDED.dex,
+                updated_at = EXCLUDED.updated_at,
+                -- A new pair starts its trade history from scratch
+                last_trade_signature = CASE WHEN pools.pair_address IS DISTINCT FROM EXCLUDED.pair_address THEN NULL ELSE pools.last_trade_signature END
+        `, [mint, pair.baseToken.symbol, pair.pairAddress, pool.baseVault, pool.quoteVault, pool.baseDecimals, pool.quoteDecimals, pool.quoteMint, pool.dex, Date.now()]);
+
+        if (wasMigration) {
+            logger.info(`[PoolDiscovery] ${pair.baseToken.symbol} moved to ${pool.dex} (${pair.pairAddress})`);
+        }
+        resolved++;
+    }
+
+    return resolved;
+}
+
+async function discoverPools(deps) {
+    const { db } = deps;
+    let lastMint = '';
+    let totalResolved = 0;
+    let totalScanned = 0;
+
+    logger.info("[PoolDiscovery] Starting cycle...");
+
+    // Keyset pagination: stable even while tokens are inserted mid-cycle
+    while (true) {
+        const tokens = await db.all(`
+            SELECT mint FROM tokens
+            WHERE mint > $1 AND mint <> $2
+            ORDER BY mint ASC
+            LIMIT $3
+        `, [lastMint, SOL_MINT, BATCH_SIZE]);
+
+        if (!tokens || tokens.length === 0) break;
+        lastMint = tokens[tokens.length - 1].mint;
+        totalScanned += tokens.length;
+
+        try {
+            totalResolved += await resolveBatch(deps, tokens.map(t => t.mint));
+        } catch (e) {
+            logger.error(`[PoolDiscovery] Batch Error (after ${lastMint}): ${e.message}`, {
+                status: e.response?.status
+            });
+        }
+
+        await delay(1100);
+    }
+
+    logger.info(`[PoolDiscovery] Cycle complete. Resolved ${totalResolved} pools.`);
+    return { processed: totalScanned };
+}
+
+function start(deps) {
+    schedule(deps, 'pool-discovery', { intervalMs: config.POOL_DISCOVERY_INTERVAL, initialDelayMs: 15000 }, () => discoverPools(deps));
+    logger.info(`🚀 Pool Discovery started (Interval: ${config.POOL_DISCOVERY_INTERVAL / 60000}m)`);
+}
+
+module.exports = { start, discoverPools };
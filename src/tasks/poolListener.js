@@ -0,0 +1,507 @@
+/**
+ * Pool Listener (On-chain)
+ * Detects new pools as they are created instead of waiting for an aggregator:
+ * - Subscribes to pump.fun, Raydium AMM v4 and CPMM program logs (connection.onLogs)
+ * - Decodes pool-initialize and pump.fun migration instructions from the transaction;
+ *   a migration creates its PumpSwap pool in an inner instruction, so graduations
+ *   move the token onto that pool without a PumpSwap subscription of our own
+ * - Resolves vaults & decimals from the pool account, like Pool Discovery
+ * - New tokens wait in 'pending_pools' until the market-cap / liquidity gate
+ *   passes, then the token and its pool are inserted directly
+ * - Reconnects when a subscription goes quiet and backfills from the last
+ *   processed signature / slot (kept in 'listener_state')
+ * Only one worker replica holds the subscriptions (Postgres advisory lock);
+ * the others stand by and take over if it goes away.
+ */
+const axios = require('axios');
+const bs58 = require('bs58');
+const { PublicKey } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
+const config = require('../config/env');
+const { logger } = require('../services');
+const { saveTokenData } = require('../services/database');
+const { publish } = require('../services/stream');
+const { schedule } = require('../services/scheduler');
+const { EVENT_TYPES, recordEvent } = require('../services/tokenEvents');
+const {
+    PROGRAMS, DEX, SOL_MINT, STABLE_MINTS,
+    decodePool, decodePoolInstruction, readReserves, readPumpCurve, readMintSupply
+} = require('../utils/pools');
+const { resolvePublicAddress } = require('../utils/network');
+const { MIN_MARKET_CAP, MIN_LIQUIDITY } = require('./newTokenListener');
+
+const connection = createConnection(config.INDEXER_RPC_URL, 'confirmed');
+
+// Held for as long as this replica owns the subscriptions
+const LEADER_LOCK_KEY = 4817303;
+const STANDBY_RETRY_MS = 60000;
+
+/**
+ * 'marker' is an account touched only by pool-creating transactions (pump.fun
+ * mint authority, Raydium create-pool fee receivers). Backfill pages through
+ * its signatures rather than the programs', which are mostly swaps.
+ */
+const SOURCES = [
+    { name: DEX.PUMP_FUN, program: PROGRAMS.PUMP_FUN, marker: 'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM', pattern: /Instruction: (Create|Migrate)\b/ },
+    { name: DEX.RAYDIUM_AMM_V4, program: PROGRAMS.RAYDIUM_AMM_V4, marker: '7YttLkHDoNj9wyDur5pM1ejNaAvT9X4eqaYcHQqtj2G5', pattern: /initialize2/ },
+    { name: DEX.RAYDIUM_CPMM, program: PROGRAMS.RAYDIUM_CPMM, marker: 'DNXgeM9EiiaAbaWvwjHj9fQQLAX5ZsfHyvmYUNRAdNC8', pattern: /Instruction: Initialize\b/ }
+];
+
+const QUOTE_MINTS = new Set([SOL_MINT, ...STABLE_MINTS]);
+const METADATA_PROGRAM = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// All three programs are busy around the clock; this much silence means a dead socket
+const SILENCE_MS = 120000;
+const WATCHDOG_INTERVAL_MS = 30000;
+
+const MAX_BACKFILL = 500;
+const MAX_QUEUE = 2000;
+const SEEN_LIMIT = 5000;
+
+// A just-notified transaction can read as null on an RPC node that hasn't caught up yet
+const NULL_RETRIES = 3;
+const NULL_RETRY_MS = 2000;
+
+// Tokens that never pass the gate are dropped after this long
+const PENDING_TTL_MS = 6 * 60 * 60 * 1000;
+const GATE_BATCH = 200;
+const CHUNK_SIZE = 100;
+
+// Off-chain metadata JSON is small; anything bigger isn't metadata
+const METADATA_MAX_BYTES = 64 * 1024;
+const METADATA_TIMEOUT_MS = 3000;
+
+const subscriptions = new Map(); // source name -> onLogs subscription id
+const lastEventAt = new Map();
+const seen = new Set();
+let queue = Promise.resolve();
+let queued = 0;
+
+// --- TRANSACTION DECODING ---
+
+// Every instruction in the transaction, inner (CPI) ones included
+function extractEvents(tx) {
+    const message = tx.transaction.message;
+    const keys = message.getAccountKeys({ accountKeysFromLookups: tx.meta.loadedAddresses });
+    const key = (i) => keys.get(i)?.toBase58();
+
+    const instructions = [
+        ...message.compiledInstructions.map(ix => ({
+            programIdIndex: ix.programIdIndex, accounts: ix.accountKeyIndexes, data: Buffer.from(ix.data)
+        })),
+        ...(tx.meta.innerInstructions || []).flatMap(inner => inner.instructions.map(ix => ({
+            programIdIndex: ix.programIdIndex, accounts: ix.accounts, data: Buffer.from(bs58.decode(ix.data))
+        })))
+    ];
+
+    const events = instructions
+        .map(ix => decodePoolInstruction(key(ix.programIdIndex), ix.accounts.map(key), ix.data))
+        .filter(Boolean);
+
+    return { events, accountKeys: keys.keySegments().flat().map(k => k.toBase58()) };
+}
+
+// Only TOKEN/quote pools are tracked; 'mint' is the non-quote side
+function trackedMint(event) {
+    const quotes = event.mints.filter(m => QUOTE_MINTS.has(m));
+    const mint = event.mints.find(m => !QUOTE_MINTS.has(m));
+    return quotes.length === 1 && mint ? mint : null;
+}
+
+async function handleEvent(deps, event, signature, slot) {
+    const { db } = deps;
+    const mint = trackedMint(event);
+    if (!mint) return;
+
+    if (event.migration) {
+        // The new pool (if it's one we decode) arrives as its own initialize event
+        logger.info(`[PoolListener] ${mint} completed its pump.fun curve (${signature})`);
+        const graduated = await db.get(`
+            UPDATE tokens SET lifecycle = 'graduated', bonding_progress = 100, lifecycle_checked_at = $1 WHERE mint = $2 RETURNING mint
+        `, [Date.now(), mint]);
+        if (graduated) await recordEvent(db, mint, EVENT_TYPES.GRADUATED, { signature, data: { slot } });
+        return;
+    }
+
+    const info = await connection.getAccountInfo(new PublicKey(event.pool));
+    const pool = decodePool(info, event.pool, mint);
+    if (!pool) {
+        logger.debug(`[PoolListener] Could not decode ${event.dex} pool ${event.pool} for ${mint}`);
+        return;
+    }
+
+    const tracked = await db.get(`SELECT t.mint, p.dex FROM tokens t LEFT JOIN pools p ON p.mint = t.mint WHERE t.mint = $1`, [mint]);
+    if (tracked) {
+        // A graduating curve hands over to its AMM pool; other extra pools are Pool Discovery's call
+        if (tracked.dex && !(tracked.dex === DEX.PUMP_FUN && pool.dex !== DEX.PUMP_FUN)) return;
+        await upsertPool(db, mint, null, event.pool, pool);
+        logger.info(`[PoolListener] ${mint} moved to ${pool.dex} (${event.pool})`);
+        return;
+    }
+
+    await db.run(`
+        INSERT INTO pending_pools (
+            pair_address, mint, dex, base_vault, quote_vault, base_decimals, quote_decimals, quote_mint,
+            name, ticker, metadata_uri, signature, slot, detected_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT (pair_address) DO NOTHING
+    `, [event.pool, mint, pool.dex, pool.baseVault, pool.quoteVault, pool.baseDecimals, pool.quoteDecimals, pool.quoteMint,
+        event.name || null, event.symbol || null, event.uri || null, signature, slot, Date.now()]);
+}
+
+function markSeen(signature) {
+    seen.add(signature);
+    if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+}
+
+/**
+ * Handles one transaction. It only counts as seen once it has been read and
+ * handled, so a null read or a failure mid-way lets a retry or a later
+ * backfill pick it up again.
+ */
+async function processSignature(deps, source, signature, attempt = 0) {
+    if (seen.has(signature)) return;
+
+    const tx = await connection.getTransaction(signature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+    if (!tx) {
+        if (attempt < NULL_RETRIES) {
+            setTimeout(() => enqueue(deps, source, signature, attempt + 1), NULL_RETRY_MS * (attempt + 1));
+        } else {
+            logger.warn(`[PoolListener] ${source.name} ${signature}: transaction not found after ${NULL_RETRIES} retries`);
+        }
+        return;
+    }
+    if (tx.meta?.err) {
+        markSeen(signature);
+        return;
+    }
+
+    const { events, accountKeys } = extractEvents(tx);
+    for (const event of events) {
+        await handleEvent(deps, event, signature, tx.slot);
+    }
+
+    // Progress is tracked per marker so backfill can resume from it
+    if (accountKeys.includes(source.marker)) {
+        await deps.db.run(`
+            INSERT INTO listener_state (source, last_signature, last_slot, updated_at)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (source) DO UPDATE SET
+                last_signature = EXCLUDED.last_signature,
+                last_slot = EXCLUDED.last_slot,
+                updated_at = EXCLUDED.updated_at
+            WHERE listener_state.last_slot IS NULL OR listener_state.last_slot <= EXCLUDED.last_slot
+        `, [source.name, signature, tx.slot, Date.now()]);
+    }
+    markSeen(signature);
+}
+
+// Signatures are processed one at a time so a burst of launches can't flood the RPC
+function enqueue(deps, source, signature, attempt = 0) {
+    if (queued >= MAX_QUEUE) {
+        logger.warn(`[PoolListener] Queue full, dropping ${signature}`);
+        return;
+    }
+    queued++;
+    queue = queue
+        .then(() => processSignature(deps, source, signature, attempt))
+        .catch(e => logger.warn(`[PoolListener] ${source.name} ${signature}: ${e.message}`))
+        .finally(() => { queued--; });
+}
+
+// --- SUBSCRIPTIONS ---
+
+function subscribe(deps, source) {
+    const id = connection.onLogs(new PublicKey(source.program), (logInfo) => {
+        lastEventAt.set(source.name, Date.now());
+        if (logInfo.err) return;
+        if (!logInfo.logs.some(line => source.pattern.test(line))) return;
+        enqueue(deps, source, logInfo.signature);
+    }, 'confirmed');
+
+    subscriptions.set(source.name, id);
+    lastEventAt.set(source.name, Date.now());
+}
+
+async function unsubscribe(source) {
+    const id = subscriptions.get(source.name);
+    subscriptions.delete(source.name);
+    if (id !== undefined) await connection.removeOnLogsListener(id).catch(() => {});
+}
+
+/**
+ * Replays creations since the last processed signature for this source.
+ * Bounded to MAX_BACKFILL signatures (the newest ones win after a long outage).
+ */
+async function backfill(deps, source) {
+    const state = await deps.db.get(`SELECT last_signature, last_slot FROM listener_state WHERE source = $1`, [source.name]);
+    if (!state?.last_signature) return 0;
+
+    const marker = new PublicKey(source.marker);
+    const signatures = [];
+    let before;
+
+    while (signatures.length < MAX_BACKFILL) {
+        const page = await connection.getSignaturesForAddress(marker, { until: state.last_signature, before, limit: 1000 }, 'confirmed');
+        signatures.push(...page);
+        if (page.length < 1000) break;
+        before = page[page.length - 1].signature;
+    }
+
+    if (signatures.length > MAX_BACKFILL) {
+        logger.warn(`[PoolListener] ${source.name}: ${signatures.length}+ missed creations, backfilling the newest ${MAX_BACKFILL}`);
+    }
+
+    const missed = signatures.slice(0, MAX_BACKFILL).filter(s => !s.err).reverse();
+    missed.forEach(s => enqueue(deps, source, s.signature));
+
+    if (missed.length > 0) {
+        logger.info(`[PoolListener] ${source.name}: backfilling ${missed.length} transactions since slot ${state.last_slot}`);
+    }
+    return missed.length;
+}
+
+async function resubscribe(deps, source) {
+    await unsubscribe(source);
+    subscribe(deps, source);
+    await backfill(deps, source).catch(e => logger.error(`[PoolListener] ${source.name} backfill failed: ${e.message}`));
+}
+
+// onLogs reconnects its socket on its own but can't tell us what it missed
+async function watchdog(deps) {
+    for (const source of SOURCES) {
+        if (!subscriptions.has(source.name)) continue;
+        if (Date.now() - (lastEventAt.get(source.name) || 0) < SILENCE_MS) continue;
+        logger.warn(`[PoolListener] No ${source.name} logs for ${SILENCE_MS / 1000}s, reconnecting`);
+        await resubscribe(deps, source);
+    }
+}
+
+// --- MARKET-CAP / LIQUIDITY GATE ---
+
+// Metaplex metadata: key (1) + update authority (32) + mint (32), then name / symbol / uri
+async function readTokenMetadata(mint) {
+    const [address] = PublicKey.findProgramAddressSync(
+        [Buffer.from('metadata'), METADATA_PROGRAM.toBuffer(), new PublicKey(mint).toBuffer()],
+        METADATA_PROGRAM
+    );
+    const info = await connection.getAccountInfo(address);
+    if (!info) return {};
+
+    const fields = [];
+    let offset = 65;
+    for (let i = 0; i < 3; i++) {
+        const len = info.data.readUInt32LE(offset);
+        fields.push(info.data.subarray(offset + 4, offset + 4 + len).toString('utf8').replace(/\0/g, '').trim());
+        offset += 4 + len;
+    }
+    return { name: fields[0], ticker: fields[1], uri: fields[2] };
+}
+
+/**
+ * Fetches the off-chain metadata JSON at 'uri'. The URI is chosen by the token
+ * creator, so it must be http(s), resolve to a public address (pinned for the
+ * request, like webhook delivery) and stay small; redirects aren't followed.
+ */
+async function fetchMetadataJson(uri) {
+    const url = new URL(uri);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error(`Unsupported metadata scheme ${url.protocol}`);
+    const target = await resolvePublicAddress(url.hostname);
+
+    const res = await axios.get(url.href, {
+        timeout: METADATA_TIMEOUT_MS,
+        maxContentLength: METADATA_MAX_BYTES,
+        maxRedirects: 0,
+        proxy: false,
+        responseType: 'json',
+        lookup: async () => target
+    });
+    return res.data;
+}
+
+async function resolveMetadata(p) {
+    let meta = { name: p.name, ticker: p.ticker, uri: p.metadata_uri };
+    if (!meta.name) {
+        meta = await readTokenMetadata(p.mint).catch(() => ({}));
+    }
+
+    let image = null;
+    if (meta.uri) {
+        try {
+            const json = await fetchMetadataJson(meta.uri);
+            image = typeof json?.image === 'string' ? json.image : null;
+        } catch (e) {
+            logger.debug(`[PoolListener] Metadata fetch skipped for ${p.mint}: ${e.message}`);
+        }
+    }
+    return { name: meta.name || p.mint.slice(0, 8), ticker: meta.ticker || '???', image };
+}
+
+async function upsertPool(db, mint, symbol, pairAddress, pool) {
+    await db.run(`
+        INSERT INTO pools (mint, symbol, pair_address, base_vault, quote_vault, base_decimals, quote_decimals, quote_mint, dex, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (mint) DO UPDATE SET
+            pair_address = EXCLUDED.pair_address,
+            base_vault = EXCLUDED.base_vault,
+            quote_vault = EXCLUDED.quote_vault,
+            base_decimals = EXCLUDED.base_decimals,
+            quote_decimals = EXCLUDED.quote_decimals,
+            quote_mint = EXCLUDED.quote_mint,
+            dex = EXCLUDED.dex,
+            updated_at = EXCLUDED.updated_at,
+            -- A new pair starts its trade history from scratch
+            last_trade_signature = CASE WHEN pools.pair_address IS DISTINCT FROM EXCLUDED.pair_address THEN NULL ELSE pools.last_trade_signature END
+    `, [mint, symbol, pairAddress, pool.baseVault, pool.quoteVault, pool.baseDecimals, pool.quoteDecimals, pool.quoteMint, pool.dex, Date.now()]);
+}
+
+async function promote(deps, p, stats) {
+    const { db } = deps;
+    const meta = await resolveMetadata(p);
+    const detectedAt = parseInt(p.detected_at);
+
+    await saveTokenData(db, p.mint, {
+        name: meta.name, ticker: meta.ticker, image: meta.image,
+        marketCap: stats.marketCap, volume24h: 0, priceUsd: stats.priceUsd
+    }, detectedAt);
+    await upsertPool(db, p.mint, meta.ticker, p.pair_address, {
+        baseVault: p.base_vault, quoteVault: p.quote_vault, baseDecimals: p.base_decimals,
+        quoteDecimals: p.quote_decimals, quoteMint: p.quote_mint, dex: p.dex
+    });
+    await db.run(`DELETE FROM pending_pools WHERE mint = $1`, [p.mint]);
+    await recordEvent(db, p.mint, EVENT_TYPES.CREATED, { time: detectedAt, signature: p.signature, data: { dex: p.dex } });
+
+    await publish('token', {
+        mint: p.mint, name: meta.name, ticker: meta.ticker, image: meta.image,
+        marketCap: stats.marketCap, volume24h: 0, priceUsd: stats.priceUsd, timestamp: detectedAt
+    }, p.mint);
+
+    logger.info(`💎 ON-CHAIN DETECT: ${meta.ticker} on ${p.dex} | MC: $${Math.floor(stats.marketCap)} | Liq: $${Math.floor(stats.liquidity)}`);
+}
+
+/**
+ * Prices every pending pool from its reserves and promotes the ones above
+ * MIN_MARKET_CAP / MIN_LIQUIDITY. Liquidity counts both sides (2x quote);
+ * pump.fun curves count only their real SOL, not the virtual reserves they price off.
+ */
+async function evaluatePending(deps) {
+    const { db } = deps;
+
+    await db.run(`DELETE FROM pending_pools WHERE detected_at < $1`, [Date.now() - PENDING_TTL_MS]);
+
+    // Least recently checked first, so a large backlog is cycled through
+    const pending = await db.all(`
+        SELECT * FROM pending_pools ORDER BY checked_at ASC NULLS FIRST LIMIT $1
+    `, [GATE_BATCH]);
+    if (pending.length === 0) return { processed: 0 };
+
+    const sol = await db.get(`SELECT close FROM candles WHERE mint = $1 ORDER BY time DESC LIMIT 1`, [SOL_MINT]);
+    const quoteUsd = new Map(STABLE_MINTS.map(m => [m, 1]));
+    if (sol?.close) quoteUsd.set(SOL_MINT, Number(sol.close));
+
+    const keys = new Set();
+    pending.forEach(p => [p.base_vault, p.quote_vault, p.mint].forEach(k => k && keys.add(k)));
+    const keyList = [...keys];
+    const accounts = new Map();
+
+    for (let i = 0; i < keyList.length; i += CHUNK_SIZE) {
+        const chunk = keyList.slice(i, i + CHUNK_SIZE);
+        const infos = await connection.getMultipleAccountsInfo(chunk.map(k => new PublicKey(k)));
+        infos.forEach((info, idx) => {
+            if (info) accounts.set(chunk[idx], info.data);
+        });
+    }
+
+    let promoted = 0;
+    const checked = [];
+    const finished = [];
+
+    for (const p of pending) {
+        const reserves = readReserves(p, accounts);
+        const mintData = accounts.get(p.mint);
+        const rate = quoteUsd.get(p.quote_mint);
+
+        if (!reserves) {
+            // A completed curve never trades again; its successor pool has its own row
+            if (p.dex === DEX.PUMP_FUN && accounts.has(p.base_vault)) finished.push(p.pair_address);
+            else checked.push(p.pair_address);
+            continue;
+        }
+        if (!mintData || !rate) {
+            checked.push(p.pair_address);
+            continue;
+        }
+
+        const baseVal = reserves.base / (10 ** p.base_decimals);
+        const quoteVal = reserves.quote / (10 ** p.quote_decimals);
+        const priceUsd = baseVal > 0 ? (quoteVal / baseVal) * rate : 0;
+        const liquidQuote = p.dex === DEX.PUMP_FUN
+            ? readPumpCurve(accounts.get(p.base_vault)).realSolReserves / (10 ** p.quote_decimals)
+            : quoteVal;
+        const stats = {
+            priceUsd,
+            marketCap: priceUsd * readMintSupply(mintData),
+            liquidity: 2 * liquidQuote * rate
+        };
+
+        if (stats.marketCap >= MIN_MARKET_CAP && stats.liquidity >= MIN_LIQUIDITY) {
+            await promote(deps, p, stats);
+            promoted++;
+        } else {
+            checked.push(p.pair_address);
+        }
+    }
+
+    if (finished.length > 0) await db.run(`DELETE FROM pending_pools WHERE pair_address = ANY($1)`, [finished]);
+    if (checked.length > 0) await db.run(`UPDATE pending_pools SET checked_at = $1 WHERE pair_address = ANY($2)`, [Date.now(), checked]);
+
+    if (promoted > 0) logger.info(`[PoolListener] Promoted ${promoted} of ${pending.length} pending pools.`);
+    return { processed: pending.length };
+}
+
+// --- LIFECYCLE ---
+
+// Session-level advisory lock on a dedicated connection; released if this process dies
+async function tryLead(deps) {
+    const client = await deps.db.pool.connect();
+    try {
+        const res = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LEADER_LOCK_KEY]);
+        if (res.rows[0].locked) return client;
+    } catch (e) {
+        logger.error(`[PoolListener] Leader lock failed: ${e.message}`);
+    }
+    client.release();
+    return null;
+}
+
+async function lead(deps) {
+    const client = await tryLead(deps).catch(() => null);
+    if (!client) {
+        setTimeout(() => lead(deps), STANDBY_RETRY_MS);
+        return;
+    }
+
+    logger.info(`[PoolListener] Subscribing to ${SOURCES.map(s => s.name).join(', ')} program logs`);
+    for (const source of SOURCES) {
+        await resubscribe(deps, source);
+    }
+    const timer = setInterval(() => watchdog(deps).catch(e => logger.error(`[PoolListener] Watchdog: ${e.message}`)), WATCHDOG_INTERVAL_MS);
+
+    // Losing the lock connection means another replica may take over: step down
+    client.on('error', async (e) => {
+        logger.error(`[PoolListener] Lost leader connection (${e.message}); standing by`);
+        clearInterval(timer);
+        for (const source of SOURCES) await unsubscribe(source);
+        client.release(true);
+        setTimeout(() => lead(deps), STANDBY_RETRY_MS);
+    });
+}
+
+function start(deps) {
+    lead(deps);
+    schedule(deps, 'pool-listener-gate', { intervalMs: 30000, initialDelayMs: 10000 }, () => evaluatePending(deps));
+    logger.info(`🚀 Pool Listener started (Gate: MC > ${MIN_MARKET_CAP / 1000}k, Liq > ${MIN_LIQUIDITY / 1000}k)`);
+}
+
+module.exports = { start, extractEvents, evaluatePending, processSignature, fetchMetadataJson };
@@ -3,139 +3,247 @@
  * - Uses 'mint' as key instead of 'symbol'
  * - Handles empty pool tables gracefully
  * - Batches RPC calls efficiently
+ * - Maintains 1m candles plus 5m..1d rollups, with volume from vault deltas
+ * - Stores prices in USD, converting non-stable quotes via their own pools
  */
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
 const config = require('../config/env');
 const { logger } = require('../services');
+const { BASE_RESOLUTION, ROLLUP_RESOLUTIONS, bucketTime } = require('../utils/candles');
+const { STABLE_MINTS, readReserves } = require('../utils/pools');
+const { publish } = require('../services/stream');
+const { schedule } = require('../services/scheduler');
+const alertEngine = require('./alertEngine');
 
-const HELIUS_RPC = config.HELIUS_API_KEY 
-    ? `https://mainnet.helius-rpc.com/?api-key=${config.HELIUS_API_KEY}` 
-    : config.SOLANA_RPC_URL;
+const connection = createConnection(config.INDEXER_RPC_URL);
 
-const connection = new Connection(HELIUS_RPC);
+// Quote vault balance per pool from the previous cycle (for volume deltas).
+// Keyed by the vault, so a token moving to another pool starts a fresh baseline
+// instead of booking the difference between two pools' reserves as volume.
+const lastQuoteBalances = new Map();
 
-async function startLoop(deps) {
-    try {
-        const start = Date.now();
-        await updatePrices(deps);
-        
-        // Ensure we don't spam if the cycle is too fast
-        const duration = Date.now() - start;
-        const delay = Math.max(10000, 60000 - duration); // Minimum 10s delay, aim for 60s cycle
-        
-        setTimeout(() => startLoop(deps), delay);
-
-    } catch (e) {
-        logger.error("[Indexer] Critical Error (Restarting in 10s):", e);
-        setTimeout(() => startLoop(deps), 10000);
-    }
-}
+// Unix seconds of the last cycle that wrote candles (indexer lag is measured from here)
+let lastWriteAt = null;
+const lagSeconds = () => (lastWriteAt ? Math.floor(Date.now() / 1000) - lastWriteAt : undefined);
 
 async function updatePrices(deps) {
     const { db } = deps;
 
     // 1. Fetch Pools Config
-    // NOTE: This table MUST be populated by a separate task that resolves Vault addresses.
+    // NOTE: This table is populated by the Pool Discovery task (tasks/poolDiscovery.js).
     // If this list is empty, the indexer does nothing.
     const pools = await db.all('SELECT * FROM pools');
     
     if (!pools || pools.length === 0) {
         // Be verbose about this because it's a common setup error
-        logger.warn("[Indexer] ⚠️  Pools table is empty! No prices will be indexed. Please run a pool discovery task.");
-        return;
+        logger.warn("[Indexer] ⚠️  Pools table is empty! No prices will be indexed until Pool Discovery resolves vaults.");
+        return { processed: 0, lagSeconds: lagSeconds() };
     }
 
     // 2. Map Keys for RPC
-    const keysToFetch = [];
-    // We map keys back to the pool object for easy lookup later
-    const poolMap = new Map(); 
+    // pump.fun pools point both vaults at the curve account, so dedupe.
+    const keysToFetch = new Map();
 
     pools.forEach(p => {
         try {
             if (p.base_vault && p.quote_vault) {
-                keysToFetch.push(new PublicKey(p.base_vault));
-                keysToFetch.push(new PublicKey(p.quote_vault));
-                poolMap.set(p.mint, p);
+                keysToFetch.set(p.base_vault, new PublicKey(p.base_vault));
+                keysToFetch.set(p.quote_vault, new PublicKey(p.quote_vault));
             }
         } catch (e) {
             logger.warn(`[Indexer] Invalid keys for ${p.mint}`);
         }
     });
 
-    if (keysToFetch.length === 0) return;
+    if (keysToFetch.size === 0) return { processed: 0, lagSeconds: lagSeconds() };
 
     // 3. Batch Fetch (Chunk size 100)
-    const balances = new Map();
+    const accounts = new Map();
+    const keys = [...keysToFetch.values()];
     const CHUNK_SIZE = 100;
     
-    for (let i = 0; i < keysToFetch.length; i += CHUNK_SIZE) {
-        const chunk = keysToFetch.slice(i, i + CHUNK_SIZE);
+    for (let i = 0; i < keys.length; i += CHUNK_SIZE) {
+        const chunk = keys.slice(i, i + CHUNK_SIZE);
         try {
             const infos = await connection.getMultipleAccountsInfo(chunk);
             infos.forEach((info, idx) => {
-                if (info) {
-                    const amount = info.data.readBigUInt64LE(64);
-                    balances.set(chunk[idx].toBase58(), Number(amount));
-                }
+                if (info) accounts.set(chunk[idx].toBase58(), info.data);
             });
         } catch (e) {
             logger.error(`[Indexer] Batch RPC failed: ${e.message}`);
         }
     }
 
-    // 4. Calculate Prices
+    // 4. Calculate Prices & Volume
     const now = Math.floor(Date.now() / 1000);
-    const timeBucket = now - (now % 60); // 1-minute buckets
+    const timeBucket = bucketTime(now, BASE_RESOLUTION);
 
-    const queryValues = [];
-    const placeholders = [];
-    let paramIndex = 1;
+    // 4a. Native prices (in each pool's quote asset)
+    const observations = [];
 
     pools.forEach(p => {
-        const baseRaw = balances.get(p.base_vault);
-        const quoteRaw = balances.get(p.quote_vault);
+        const reserves = readReserves(p, accounts);
 
-        if (baseRaw !== undefined && quoteRaw !== undefined) {
-            const baseVal = baseRaw / (10 ** p.base_decimals);
-            const quoteVal = quoteRaw / (10 ** p.quote_decimals);
+        if (reserves) {
+            const baseVal = reserves.base / (10 ** p.base_decimals);
+            const quoteVal = reserves.quote / (10 ** p.quote_decimals);
             
             // Basic CPMM Price = Quote / Base
             if (baseVal > 0) {
-                const price = quoteVal / baseVal;
-
-                // Push flatten values
-                queryValues.push(p.mint, timeBucket, price);
-                
-                // ($1, $2, $3, $3, $3, $3) = (mint, time, open, high, low, close)
-                placeholders.push(`($${paramIndex}, $${paramIndex+1}, $${paramIndex+2}, $${paramIndex+2}, $${paramIndex+2}, $${paramIndex+2})`);
-                
-                paramIndex += 3; 
+                observations.push({
+                    pool: p,
+                    priceNative: quoteVal / baseVal,
+                    volumeNative: estimateVolume(p.quote_vault, quoteVal)
+                });
             }
         }
     });
 
-    // 5. Bulk Upsert
-    if (placeholders.length > 0) {
-        const query = `
-            INSERT INTO candles (mint, time, open, high, low, close)
-            VALUES ${placeholders.join(', ')}
-            ON CONFLICT (mint, time) DO UPDATE SET
-                high = GREATEST(candles.high, EXCLUDED.high),
-                low = LEAST(candles.low, EXCLUDED.low),
-                close = EXCLUDED.close;
-        `;
+    // Drop baselines of pools no longer tracked, so switching back to one
+    // later doesn't diff against a snapshot from before the switch
+    const tracked = new Set(pools.map(p => p.quote_vault));
+    for (const vault of lastQuoteBalances.keys()) {
+        if (!tracked.has(vault)) lastQuoteBalances.delete(vault);
+    }
+
+    // 4b. Normalize to USD via the quote asset's own USD price this minute
+    const quoteUsd = await resolveQuotePrices(db, observations, timeBucket);
+    const rows = [];
+    let unpriced = 0;
+
+    observations.forEach(o => {
+        const rate = quoteUsd.get(o.pool.quote_mint);
+        if (!rate) {
+            unpriced++;
+            return;
+        }
+        rows.push({
+            mint: o.pool.mint,
+            price: o.priceNative * rate,
+            priceNative: o.priceNative,
+            quoteMint: o.pool.quote_mint,
+            volume: o.volumeNative * rate
+        });
+    });
+
+    if (unpriced > 0) {
+        logger.warn(`[Indexer] Skipped ${unpriced} pools with no USD rate for their quote asset this minute.`);
+    }
+
+    if (rows.length === 0) return { processed: 0, lagSeconds: lagSeconds() };
+
+    // 5. Bulk Upsert (1m candles, then every rollup resolution)
+    try {
+        await upsertCandles(db, 'candles', rows, timeBucket);
+        for (const resolution of ROLLUP_RESOLUTIONS) {
+            await upsertCandles(db, 'candles_agg', rows, bucketTime(now, resolution), resolution);
+        }
+        logger.info(`[Indexer] Updated candles for ${rows.length} pools.`);
+        lastWriteAt = now;
+
+        await publish('candles', rows.map(r => ({ mint: r.mint, time: timeBucket, price: r.price, volume: r.volume })));
+        await alertEngine.evaluateMints(deps, rows.map(r => r.mint));
+    } catch (err) {
+        logger.error(`[Indexer] DB Write Failed: ${err.message}`);
+    }
+
+    return { processed: rows.length, lagSeconds: lagSeconds() };
+}
+
+/**
+ * USD rate per quote mint for this cycle.
+ * Stables are pegged at 1. Any other quote (SOL, or a token quoted against
+ * another indexed token) takes the USD price of its own pool from this
+ * cycle, resolving chains like TOKEN/SOL -> SOL/USDC. If its pool wasn't
+ * read this cycle we fall back to its stored candle for the same minute.
+ */
+async function resolveQuotePrices(db, observations, timeBucket) {
+    const rates = new Map(STABLE_MINTS.map(m => [m, 1]));
+    const byMint = new Map(observations.map(o => [o.pool.mint, o]));
+
+    const needed = new Set(observations.map(o => o.pool.quote_mint).filter(m => m && !rates.has(m)));
+
+    // Walk quote chains within this cycle (bounded to avoid cycles)
+    for (let pass = 0; pass < 3 && needed.size > 0; pass++) {
+        for (const quoteMint of [...needed]) {
+            const quoteObs = byMint.get(quoteMint);
+            if (!quoteObs) continue;
+            const parentRate = rates.get(quoteObs.pool.quote_mint);
+            if (parentRate) {
+                rates.set(quoteMint, quoteObs.priceNative * parentRate);
+                needed.delete(quoteMint);
+            }
+        }
+    }
 
+    if (needed.size > 0) {
         try {
-            await db.run(query, queryValues);
-            logger.info(`[Indexer] Updated candles for ${placeholders.length} pools.`);
-        } catch (err) {
-            logger.error(`[Indexer] DB Write Failed: ${err.message}`);
+            const stored = await db.all(`
+                SELECT mint, close FROM candles WHERE mint = ANY($1) AND time = $2
+            `, [[...needed], timeBucket]);
+            stored.forEach(c => rates.set(c.mint, c.close));
+        } catch (e) {
+            logger.error(`[Indexer] Quote price lookup failed: ${e.message}`);
         }
     }
+
+    return rates;
+}
+
+/**
+ * Volume estimate from vault snapshots.
+ * Any swap moves the quote vault, so the absolute change in quote reserves
+ * since the previous cycle approximates traded quote volume. Opposing swaps
+ * within one cycle cancel out, so this is a lower bound.
+ * The first observation of a pool has no baseline and reports 0.
+ */
+function estimateVolume(quoteVault, quoteVal) {
+    const previous = lastQuoteBalances.get(quoteVault);
+    lastQuoteBalances.set(quoteVault, quoteVal);
+    if (previous === undefined) return 0;
+    return Math.abs(quoteVal - previous);
+}
+
+/**
+ * Writes one price observation per row into the bucket starting at 'time'.
+ * Open is set by the first write, high/low widen, close follows the latest
+ * price and volume accumulates across cycles. Prices and volume are USD;
+ * close_native keeps the latest price in the pool's quote asset.
+ */
+async function upsertCandles(db, table, rows, time, resolution = null) {
+    const keyColumns = resolution ? ['mint', 'resolution', 'time'] : ['mint', 'time'];
+    const columns = [...keyColumns, 'open', 'high', 'low', 'close', 'volume', 'close_native', 'quote_mint'];
+
+    const queryValues = [];
+    const placeholders = [];
+    let paramIndex = 1;
+
+    rows.forEach(r => {
+        const keys = resolution ? [r.mint, resolution, time] : [r.mint, time];
+        const values = [...keys, r.price, r.price, r.price, r.price, r.volume, r.priceNative, r.quoteMint];
+        queryValues.push(...values);
+        placeholders.push(`(${values.map(() => `$${paramIndex++}`).join(', ')})`);
+    });
+
+    const query = `
+        INSERT INTO ${table} (${columns.join(', ')})
+        VALUES ${placeholders.join(', ')}
+        ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET
+            high = GREATEST(${table}.high, EXCLUDED.high),
+            low = LEAST(${table}.low, EXCLUDED.low),
+            close = EXCLUDED.close,
+            volume = ${table}.volume + EXCLUDED.volume,
+            close_native = EXCLUDED.close_native,
+            quote_mint = EXCLUDED.quote_mint;
+    `;
+
+    await db.run(query, queryValues);
 }
 
 function start(deps) {
-    setTimeout(() => startLoop(deps), 5000);
+    // Aim for a 60s cycle, but never less than 10s between cycles
+    schedule(deps, 'price-indexer', { intervalMs: 60000, initialDelayMs: 5000, minDelayMs: 10000 }, () => updatePrices(deps));
 }
 
-module.exports = { start };
+module.exports = { start, updatePrices };
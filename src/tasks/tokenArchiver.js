@@ -0,0 +1,36 @@
+/**
+ * Token Archiver
+ * Moves tokens that have shown no volume and no liquidity for
+ * ARCHIVE_AFTER_DAYS into 'tokens_archive' (services/tokenArchive.js).
+ * They come back on their own when a listener or a search touches them.
+ */
+const config = require('../config/env');
+const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const { archiveInactive } = require('../services/tokenArchive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_BATCH = 500;
+const MAX_BATCHES_PER_RUN = 20;
+
+async function archiveTokens(deps) {
+    const { db } = deps;
+    const cutoff = Date.now() - config.ARCHIVE_AFTER_DAYS * DAY_MS;
+    let archived = 0;
+
+    for (let i = 0; i < MAX_BATCHES_PER_RUN; i++) {
+        const mints = await archiveInactive(db, cutoff, ARCHIVE_BATCH);
+        archived += mints.length;
+        if (mints.length < ARCHIVE_BATCH) break;
+    }
+
+    if (archived > 0) logger.info(`[Archiver] Archived ${archived} tokens inactive for ${config.ARCHIVE_AFTER_DAYS}+ days.`);
+    return { processed: archived };
+}
+
+function start(deps) {
+    schedule(deps, 'token-archiver', { intervalMs: 60 * 60 * 1000, initialDelayMs: 120000 }, () => archiveTokens(deps));
+    logger.info(`🚀 Token Archiver started (after ${config.ARCHIVE_AFTER_DAYS}d inactive)`);
+}
+
+module.exports = { start, archiveTokens };
@@ -0,0 +1,293 @@
+/**
+ * Trade Indexer
+ * Ingests swaps on indexed pools into 'trades':
+ * - Pages each pool's new signatures back to the last one processed
+ *   (pools.last_trade_signature) and works through them oldest first, a
+ *   bounded number per scan; the rest resume on the next scan
+ * - Parses swaps from balance changes (utils/trades.js) and prices them in USD
+ *   via the quote asset's candle for that minute
+ * - Rewrites volume, buy/sell counts and unique traders on closed candles
+ *   from the trades they contain, only where the pool's trades are complete
+ *   (pools.trades_complete_from / trades_indexed_until, migration 004)
+ * - Stamps tokens.last_trade_at (ms), which feeds the refresh tiers
+ */
+const { PublicKey } = require('@solana/web3.js');
+const { createConnection } = require('../utils/solana');
+const config = require('../config/env');
+const { logger } = require('../services');
+const { schedule } = require('../services/scheduler');
+const { STABLE_MINTS } = require('../utils/pools');
+const { parseSwap } = require('../utils/trades');
+const { BASE_RESOLUTION, ROLLUP_RESOLUTIONS, bucketTime } = require('../utils/candles');
+
+const connection = createConnection(config.INDEXER_RPC_URL, 'confirmed');
+
+const POOLS_PER_CYCLE = 100;
+const SIGNATURE_PAGE = 1000;
+// A backlog deeper than this is given up on (and leaves a hole in coverage)
+const MAX_SIGNATURE_PAGES = 10;
+// Transactions fetched per pool per scan; a larger backlog resumes next scan
+const MAX_TXS_PER_SCAN = 400;
+// First scan of a pool only seeds the feed with its most recent swaps
+const SEED_SIGNATURES = 50;
+const TX_BATCH = 25;
+// Transactions this recent may not be listed yet
+const LISTING_MARGIN_SECONDS = 30;
+
+const RESOLUTIONS = [BASE_RESOLUTION, ...ROLLUP_RESOLUTIONS];
+const finalizerSource = (resolution) => `trade-finalizer:${resolution}`;
+
+/**
+ * Earliest trade time (unix seconds) per resolution whose candle hasn't been
+ * rewritten yet, from listener_state (migration 004) so every replica shares
+ * it. A new row starts one bucket back.
+ */
+async function loadWatermarks(db, now) {
+    for (const resolution of RESOLUTIONS) {
+        await db.run(`
+            INSERT INTO listener_state (source, watermark, updated_at) VALUES ($1, $2, $3)
+            ON CONFLICT (source) DO NOTHING
+        `, [finalizerSource(resolution), bucketTime(now, resolution) - resolution, Date.now()]);
+    }
+
+    const rows = await db.all(`SELECT source, watermark FROM listener_state WHERE source = ANY($1)`, [RESOLUTIONS.map(finalizerSource)]);
+    const bySource = new Map(rows.map(r => [r.source, parseInt(r.watermark)]));
+    return RESOLUTIONS
+        .map(resolution => ({ resolution, from: bySource.get(finalizerSource(resolution)) }))
+        .filter(w => Number.isFinite(w.from));
+}
+
+// Late trades and newly covered spans send every resolution back to 'time'
+async function reopenBuckets(db, time) {
+    await db.run(`
+        UPDATE listener_state SET watermark = LEAST(watermark, $1), updated_at = $2 WHERE source = ANY($3)
+    `, [time, Date.now(), RESOLUTIONS.map(finalizerSource)]);
+}
+
+/**
+ * New signatures for the pool, newest first, paged back to the last one
+ * processed. 'complete' is false if the backlog ran past MAX_SIGNATURE_PAGES
+ * (or, on a pool's first scan, if it has more history than the seed).
+ */
+async function listSignatures(pool) {
+    const address = new PublicKey(pool.pair_address);
+    if (!pool.last_trade_signature) {
+        const signatures = await connection.getSignaturesForAddress(address, { limit: SEED_SIGNATURES }, 'confirmed');
+        return { signatures, complete: signatures.length < SEED_SIGNATURES };
+    }
+
+    const signatures = [];
+    let before;
+    for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+        const batch = await connection.getSignaturesForAddress(address, { until: pool.last_trade_signature, before, limit: SIGNATURE_PAGE }, 'confirmed');
+        signatures.push(...batch);
+        if (batch.length < SIGNATURE_PAGE) return { signatures, complete: true };
+        before = batch[batch.length - 1].signature;
+    }
+    return { signatures, complete: false };
+}
+
+/**
+ * Fetches and parses the pool's next swaps, oldest first. Resolves to the
+ * trades and the pool's new scan state: 'cursor' (newest signature
+ * processed) and the span [completeFrom, indexedUntil) with no missing trades.
+ */
+async function fetchSwaps(pool, now) {
+    const { signatures, complete } = await listSignatures(pool);
+    const previousUntil = pool.trades_indexed_until !== null && pool.trades_indexed_until !== undefined ? parseInt(pool.trades_indexed_until) : null;
+    if (signatures.length === 0) {
+        const indexedUntil = now - LISTING_MARGIN_SECONDS;
+        const known = pool.trades_complete_from !== null && pool.trades_complete_from !== undefined;
+        // No history at all is complete history; an old cursor without a span starts one now
+        const completeFrom = known ? parseInt(pool.trades_complete_from) : (pool.last_trade_signature ? indexedUntil : 0);
+        return { trades: [], cursor: null, completeFrom, indexedUntil, previousUntil };
+    }
+
+    const pending = signatures.slice().reverse();
+    const batch = pending.slice(0, MAX_TXS_PER_SCAN);
+    const caughtUp = batch.length === pending.length;
+    const first = batch[0].blockTime || null;
+
+    let completeFrom = pool.trades_complete_from !== null && pool.trades_complete_from !== undefined ? parseInt(pool.trades_complete_from) : first;
+    if (!pool.last_trade_signature) {
+        completeFrom = complete ? 0 : first;
+    } else if (!complete) {
+        logger.warn(`[TradeIndexer] ${pool.mint}: more than ${MAX_SIGNATURE_PAGES * SIGNATURE_PAGE} new transactions, older ones skipped`);
+        completeFrom = first;
+    }
+
+    const ok = batch.filter(s => !s.err).map(s => s.signature);
+    const trades = [];
+    for (let i = 0; i < ok.length; i += TX_BATCH) {
+        const txs = await connection.getTransactions(ok.slice(i, i + TX_BATCH), { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+        txs.forEach(tx => {
+            const trade = tx && parseSwap(tx, pool);
+            if (trade && trade.time) trades.push({ ...trade, pool });
+        });
+    }
+
+    const last = batch[batch.length - 1];
+    // Caught up: nothing else happened until the listing; otherwise only through the last one processed
+    const indexedUntil = caughtUp ? now - LISTING_MARGIN_SECONDS : last.blockTime || null;
+    return { trades, cursor: last.signature, completeFrom, indexedUntil, previousUntil };
+}
+
+/**
+ * USD rate for a quote mint at a given minute: 1 for stables, else the
+ * quote's own candle close at or before that minute.
+ */
+async function quoteRates(db, trades) {
+    const quoteMints = [...new Set(trades.map(t => t.pool.quote_mint).filter(m => m && !STABLE_MINTS.includes(m)))];
+    const times = trades.map(t => t.time);
+    const from = bucketTime(Math.min(...times), BASE_RESOLUTION) - 3600;
+    const to = Math.max(...times);
+
+    const rows = quoteMints.length > 0
+        ? await db.all(`SELECT mint, time, close FROM candles WHERE mint = ANY($1) AND time >= $2 AND time <= $3 ORDER BY time ASC`, [quoteMints, from, to])
+        : [];
+
+    const series = new Map();
+    rows.forEach(r => {
+        if (!series.has(r.mint)) series.set(r.mint, []);
+        series.get(r.mint).push({ time: parseInt(r.time), close: Number(r.close) });
+    });
+
+    return (quoteMint, time) => {
+        if (STABLE_MINTS.includes(quoteMint)) return 1;
+        let rate = null;
+        for (const c of series.get(quoteMint) || []) {
+            if (c.time > time) break;
+            rate = c.close;
+        }
+        return rate;
+    };
+}
+
+async function insertTrades(db, trades) {
+    const rateAt = await quoteRates(db, trades);
+    const values = [];
+    const placeholders = [];
+    let i = 1;
+
+    trades.forEach(t => {
+        const rate = rateAt(t.pool.quote_mint, t.time);
+        const valueUsd = rate !== null ? t.quoteAmount * rate : null;
+        const priceUsd = valueUsd !== null && t.baseAmount > 0 ? valueUsd / t.baseAmount : null;
+        const row = [t.signature, t.pool.mint, t.pool.pair_address, t.slot, t.time, t.side, t.baseAmount, t.quoteAmount, t.pool.quote_mint, priceUsd, valueUsd, t.trader];
+        values.push(...row);
+        placeholders.push(`(${row.map(() => `$${i++}`).join(', ')})`);
+    });
+
+    const result = await db.run(`
+        INSERT INTO trades (signature, mint, pair_address, slot, time, side, base_amount, quote_amount, quote_mint, price_usd, value_usd, trader)
+        VALUES ${placeholders.join(', ')}
+        ON CONFLICT (signature, mint) DO NOTHING
+    `, values);
+    return result.rowCount;
+}
+
+/**
+ * Rewrites trade-derived stats on every closed bucket since the watermark.
+ * The price indexer only writes the open bucket (adding its vault-delta
+ * volume estimate), so closed buckets are safe to overwrite. Buckets with
+ * no candle (pool not priced that minute) are left alone, and so are buckets
+ * outside the span the pool's trades are complete for: a partial sum would
+ * replace the estimate with an undercount.
+ */
+async function finalizeCandles(db, now) {
+    for (const { resolution, from } of await loadWatermarks(db, now)) {
+        const start = bucketTime(from, resolution);
+        const end = bucketTime(now, resolution);
+        if (end <= start) continue;
+
+        const aggregate = `
+            SELECT mint, time - (time % $3) AS bucket,
+                   COALESCE(SUM(value_usd), 0) AS volume,
+                   COUNT(*) FILTER (WHERE side = 'buy') AS buys,
+                   COUNT(*) FILTER (WHERE side = 'sell') AS sells,
+                   COUNT(DISTINCT trader) AS traders
+            FROM trades WHERE time >= $1 AND time < $2
+            GROUP BY mint, bucket
+        `;
+        const covered = `p.mint = t.mint AND t.bucket >= p.trades_complete_from AND t.bucket + $3 <= p.trades_indexed_until`;
+
+        if (resolution === BASE_RESOLUTION) {
+            await db.run(`
+                UPDATE candles c SET volume = t.volume, buys = t.buys, sells = t.sells, traders = t.traders
+                FROM (${aggregate}) t, pools p
+                WHERE c.mint = t.mint AND c.time = t.bucket AND ${covered}
+            `, [start, end, resolution]);
+        } else {
+            await db.run(`
+                UPDATE candles_agg c SET volume = t.volume, buys = t.buys, sells = t.sells, traders = t.traders
+                FROM (${aggregate}) t, pools p
+                WHERE c.mint = t.mint AND c.resolution = $3 AND c.time = t.bucket AND ${covered}
+            `, [start, end, resolution]);
+        }
+
+        // Only if nothing reopened it meanwhile
+        await db.run(`
+            UPDATE listener_state SET watermark = $1, updated_at = $2 WHERE source = $3 AND watermark = $4
+        `, [end, Date.now(), finalizerSource(resolution), from]);
+    }
+}
+
+async function indexTrades(deps) {
+    const { db } = deps;
+    const now = Math.floor(Date.now() / 1000);
+
+    const pools = await db.all(`
+        SELECT * FROM pools
+        WHERE pair_address IS NOT NULL
+        ORDER BY last_trade_scan ASC NULLS FIRST
+        LIMIT $1
+    `, [POOLS_PER_CYCLE]);
+
+    let inserted = 0;
+    let oldestNew = null;
+
+    for (const pool of pools) {
+        try {
+            const scan = await fetchSwaps(pool, now);
+            const { trades } = scan;
+            if (trades.length > 0) {
+                inserted += await insertTrades(db, trades);
+                const latest = Math.max(...trades.map(t => t.time));
+                await db.run(`
+                    UPDATE tokens SET last_trade_at = GREATEST(COALESCE(last_trade_at, 0), $1) WHERE mint = $2
+                `, [latest * 1000, pool.mint]);
+            }
+            await db.run(`
+                UPDATE pools SET
+                    last_trade_signature = COALESCE($1, last_trade_signature), last_trade_scan = $2,
+                    trades_complete_from = $3, trades_indexed_until = $4
+                WHERE mint = $5
+            `, [scan.cursor, Date.now(), scan.completeFrom, scan.indexedUntil, pool.mint]);
+
+            // Buckets from where coverage used to end (or the new trades, if earlier) may now be complete
+            const reopened = [scan.previousUntil, ...trades.map(t => t.time)].filter(t => t !== null && t !== undefined);
+            if (reopened.length > 0) {
+                const earliest = Math.min(...reopened);
+                oldestNew = oldestNew === null ? earliest : Math.min(oldestNew, earliest);
+            }
+        } catch (e) {
+            logger.error(`[TradeIndexer] ${pool.mint}: ${e.message}`);
+        }
+    }
+
+    // Late trades and newly covered spans reopen already-finalized buckets
+    if (oldestNew !== null) await reopenBuckets(db, oldestNew);
+    await finalizeCandles(db, now);
+
+    if (inserted > 0) logger.info(`[TradeIndexer] Stored ${inserted} trades from ${pools.length} pools.`);
+
+    const stalest = pools.length > 0 && pools[0].last_trade_scan ? (Date.now() - parseInt(pools[0].last_trade_scan)) / 1000 : undefined;
+    return { processed: inserted, lagSeconds: stalest };
+}
+
+function start(deps) {
+    schedule(deps, 'trade-indexer', { intervalMs: 60000, initialDelayMs: 25000, minDelayMs: 10000 }, () => indexTrades(deps));
+    logger.info('🚀 Trade Indexer started');
+}
+
+module.exports = { start, indexTrades };
@@ -0,0 +1,26 @@
+/**
+ * Candle Interval Definitions
+ * Shared by the price indexer (which maintains rollups) and the history route.
+ * 1m candles live in 'candles'; every other interval lives in 'candles_agg'
+ * keyed by its resolution in seconds.
+ */
+
+const INTERVALS = {
+    '1m': 60,
+    '5m': 300,
+    '15m': 900,
+    '1h': 3600,
+    '4h': 14400,
+    '1d': 86400
+};
+
+const BASE_RESOLUTION = INTERVALS['1m'];
+
+// Every resolution the indexer rolls up into candles_agg
+const ROLLUP_RESOLUTIONS = Object.values(INTERVALS).filter(r => r !== BASE_RESOLUTION);
+
+function bucketTime(unixSeconds, resolution) {
+    return unixSeconds - (unixSeconds % resolution);
+}
+
+module.exports = { INTERVALS, BASE_RESOLUTION, ROLLUP_RESOLUTIONS, bucketTime };
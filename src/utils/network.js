@@ -0,0 +1,56 @@
+/**
+ * Outbound Address Checks
+ * Guards user-supplied URLs (alert webhooks) against reaching loopback,
+ * private, link-local (cloud metadata) or otherwise non-public addresses.
+ * The hostname check rejects obvious cases when a URL is saved; the DNS
+ * check runs right before each request and returns the address to connect
+ * to, so a name can't pass the check and then resolve somewhere else.
+ */
+const dns = require('dns').promises;
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([net4, prefix]) => BLOCKED.addSubnet(net4, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+    ['64:ff9b::', 96] // NAT64 reaches IPv4 space
+].forEach(([net6, prefix]) => BLOCKED.addSubnet(net6, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked against the IPv4 ranges
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Literal check only (names, IP literals); see resolvePublicAddress for DNS
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+    return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+/**
+ * Resolves 'hostname' and rejects it if any of its addresses is non-public
+ * (a name with one public and one private record could otherwise be
+ * steered to the private one). Resolves to { address, family }.
+ */
+async function resolvePublicAddress(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (isPrivateHost(host)) throw new Error(`${host} is not a public address`);
+
+    const addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.lookup(host, { all: true, verbatim: true });
+
+    if (addresses.length === 0) throw new Error(`${host} did not resolve`);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) throw new Error(`${host} resolves to non-public address ${blocked.address}`);
+    return addresses[0];
+}
+
+module.exports = { isPrivateAddress, isPrivateHost, resolvePublicAddress };
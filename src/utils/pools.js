@@ -0,0 +1,272 @@
+/**
+ * On-chain Pool Layouts
+ * Program IDs and account decoders for the DEXes we index.
+ * Offsets follow each program's published account and instruction layouts.
+ */
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+const PROGRAMS = {
+    RAYDIUM_AMM_V4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+    RAYDIUM_CPMM: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+    PUMP_FUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+    PUMPSWAP: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'
+};
+
+// Values stored in pools.dex
+const DEX = {
+    RAYDIUM_AMM_V4: 'raydium_amm_v4',
+    RAYDIUM_CPMM: 'raydium_cpmm',
+    PUMP_FUN: 'pumpfun',
+    PUMPSWAP: 'pumpswap'
+};
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+const SOL_DECIMALS = 9;
+const PUMP_TOKEN_DECIMALS = 6;
+const STABLE_DECIMALS = 6;
+
+// Quotes treated as exactly $1
+const STABLE_MINTS = [USDC_MINT, USDT_MINT];
+
+const readKey = (data, offset) => new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+
+// Anchor instruction discriminator: first 8 bytes of sha256("global:<name>")
+const anchorDiscriminator = (name) => crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+
+const IX = {
+    PUMP_CREATE: anchorDiscriminator('create'),
+    PUMP_MIGRATE: anchorDiscriminator('migrate'),
+    CPMM_INITIALIZE: anchorDiscriminator('initialize'),
+    PUMPSWAP_CREATE_POOL: anchorDiscriminator('create_pool'),
+    RAYDIUM_INITIALIZE2: 1 // AMM v4 uses a one-byte instruction tag
+};
+
+// Raydium AMM v4 LIQUIDITY_STATE_LAYOUT_V4 (no discriminator)
+function decodeRaydiumAmmV4(data) {
+    return {
+        dex: DEX.RAYDIUM_AMM_V4,
+        baseDecimals: Number(data.readBigUInt64LE(32)),
+        quoteDecimals: Number(data.readBigUInt64LE(40)),
+        baseVault: readKey(data, 336),
+        quoteVault: readKey(data, 368),
+        baseMint: readKey(data, 400),
+        quoteMint: readKey(data, 432)
+    };
+}
+
+// Raydium CPMM PoolState (8-byte Anchor discriminator)
+function decodeRaydiumCpmm(data) {
+    return {
+        dex: DEX.RAYDIUM_CPMM,
+        baseVault: readKey(data, 72),
+        quoteVault: readKey(data, 104),
+        baseMint: readKey(data, 168),
+        quoteMint: readKey(data, 200),
+        baseDecimals: data.readUInt8(331),
+        quoteDecimals: data.readUInt8(332)
+    };
+}
+
+// PumpSwap Pool (8-byte Anchor discriminator). The pool doesn't record
+// decimals; its pairs are pump.fun graduates (6 decimals) against SOL or a stable.
+function decodePumpSwap(data) {
+    const baseMint = readKey(data, 43);
+    const quoteMint = readKey(data, 75);
+    const decimalsOf = (mint) => {
+        if (mint === SOL_MINT) return SOL_DECIMALS;
+        if (STABLE_MINTS.includes(mint)) return STABLE_DECIMALS;
+        return PUMP_TOKEN_DECIMALS;
+    };
+    return {
+        dex: DEX.PUMPSWAP,
+        baseVault: readKey(data, 139),
+        quoteVault: readKey(data, 171),
+        baseMint,
+        quoteMint,
+        baseDecimals: decimalsOf(baseMint),
+        quoteDecimals: decimalsOf(quoteMint)
+    };
+}
+
+// pump.fun BondingCurve (8-byte Anchor discriminator).
+// Reserves live in the curve account itself, so both "vaults" point at it.
+function decodePumpCurve(data, address, mint) {
+    return {
+        dex: DEX.PUMP_FUN,
+        baseVault: address,
+        quoteVault: address,
+        baseMint: mint,
+        quoteMint: SOL_MINT,
+        baseDecimals: PUMP_TOKEN_DECIMALS,
+        quoteDecimals: SOL_DECIMALS
+    };
+}
+
+function readPumpCurve(data) {
+    return {
+        virtualTokenReserves: Number(data.readBigUInt64LE(8)),
+        virtualSolReserves: Number(data.readBigUInt64LE(16)),
+        realTokenReserves: Number(data.readBigUInt64LE(24)),
+        realSolReserves: Number(data.readBigUInt64LE(32)),
+        tokenTotalSupply: Number(data.readBigUInt64LE(40)),
+        complete: data.readUInt8(48) === 1
+    };
+}
+
+// Tokens a fresh curve sells before it completes (raw units, 6 decimals)
+const PUMP_INITIAL_REAL_TOKEN_RESERVES = 793100000 * (10 ** PUMP_TOKEN_DECIMALS);
+
+function pumpCurveAddress(mint) {
+    const [curve] = PublicKey.findProgramAddressSync(
+        [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+        new PublicKey(PROGRAMS.PUMP_FUN)
+    );
+    return curve.toBase58();
+}
+
+// Share of the curve's sellable tokens already bought, 0-100
+function bondingProgress(curve) {
+    if (curve.complete) return 100;
+    const sold = 1 - curve.realTokenReserves / PUMP_INITIAL_REAL_TOKEN_RESERVES;
+    return Math.min(100, Math.max(0, sold * 100));
+}
+
+/**
+ * Raw (base, quote) reserves for a 'pools' row, or null if unavailable.
+ * 'accounts' maps vault address -> account data.
+ * SPL token accounts keep their amount at offset 64; pump.fun curves
+ * price off their virtual reserves and stop trading once complete.
+ */
+function readReserves(pool, accounts) {
+    if (pool.dex === DEX.PUMP_FUN) {
+        const data = accounts.get(pool.base_vault);
+        if (!data) return null;
+        const curve = readPumpCurve(data);
+        if (curve.complete) return null; // Migrated; discovery will pick up the new pool
+        return { base: curve.virtualTokenReserves, quote: curve.virtualSolReserves };
+    }
+
+    const baseData = accounts.get(pool.base_vault);
+    const quoteData = accounts.get(pool.quote_vault);
+    if (!baseData || !quoteData) return null;
+    return {
+        base: Number(baseData.readBigUInt64LE(64)),
+        quote: Number(quoteData.readBigUInt64LE(64))
+    };
+}
+
+// SPL mint account: supply (u64) at 36, decimals at 44. Same offsets for Token-2022.
+function readMintSupply(data) {
+    return Number(data.readBigUInt64LE(36)) / (10 ** data.readUInt8(44));
+}
+
+// Borsh string: u32 length prefix + UTF-8 bytes
+function readString(data, offset) {
+    const len = data.readUInt32LE(offset);
+    return { value: data.subarray(offset + 4, offset + 4 + len).toString('utf8'), next: offset + 4 + len };
+}
+
+/**
+ * Recognises pool-creating instructions. 'accounts' are the instruction's
+ * account addresses (base58), 'data' its raw bytes. Returns
+ * { dex, pool, mints: [a, b], migration, name?, symbol?, uri? } or null.
+ * A pump.fun migration only names the mint and its curve; the new pool is
+ * created by an inner instruction (PumpSwap create_pool), decoded on its own.
+ */
+function decodePoolInstruction(programId, accounts, data) {
+    try {
+        if (programId === PROGRAMS.PUMP_FUN && data.length >= 8) {
+            const disc = data.subarray(0, 8);
+            if (disc.equals(IX.PUMP_CREATE)) {
+                const name = readString(data, 8);
+                const symbol = readString(data, name.next);
+                const uri = readString(data, symbol.next);
+                return {
+                    dex: DEX.PUMP_FUN, pool: accounts[2], mints: [accounts[0], SOL_MINT], migration: false,
+                    name: name.value, symbol: symbol.value, uri: uri.value
+                };
+            }
+            if (disc.equals(IX.PUMP_MIGRATE)) {
+                return { dex: DEX.PUMP_FUN, pool: accounts[3], mints: [accounts[2], SOL_MINT], migration: true };
+            }
+        }
+        if (programId === PROGRAMS.RAYDIUM_AMM_V4 && data[0] === IX.RAYDIUM_INITIALIZE2 && accounts.length >= 10) {
+            return { dex: DEX.RAYDIUM_AMM_V4, pool: accounts[4], mints: [accounts[8], accounts[9]], migration: false };
+        }
+        if (programId === PROGRAMS.RAYDIUM_CPMM && data.length >= 8 && data.subarray(0, 8).equals(IX.CPMM_INITIALIZE)) {
+            return { dex: DEX.RAYDIUM_CPMM, pool: accounts[3], mints: [accounts[4], accounts[5]], migration: false };
+        }
+        if (programId === PROGRAMS.PUMPSWAP && data.length >= 8 && data.subarray(0, 8).equals(IX.PUMPSWAP_CREATE_POOL)) {
+            return { dex: DEX.PUMPSWAP, pool: accounts[0], mints: [accounts[3], accounts[4]], migration: false };
+        }
+    } catch (e) {
+        // Truncated or unexpected data: not an instruction we understand
+    }
+    return null;
+}
+
+/**
+ * LP mint and the LP amount the pool has issued, for burn/lock checks.
+ * AMM v4 tracks issued LP in lpReserve; CPMM and PumpSwap in lp_supply. Burning LP tokens
+ * shrinks the LP mint's supply but not these counters.
+ * Returns null for pools without LP tokens (pump.fun curves).
+ */
+function readLpState(accountInfo) {
+    if (!accountInfo) return null;
+    const owner = accountInfo.owner.toBase58();
+    const data = accountInfo.data;
+
+    if (owner === PROGRAMS.RAYDIUM_AMM_V4) {
+        return { lpMint: readKey(data, 464), lpIssued: Number(data.readBigUInt64LE(720)) };
+    }
+    if (owner === PROGRAMS.RAYDIUM_CPMM) {
+        return { lpMint: readKey(data, 136), lpIssued: Number(data.readBigUInt64LE(333)) };
+    }
+    if (owner === PROGRAMS.PUMPSWAP) {
+        return { lpMint: readKey(data, 107), lpIssued: Number(data.readBigUInt64LE(203)) };
+    }
+    return null;
+}
+
+/**
+ * Decodes a pool account into vaults/decimals oriented so that 'base' is
+ * the tracked mint. Returns null for unsupported programs or pools that
+ * don't contain the mint.
+ */
+function decodePool(accountInfo, address, mint) {
+    if (!accountInfo) return null;
+    const owner = accountInfo.owner.toBase58();
+    const data = accountInfo.data;
+
+    let pool;
+    if (owner === PROGRAMS.RAYDIUM_AMM_V4) pool = decodeRaydiumAmmV4(data);
+    else if (owner === PROGRAMS.RAYDIUM_CPMM) pool = decodeRaydiumCpmm(data);
+    else if (owner === PROGRAMS.PUMPSWAP) pool = decodePumpSwap(data);
+    else if (owner === PROGRAMS.PUMP_FUN) pool = decodePumpCurve(data, address, mint);
+    else return null;
+
+    if (pool.baseMint === mint) return pool;
+
+    // Token sits on the quote side (e.g. SOL/TOKEN) - flip it
+    if (pool.quoteMint === mint) {
+        return {
+            dex: pool.dex,
+            baseVault: pool.quoteVault,
+            quoteVault: pool.baseVault,
+            baseMint: pool.quoteMint,
+            quoteMint: pool.baseMint,
+            baseDecimals: pool.quoteDecimals,
+            quoteDecimals: pool.baseDecimals
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    PROGRAMS, DEX, SOL_MINT, USDC_MINT, STABLE_MINTS,
+    decodePool, readPumpCurve, readReserves, readMintSupply, readLpState, decodePoolInstruction,
+    pumpCurveAddress, bondingProgress
+};
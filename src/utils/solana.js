@@ -1,4 +1,5 @@
-const { PublicKey } = require('@solana/web3.js');
+const { Connection, PublicKey } = require('@solana/web3.js');
+const { rpcFetch } = require('../services/metrics');
 
 function isValidPubkey(str) {
     if (!str) return false;
@@ -10,6 +11,19 @@ function isValidPubkey(str) {
     }
 }
 
+const connections = new Map();
+
+// All RPC connections go through here so calls are counted in /metrics.
+// One shared Connection per endpoint & commitment.
+function createConnection(endpoint, commitment) {
+    const key = `${endpoint}|${commitment || ''}`;
+    if (!connections.has(key)) {
+        connections.set(key, new Connection(endpoint, { commitment, fetch: rpcFetch }));
+    }
+    return connections.get(key);
+}
+
 module.exports = {
-    isValidPubkey
+    isValidPubkey,
+    createConnection
 };
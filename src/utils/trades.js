@@ -0,0 +1,82 @@
+/**
+ * Swap Parsing
+ * Turns a confirmed transaction into a trade on one of our indexed pools by
+ * diffing the pool's balances before and after it, so the same rule covers
+ * every DEX without decoding each program's swap instruction:
+ * - SPL vault pools (Raydium AMM v4 / CPMM, PumpSwap): pre/post token balances of the vaults
+ * - pump.fun curves: the curve's token account (owned by the curve) and its lamports
+ * Accepts both web3.js transaction responses and raw getTransaction JSON
+ * (as stored in src/fixtures/transactions).
+ */
+const { DEX } = require('./pools');
+
+// Static keys followed by address-table keys (writable, then readonly), as base58
+function accountKeysOf(tx) {
+    const message = tx.transaction.message;
+    const loaded = tx.meta?.loadedAddresses || { writable: [], readonly: [] };
+
+    if (typeof message.getAccountKeys === 'function') {
+        return message.getAccountKeys({ accountKeysFromLookups: tx.meta?.loadedAddresses })
+            .keySegments().flat().map(k => k.toBase58());
+    }
+    return [...message.accountKeys, ...loaded.writable, ...loaded.readonly].map(k => (typeof k === 'string' ? k : k.pubkey || k.toString()));
+}
+
+// Raw balance change of the first token account matching 'match' (missing side = 0)
+function tokenDelta(meta, match) {
+    const amountOf = (balances) => {
+        const entry = (balances || []).find(match);
+        return entry ? BigInt(entry.uiTokenAmount.amount) : null;
+    };
+    const pre = amountOf(meta.preTokenBalances);
+    const post = amountOf(meta.postTokenBalances);
+    if (pre === null && post === null) return null;
+    return Number((post ?? 0n) - (pre ?? 0n));
+}
+
+/**
+ * Returns { signature, slot, time, side, baseAmount, quoteAmount, trader }
+ * or null if the transaction didn't swap against 'pool' (a 'pools' row).
+ * 'side' is from the trader's point of view: 'buy' took base out of the pool.
+ * Net effect per transaction: several swaps on one pool in one transaction
+ * (e.g. an arbitrage round trip) collapse into one trade.
+ */
+function parseSwap(tx, pool) {
+    const meta = tx?.meta;
+    if (!meta || meta.err) return null;
+
+    const keys = accountKeysOf(tx);
+    const indexOf = (address) => keys.indexOf(address);
+
+    let baseRaw;
+    let quoteRaw;
+
+    if (pool.dex === DEX.PUMP_FUN) {
+        const curveIndex = indexOf(pool.pair_address);
+        if (curveIndex < 0) return null;
+        baseRaw = tokenDelta(meta, b => b.owner === pool.pair_address && b.mint === pool.mint);
+        quoteRaw = meta.postBalances[curveIndex] - meta.preBalances[curveIndex];
+    } else {
+        const baseIndex = indexOf(pool.base_vault);
+        const quoteIndex = indexOf(pool.quote_vault);
+        if (baseIndex < 0 || quoteIndex < 0) return null;
+        baseRaw = tokenDelta(meta, b => b.accountIndex === baseIndex);
+        quoteRaw = tokenDelta(meta, b => b.accountIndex === quoteIndex);
+    }
+
+    if (!baseRaw || !quoteRaw) return null;
+    // Both sides moving the same way is a liquidity add/remove, not a swap
+    if (Math.sign(baseRaw) === Math.sign(quoteRaw)) return null;
+
+    return {
+        signature: tx.transaction.signatures[0],
+        slot: tx.slot,
+        time: tx.blockTime,
+        side: baseRaw < 0 ? 'buy' : 'sell',
+        baseAmount: Math.abs(baseRaw) / (10 ** pool.base_decimals),
+        quoteAmount: Math.abs(quoteRaw) / (10 ** pool.quote_decimals),
+        trader: keys[0]
+    };
+}
+
+module.exports = { parseSwap, accountKeysOf };
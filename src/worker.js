@@ -2,28 +2,39 @@
  * Background Worker Process
  * Handles all data ingestion, listeners, and heavy calculation tasks.
  * Decoupled from the main API server to ensure responsiveness.
+ * Tasks run through services/scheduler.js, so any number of worker replicas
+ * can run side by side without double-processing (see GET /api/admin/jobs).
  */
 require('dotenv').config();
+const express = require('express');
+const config = require('./config/env');
 const { initDB } = require('./services/database');
 const { initRedis } = require('./services/redis');
 const metadataUpdater = require('./tasks/metadataUpdater');
 const newTokenListener = require('./tasks/newTokenListener');
+const poolListener = require('./tasks/poolListener');
 const kScoreUpdater = require('./tasks/kScoreUpdater');
 const priceIndexer = require('./tasks/priceIndexer'); // NEW
+const poolDiscovery = require('./tasks/poolDiscovery');
+const tradeIndexer = require('./tasks/tradeIndexer');
+const holderAnalytics = require('./tasks/holderAnalytics');
+const lifecycleTracker = require('./tasks/lifecycleTracker');
+const tokenArchiver = require('./tasks/tokenArchiver');
+const candleMaintenance = require('./tasks/candleMaintenance');
+const alertEngine = require('./tasks/alertEngine');
+const healthRoutes = require('./routes/health');
+const { instrumentAxios } = require('./services/metrics');
 const { logger } = require('./services');
 
-const globalState = {
-    lastBackendUpdate: Date.now()
-};
-
 async function startWorker() {
     logger.info('⚙️ Starting HolDex Background Worker...');
+    instrumentAxios();
     
     // Initialize shared resources
     const db = await initDB(); // Updated: await the init
     const redis = await initRedis();
 
-    const deps = { db, redis, globalState };
+    const deps = { db, redis };
 
     // --- START TASKS ---
     logger.info('🚀 Launching Background Tasks...');
@@ -32,17 +43,51 @@ async function startWorker() {
     // Tracks prices via Helius RPC
     priceIndexer.start(deps);
 
+    // 1a. Candle Maintenance
+    // Day partitions for 'candles'; compacts 1m data past retention into 1h
+    candleMaintenance.start(deps);
+
+    // 1b. Pool Discovery
+    // Resolves vault addresses for every token so the indexer has pools to read
+    poolDiscovery.start(deps);
+
+    // 1c. Trade Indexer
+    // Swaps on indexed pools -> trades feed, candle volume & buy/sell counts
+    tradeIndexer.start(deps);
+
     // 2. New Token Listener 
     // Finds new pairs on DexScreener to populate the DB
     newTokenListener.start(deps);  
+
+    // 2b. Pool Listener
+    // Catches pump.fun / Raydium pool creations on-chain as they happen
+    poolListener.start(deps);
     
     // 3. Metadata Updater (Legacy/Fallback)
-    // Keeps non-indexed tokens fresh
+    // Keeps non-indexed tokens fresh, hot tokens every minute and cold ones hourly
     metadataUpdater.start(deps);   
+
+    // 3b. Token Archiver
+    // Moves long-inactive tokens out of the refresh loops
+    tokenArchiver.start(deps);
     
     // 4. K-Score Updater (Helius Analysis)
     kScoreUpdater.start(deps);
 
+    // 5. Holder Analytics (Concentration snapshots)
+    holderAnalytics.start(deps);
+
+    // 5b. Lifecycle Tracker (bonding curve progress, graduations, token events)
+    lifecycleTracker.start(deps);
+
+    // 6. Alert Engine (Webhook delivery & retries; evaluation is triggered by the tasks above)
+    alertEngine.start(deps);
+
+    // 7. Health & Metrics listener (per-task freshness, Prometheus)
+    const app = express();
+    app.use(healthRoutes.initWorker(deps));
+    app.listen(config.WORKER_PORT, () => logger.info(`🩺 Worker health listener on port ${config.WORKER_PORT}`));
+
     logger.info('✅ Worker fully operational.');
 }
 
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const config = require('../src/config/env');
+const { MODELS, ACTIVE_VERSION } = require('../src/config/kscore');
+const kScoreUpdater = require('../src/tasks/kScoreUpdater');
+const adminRoutes = require('../src/routes/admin');
+const { createStubDb } = require('./support/stubDb');
+
+// Routers are module-level, so one app is shared; tests swap 'state' instead.
+const state = { pending: new Set(), rescored: [] };
+
+kScoreUpdater.updateSingleToken = async (deps, mint) => {
+    state.rescored.push(mint);
+    return 50;
+};
+
+const deps = {
+    db: createStubDb((method, sql, params) => {
+        // The claim only matches a row that is still pending, like the status guard in SQL
+        if (method === 'get' && sql.includes('WITH claimed AS')) {
+            const id = params[1];
+            if (!state.pending.has(id)) return undefined;
+            state.pending.delete(id);
+            return { mint: 'M' };
+        }
+        return undefined;
+    })
+};
+
+let server;
+test.before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes.init(deps));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const post = (path, body) => fetch(`http://127.0.0.1:${server.address().port}/api/admin${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-admin-auth': config.ADMIN_PASSWORD },
+    body: JSON.stringify(body)
+});
+
+test('approve-update: concurrent approvals apply the update once', async () => {
+    state.pending = new Set([5]);
+    state.rescored = [];
+
+    const statuses = (await Promise.all([post('/approve-update', { id: 5 }), post('/approve-update', { id: 5 })])).map(r => r.status);
+
+    assert.deepStrictEqual(statuses.sort(), [200, 404]);
+    assert.deepStrictEqual(state.rescored, ['M']);
+    for (const call of deps.db.find('UPDATE tokens SET')) {
+        assert.ok(call.sql.includes('FROM claimed c'), 'token fields are only written by the statement that claims the update');
+    }
+});
+
+test('kscore preview scores a capped sample and reports the eligible total', async () => {
+    const db = createStubDb((method, sql, params) => {
+        if (method === 'all' && sql.includes('LIMIT $1')) return Array.from({ length: 3 }, (_, i) => ({ mint: `M${i}`, ticker: `T${i}`, k_score: 40, volume24h: 10000 }));
+        if (method === 'get' && sql.startsWith('SELECT COUNT(*)')) return { n: 12000 };
+        return undefined;
+    });
+
+    const preview = await kScoreUpdater.previewModel({ db }, MODELS[ACTIVE_VERSION], ACTIVE_VERSION, 1e6);
+
+    assert.deepStrictEqual(db.find('LIMIT $1')[0].params, [2000]);
+    assert.strictEqual(preview.tokens, 3);
+    assert.strictEqual(preview.eligible, 12000);
+});
+
+test('kscore preview rejects malformed models with a 400', async () => {
+    const bodies = [
+        { model: { cap: 100, factors: { a: null } } },
+        { model: { cap: 100, factors: { a: 'holders' } } },
+        { model: { cap: 100, factors: { a: { metric: 'holders', buckets: [null] } } } },
+        { model: { cap: 100, factors: { a: { metric: 'holders', buckets: [7] } } } }
+    ];
+    for (const body of bodies) {
+        const res = await post('/kscore/preview', body);
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+        assert.strictEqual((await res.json()).error, 'Invalid model');
+    }
+});
+
+test('kscore preview only knows its own model versions', async () => {
+    for (const version of ['constructor', '__proto__', 'toString']) {
+        assert.strictEqual((await post('/kscore/preview', { version })).status, 404, version);
+    }
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.ALERTS_ALLOW_PRIVATE_WEBHOOKS = 'true'; // The receiver listens on 127.0.0.1
+const config = require('../src/config/env');
+const alertEngine = require('../src/tasks/alertEngine');
+const { createStubDb } = require('./support/stubDb');
+const { startReceiver } = require('./support/receiver');
+
+const SECRET = 'test-secret';
+
+/**
+ * Stub db holding alert_deliveries rows in memory. Answers the claim query
+ * the way Postgres would (due rows get their next_attempt_at pushed to the
+ * lease) and applies the status updates attemptDelivery writes.
+ */
+function deliveriesDb(rows, webhookUrl) {
+    return createStubDb((method, sql, params) => {
+        if (method === 'all' && sql.includes('WITH claimed AS')) {
+            const [leaseUntil, now, limit] = params;
+            const due = rows
+                .filter(r => ['pending', 'retrying'].includes(r.status) && r.next_attempt_at <= now)
+                .slice(0, limit);
+            due.forEach(r => { r.next_attempt_at = leaseUntil; });
+            return due.map(r => ({ id: r.id, payload: r.payload, attempts: r.attempts, webhook_url: webhookUrl, secret: SECRET }));
+        }
+        if (method === 'run' && sql.startsWith("UPDATE alert_deliveries SET status = 'delivered'")) {
+            const row = rows.find(r => r.id === params[3]);
+            Object.assign(row, { status: 'delivered', attempts: params[0], response_code: params[1] });
+        } else if (method === 'run' && sql.startsWith('UPDATE alert_deliveries SET status = $1')) {
+            const row = rows.find(r => r.id === params[5]);
+            Object.assign(row, { status: params[0], attempts: params[1], response_code: params[2], error: params[3], next_attempt_at: params[4] });
+        }
+        return undefined;
+    });
+}
+
+const pendingRow = (id, extra = {}) => ({
+    id, status: 'pending', attempts: 0, next_attempt_at: 0,
+    payload: { alertId: 7, type: 'price_above', mint: 'M', value: 2, threshold: 1 },
+    ...extra
+});
+
+test('delivery is signed with HMAC-SHA256 over "<timestamp>.<body>"', async (t) => {
+    const receiver = await startReceiver();
+    t.after(() => receiver.close());
+
+    const rows = [pendingRow(1)];
+    await alertEngine.deliverPending({ db: deliveriesDb(rows, receiver.url()) });
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const { headers, body } = receiver.requests[0];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-holdex-timestamp']}.${body}`).digest('hex');
+
+    assert.strictEqual(headers['x-holdex-signature'], `sha256=${expected}`);
+    assert.strictEqual(headers['x-holdex-delivery'], '1');
+    assert.deepStrictEqual(JSON.parse(body), rows[0].payload);
+    assert.strictEqual(rows[0].status, 'delivered');
+    assert.strictEqual(rows[0].response_code, 200);
+});
+
+test('a 5xx is retried with exponential backoff until attempts run out', async (t) => {
+    const receiver = await startReceiver(() => ({ status: 503 }));
+    t.after(() => receiver.close());
+
+    const rows = [pendingRow(1)];
+    const db = deliveriesDb(rows, receiver.url());
+
+    const before = Date.now();
+    await alertEngine.deliverPending({ db });
+    assert.strictEqual(rows[0].status, 'retrying');
+    assert.strictEqual(rows[0].attempts, 1);
+    assert.strictEqual(rows[0].response_code, 503);
+    assert.ok(rows[0].next_attempt_at >= before + 30000 && rows[0].next_attempt_at <= Date.now() + 30000);
+
+    // Not due yet: nothing is sent
+    await alertEngine.deliverPending({ db });
+    assert.strictEqual(receiver.requests.length, 1);
+
+    rows[0].next_attempt_at = 0;
+    await alertEngine.deliverPending({ db });
+    assert.strictEqual(rows[0].attempts, 2);
+    assert.ok(rows[0].next_attempt_at >= Date.now() + 55000, 'second retry waits twice as long');
+
+    for (let i = 0; i < 3; i++) {
+        rows[0].next_attempt_at = 0;
+        await alertEngine.deliverPending({ db });
+    }
+    assert.strictEqual(rows[0].status, 'failed');
+    assert.strictEqual(rows[0].attempts, 5);
+    assert.strictEqual(receiver.requests.length, 5);
+});
+
+test('a claimed delivery is not sent again by a concurrent run', async (t) => {
+    // Hold the first request open so both runs overlap
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const receiver = await startReceiver();
+    t.after(() => receiver.close());
+
+    const rows = [pendingRow(1), pendingRow(2)];
+    const db = deliveriesDb(rows, receiver.url());
+    const claim = db.all;
+    let claims = 0;
+    db.all = async (...args) => {
+        const result = await claim(...args);
+        if (++claims === 1) await gate;
+        return result;
+    };
+
+    const first = alertEngine.deliverPending({ db });
+    await new Promise(resolve => setImmediate(resolve));
+    const second = alertEngine.deliverPending({ db });
+    const secondResult = await second;
+    release();
+    const firstResult = await first;
+
+    assert.strictEqual(firstResult.processed, 2);
+    assert.strictEqual(secondResult.processed, 0);
+    assert.deepStrictEqual(receiver.requests.map(r => r.headers['x-holdex-delivery']).sort(), ['1', '2']);
+
+    // Delivered rows are never picked up again
+    await alertEngine.deliverPending({ db });
+    assert.strictEqual(receiver.requests.length, 2);
+});
+
+test('redirects are not followed', async (t) => {
+    const target = await startReceiver();
+    const receiver = await startReceiver(() => ({ status: 302, headers: { Location: target.url('/internal') } }));
+    t.after(() => Promise.all([receiver.close(), target.close()]));
+
+    const rows = [pendingRow(1)];
+    await alertEngine.deliverPending({ db: deliveriesDb(rows, receiver.url()) });
+
+    assert.strictEqual(target.requests.length, 0);
+    assert.strictEqual(rows[0].status, 'retrying');
+    assert.strictEqual(rows[0].response_code, 302);
+});
+
+test('webhooks resolving to non-public addresses are refused at delivery time', async (t) => {
+    const receiver = await startReceiver();
+    config.ALERTS_ALLOW_PRIVATE_WEBHOOKS = false;
+    t.after(() => {
+        config.ALERTS_ALLOW_PRIVATE_WEBHOOKS = true;
+        return receiver.close();
+    });
+
+    const rows = [pendingRow(1)];
+    await alertEngine.deliverPending({ db: deliveriesDb(rows, receiver.url().replace('127.0.0.1', 'localhost')) });
+
+    assert.strictEqual(receiver.requests.length, 0);
+    assert.strictEqual(rows[0].status, 'retrying');
+    assert.match(rows[0].error, /not a public address/);
+});
+
+test('shouldFire is edge-triggered', () => {
+    assert.strictEqual(alertEngine.shouldFire('price_above', 1, 0.9, 1.1), true);
+    assert.strictEqual(alertEngine.shouldFire('price_above', 1, 1.05, 1.1), false, 'already above');
+    assert.strictEqual(alertEngine.shouldFire('price_above', 1, null, 1.1), false, 'no baseline');
+    assert.strictEqual(alertEngine.shouldFire('change_1h', -20, -5, -25), true);
+    assert.strictEqual(alertEngine.shouldFire('kscore_drop', 10, 70, 55), true);
+    assert.strictEqual(alertEngine.shouldFire('kscore_drop', 10, 70, 65), false);
+});
+
+test('evaluateMints respects the alert cooldown', async () => {
+    const now = Date.now();
+    const alertRow = (id, lastTriggeredAt) => ({
+        id, mint: 'M', type: 'price_above', threshold: 1, cooldown_seconds: 900,
+        last_value: 0.9, last_triggered_at: lastTriggeredAt, ticker: 'T', priceusd: 1.2, candle_close: 1.2
+    });
+    const db = createStubDb((method, sql) => {
+        if (method === 'all' && sql.includes('FROM alerts a')) {
+            return [alertRow(1, String(now - 60 * 1000)), alertRow(2, String(now - 901 * 1000)), alertRow(3, null)];
+        }
+        if (method === 'get' && sql.startsWith('INSERT INTO alert_deliveries')) return { id: 1 };
+        return undefined;
+    });
+
+    await alertEngine.evaluateMints({ db }, ['M']);
+
+    const queued = db.find('INSERT INTO alert_deliveries').map(c => c.params[0]);
+    assert.deepStrictEqual(queued, [2, 3], 'alert 1 triggered a minute ago and is still cooling down');
+
+    const updates = db.find('UPDATE alerts SET last_value');
+    assert.strictEqual(updates.length, 3, 'last_value is tracked even during the cooldown');
+    assert.ok(!updates[0].sql.includes('last_triggered_at'));
+});
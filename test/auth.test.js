@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const bs58 = require('bs58');
+
+const { EventEmitter } = require('events');
+const redisService = require('../src/services/redis');
+const { createStubDb } = require('./support/stubDb');
+
+/**
+ * In-memory stand-in for the shared ioredis client: publish() delivers to
+ * every connection made with duplicate() that subscribed to the channel.
+ * Installed before auth is loaded, which reads getClient at require time.
+ */
+function fakeRedis() {
+    const subscribers = [];
+    return {
+        status: 'ready',
+        published: [],
+        async publish(channel, message) {
+            this.published.push([channel, message]);
+            subscribers.filter(s => s.channels.has(channel)).forEach(s => s.emit('message', channel, message));
+            return 1;
+        },
+        duplicate() {
+            const sub = Object.assign(new EventEmitter(), { channels: new Set() });
+            sub.subscribe = async (channel) => { sub.channels.add(channel); };
+            subscribers.push(sub);
+            return sub;
+        }
+    };
+}
+const redis = fakeRedis();
+redisService.getClient = () => redis;
+
+const auth = require('../src/services/auth');
+
+// Wallet keypair: base58 pubkey plus a signer over UTF-8 messages
+function wallet() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+    return {
+        pubkey: bs58.encode(raw),
+        sign: (message) => bs58.encode(crypto.sign(null, Buffer.from(message), privateKey))
+    };
+}
+
+// auth_nonces held in memory, keyed by nonce like the table
+function noncesDb() {
+    const nonces = new Map();
+    const db = createStubDb((method, sql, params) => {
+        if (sql.startsWith('INSERT INTO auth_nonces')) {
+            const [nonce, pubkey, issuedAt, expiresAt] = params;
+            if (nonces.has(nonce)) throw new Error('duplicate key');
+            nonces.set(nonce, { pubkey, issued_at: String(issuedAt), expires_at: String(expiresAt) });
+        }
+        if (sql.startsWith('DELETE FROM auth_nonces WHERE nonce')) {
+            const [nonce, pubkey] = params;
+            const row = nonces.get(nonce);
+            if (!row || row.pubkey !== pubkey) return undefined;
+            nonces.delete(nonce);
+            return { issued_at: row.issued_at, expires_at: row.expires_at };
+        }
+        return undefined;
+    });
+    db.nonces = nonces;
+    return db;
+}
+
+test('a second nonce for the same wallet does not replace the first', async () => {
+    const db = noncesDb();
+    const victim = wallet();
+
+    const mine = await auth.issueNonce(db, victim.pubkey);
+    await auth.issueNonce(db, victim.pubkey); // requested by someone else
+
+    assert.strictEqual(db.nonces.size, 2);
+    const session = await auth.signIn(db, victim.pubkey, mine.nonce, victim.sign(mine.message));
+    assert.ok(session?.token);
+});
+
+test('a nonce is single use and bound to the wallet it was issued to', async () => {
+    const db = noncesDb();
+    const alice = wallet();
+    const mallory = wallet();
+
+    const challenge = await auth.issueNonce(db, alice.pubkey);
+    assert.strictEqual(await auth.signIn(db, mallory.pubkey, challenge.nonce, mallory.sign(challenge.message)), null);
+
+    const signature = alice.sign(challenge.message);
+    assert.ok(await auth.signIn(db, alice.pubkey, challenge.nonce, signature));
+    assert.strictEqual(await auth.signIn(db, alice.pubkey, challenge.nonce, signature), null, 'replay');
+});
+
+test('a logout is seen by the next request, with no cached session', async () => {
+    const sessions = new Set(['live']);
+    const hash = (t) => crypto.createHash('sha256').update(t).digest('hex');
+    const db = createStubDb((method, sql, params) => {
+        if (sql.startsWith('SELECT pubkey FROM sessions')) return [...sessions].some(t => hash(t) === params[0]) ? { pubkey: 'P' } : undefined;
+        if (sql.startsWith('DELETE FROM sessions')) sessions.forEach(t => hash(t) === params[0] && sessions.delete(t));
+        return undefined;
+    });
+
+    assert.deepStrictEqual(await auth.resolveSession(db, 'live'), { pubkey: 'P' });
+    sessions.delete('live'); // logged out through another API node
+    assert.strictEqual(await auth.resolveSession(db, 'live'), null);
+});
+
+test('revoking a key clears the lookup cache on every subscribed node', async () => {
+    await auth.listenForInvalidations();
+    const revoked = new Set();
+    const db = createStubDb((method, sql, params) => {
+        if (sql.startsWith('SELECT id, pubkey, tier FROM api_keys')) return revoked.has(params[0]) ? undefined : { id: 1, pubkey: 'P', tier: 'free' };
+        return undefined;
+    });
+    const key = 'hdx_' + 'a'.repeat(48);
+
+    assert.ok(await auth.resolveApiKey(db, key));
+    revoked.add(crypto.createHash('sha256').update(key).digest('hex'));
+    assert.ok(await auth.resolveApiKey(db, key), 'still cached');
+
+    // DELETE /api/auth/keys/:id handled by another node
+    await redis.publish('holdex:auth:invalidate', 'api-keys');
+    assert.strictEqual(await auth.resolveApiKey(db, key), null);
+});
+
+test('forgetApiKeys broadcasts the invalidation', () => {
+    auth.forgetApiKeys();
+    assert.deepStrictEqual(redis.published.at(-1), ['holdex:auth:invalidate', 'api-keys']);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const redisService = require('../src/services/redis');
+
+/**
+ * Just enough of an ioredis client for the cache: strings, sets, INCR and
+ * MULTI. 'status' can be flipped to simulate an outage (memory store only).
+ * Installed before the cache is loaded, which reads getClient at require time.
+ */
+function fakeRedis() {
+    const data = new Map();
+    const client = {
+        status: 'ready',
+        data,
+        async get(key) { return data.get(key) ?? null; },
+        async set(key, value) { data.set(key, value); return 'OK'; },
+        async mget(...keys) { return keys.map(k => data.get(k) ?? null); },
+        async sunion(...keys) { return [...new Set(keys.flatMap(k => [...(data.get(k) || [])]))]; },
+        async del(...keys) { keys.forEach(k => data.delete(k)); return keys.length; },
+        multi() {
+            const ops = [];
+            const chain = {
+                set: (key, value) => { ops.push(() => data.set(key, value)); return chain; },
+                sadd: (key, member) => { ops.push(() => data.set(key, new Set([...(data.get(key) || []), member]))); return chain; },
+                incr: (key) => { ops.push(() => data.set(key, String(Number(data.get(key) || 0) + 1))); return chain; },
+                expire: () => chain,
+                exec: async () => ops.forEach(op => op())
+            };
+            return chain;
+        }
+    };
+    return client;
+}
+const redis = fakeRedis();
+redisService.getClient = () => redis;
+
+const { cached, invalidateTags } = require('../src/services/cache');
+
+// A fetch that resolves to 'value' when release() is called
+function gatedFetch(value) {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const fetch = async () => {
+        fetch.calls++;
+        await gate;
+        return value;
+    };
+    fetch.calls = 0;
+    return { fetch, release };
+}
+
+for (const store of ['redis', 'memory']) {
+    test(`${store}: a fetch in flight across an invalidation is not cached`, async (t) => {
+        redis.status = store === 'redis' ? 'ready' : 'end';
+        t.after(() => { redis.status = 'ready'; });
+        const key = `${store}:token`;
+
+        const stale = gatedFetch({ success: true, price: 1 });
+        const pending = cached(key, 60, stale.fetch, { tags: ['token:A'] });
+        await new Promise(resolve => setImmediate(resolve));
+
+        await invalidateTags(['token:A']);
+        stale.release();
+        assert.deepStrictEqual(await pending, { success: true, price: 1 }, 'the caller still gets its answer');
+
+        const fresh = gatedFetch({ success: true, price: 2 });
+        fresh.release();
+        assert.deepStrictEqual(await cached(key, 60, fresh.fetch, { tags: ['token:A'] }), { success: true, price: 2 });
+        assert.strictEqual(fresh.fetch.calls, 1, 'nothing stale was cached');
+    });
+}
+
+test('callers after an invalidation start a new fetch instead of joining the stale one', async () => {
+    const stale = gatedFetch('old');
+    const first = cached('joined', 60, stale.fetch, { tags: ['token:B'] });
+    await new Promise(resolve => setImmediate(resolve));
+
+    await invalidateTags(['token:B']);
+    const fresh = gatedFetch('new');
+    fresh.release();
+    assert.strictEqual(await cached('joined', 60, fresh.fetch, { tags: ['token:B'] }), 'new');
+
+    stale.release();
+    assert.strictEqual(await first, 'old');
+    assert.strictEqual(await cached('joined', 60, async () => 'refetched', { tags: ['token:B'] }), 'new', 'the stale flight did not overwrite the fresh entry');
+});
+
+test('an invalidation from another process (generation bump only) also stops the write', async () => {
+    const stale = gatedFetch('old');
+    const pending = cached('remote', 60, stale.fetch, { tags: ['token:C'] });
+    await new Promise(resolve => setImmediate(resolve));
+
+    await redis.multi().incr('cache:gen:token:C').exec(); // what invalidateTags does on the worker
+    stale.release();
+    await pending;
+
+    assert.strictEqual(redis.data.has('remote'), false);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PublicKey } = require('@solana/web3.js');
+
+const config = require('../src/config/env');
+const { createConnection } = require('../src/utils/solana');
+const holderAnalytics = require('../src/tasks/holderAnalytics');
+const { createStubDb } = require('./support/stubDb');
+
+// Same shared Connection the task uses
+const connection = createConnection(config.INDEXER_RPC_URL, 'confirmed');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const HOLDER = new PublicKey('7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One holder with 10% of supply; getProgramAccounts finds 3 non-empty accounts
+function stubRpc() {
+    const scans = [];
+    const account = (amount) => {
+        const data = Buffer.alloc(8);
+        data.writeBigUInt64LE(amount);
+        return { account: { data } };
+    };
+    connection.getAccountInfo = async () => ({ owner: new PublicKey(TOKEN_PROGRAM_ID) });
+    connection.getTokenSupply = async () => ({ value: { uiAmount: 1000 } });
+    connection.getTokenLargestAccounts = async () => ({ value: [{ address: HOLDER, uiAmount: 100 }] });
+    connection.getMultipleParsedAccounts = async () => ({ value: [{ data: { parsed: { info: { owner: HOLDER.toBase58() } } } }] });
+    connection.getMultipleAccountsInfo = async (keys) => keys.map(() => null);
+    connection.getProgramAccounts = async (program, options) => {
+        scans.push(options.filters.find(f => f.memcmp).memcmp.bytes);
+        return [account(5n), account(0n), account(1n), account(9n)];
+    };
+    return scans;
+}
+
+function stubDb(tokens) {
+    return createStubDb((method, sql) => {
+        if (method === 'all' && sql.includes('FROM tokens t')) return tokens;
+        return undefined;
+    });
+}
+
+test('holders are recounted once a day and the last count is reused in between', async () => {
+    const scans = stubRpc();
+    const now = Date.now();
+    const fresh = { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', holder_count: 120, holder_count_at: String(now - 2 * 60 * 60 * 1000) };
+    const stale = { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', holder_count: 80, holder_count_at: String(now - DAY_MS - 1000) };
+    const db = stubDb([fresh, stale]);
+
+    await holderAnalytics.scanHolders({ db });
+
+    assert.deepStrictEqual(scans, [stale.mint]);
+
+    const snapshots = db.find('INSERT INTO holder_snapshots');
+    assert.deepStrictEqual(snapshots.map(c => [c.params[0], c.params[6]]), [[fresh.mint, 120], [stale.mint, 3]]);
+
+    const counts = db.find('SET holder_count');
+    assert.strictEqual(counts.length, 1);
+    assert.deepStrictEqual([counts[0].params[0], counts[0].params[2]], [3, stale.mint]);
+});
+
+test('tokens past the holder limit are not recounted', async () => {
+    const scans = stubRpc();
+    const big = { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', holder_count: 250000, holder_count_at: String(Date.now() - 30 * DAY_MS) };
+    const db = stubDb([big]);
+
+    await holderAnalytics.scanHolders({ db });
+
+    assert.deepStrictEqual(scans, []);
+    assert.strictEqual(db.find('INSERT INTO holder_snapshots')[0].params[6], 250000);
+    assert.strictEqual(db.find('SET holder_count').length, 0);
+});
+
+test('a refused count keeps the last one and waits a day', async () => {
+    stubRpc();
+    connection.getProgramAccounts = async () => { throw new Error('scan aborted'); };
+    const never = { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', holder_count: null, holder_count_at: null };
+    const db = stubDb([never]);
+
+    await holderAnalytics.scanHolders({ db });
+
+    assert.strictEqual(db.find('INSERT INTO holder_snapshots')[0].params[6], null);
+    const [count] = db.find('SET holder_count');
+    assert.strictEqual(count.params[0], null);
+    assert.ok(count.params[1] > 0);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// DexScreener first (stubbed below, never reaches the network), recorded fixtures behind it
+process.env.MARKET_DATA_PROVIDERS = 'dexscreener,fixture';
+const dexscreener = require('../src/services/marketData/dexscreener');
+const marketData = require('../src/services/marketData');
+const { syncTokenData } = require('../src/tasks/metadataUpdater');
+const { checkNewTokens } = require('../src/tasks/newTokenListener');
+const { createStubDb } = require('./support/stubDb');
+
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const HOLDEX = '9zB5wRarXMj86MymwLumSKA1Dx35zPqqKfcZtK1Spump';
+
+// Every DexScreener method throws like a dropped connection; counts the calls
+const outage = { calls: 0 };
+for (const method of ['searchPairs', 'getPairsByMints', 'getNewPairs']) {
+    dexscreener[method] = async () => {
+        outage.calls++;
+        throw new Error('socket hang up');
+    };
+}
+
+test('a provider that throws falls over to the next one', async () => {
+    const pairs = await marketData.getPairsByMints({}, [BONK]);
+
+    assert.strictEqual(outage.calls, 1);
+    assert.strictEqual(pairs.length, 1);
+    assert.strictEqual(pairs[0].source, 'fixture');
+    assert.strictEqual(pairs[0].baseToken.address, BONK);
+});
+
+test('repeated failures open the circuit and the provider is skipped', async () => {
+    // One failure so far; four more reach the threshold
+    for (let i = 0; i < 4; i++) await marketData.searchPairs({}, 'bonk');
+    assert.strictEqual(outage.calls, 5);
+
+    const pairs = await marketData.searchPairs({}, 'bonk');
+    assert.strictEqual(outage.calls, 5, 'circuit open: not called again');
+    assert.ok(pairs.length > 0);
+});
+
+test('syncTokenData prices a token from its recorded pairs', async () => {
+    const db = createStubDb();
+    const pairs = await marketData.getPairsByMints({ db }, [BONK]);
+    await syncTokenData({ db }, BONK, pairs);
+
+    const update = db.find('UPDATE tokens SET volume24h')[0];
+    const [volume, price, , , , liquidity, dex] = update.params;
+    assert.strictEqual(volume, 4123877.31);
+    assert.strictEqual(price, 0.00002251);
+    assert.strictEqual(liquidity, 6120443.18);
+    assert.strictEqual(dex, 'raydium');
+    assert.strictEqual(update.params.at(-1), BONK);
+    assert.strictEqual(db.find('INSERT INTO pair_snapshots').length, 1);
+});
+
+test('newTokenListener adds recorded pairs that pass the gate and skips tracked ones', async () => {
+    const tracked = new Set();
+    const db = createStubDb((method, sql, params) => {
+        if (sql.startsWith('SELECT mint FROM tokens')) return params[0].filter(m => tracked.has(m)).map(mint => ({ mint }));
+        return undefined;
+    });
+
+    assert.deepStrictEqual(await checkNewTokens({ db }), { processed: 1 });
+
+    tracked.add(HOLDEX);
+    assert.deepStrictEqual(await checkNewTokens({ db }), { processed: 0 });
+});
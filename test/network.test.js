@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isPrivateAddress, isPrivateHost, resolvePublicAddress } = require('../src/utils/network');
+
+test('isPrivateAddress covers private, loopback, link-local and mapped IPv6', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::a00:1']) {
+        assert.strictEqual(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+        assert.strictEqual(isPrivateAddress(ip), false, ip);
+    }
+});
+
+test('isPrivateHost rejects local names and private literals', () => {
+    assert.strictEqual(isPrivateHost('localhost'), true);
+    assert.strictEqual(isPrivateHost('metadata.google.internal'), true);
+    assert.strictEqual(isPrivateHost('[::1]'), true);
+    assert.strictEqual(isPrivateHost('example.com'), false);
+});
+
+test('resolvePublicAddress refuses names and literals that land on private addresses', async () => {
+    await assert.rejects(resolvePublicAddress('localhost'), /not a public address/);
+    await assert.rejects(resolvePublicAddress('169.254.169.254'), /not a public address/);
+    assert.deepStrictEqual(await resolvePublicAddress('8.8.8.8'), { address: '8.8.8.8', family: 4 });
+});
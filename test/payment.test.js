@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const config = require('../src/config/env');
+const { verifyFeePayment, PaymentError, PaymentUnavailableError } = require('../src/services/payment');
+const tokenRoutes = require('../src/routes/tokens');
+const { createStubDb } = require('./support/stubDb');
+
+const PAYER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// getParsedTransaction result moving 'lamports' and 'tokens' to the treasury
+function parsedTx({ lamports = 0, tokens = 0, recipient = config.TREASURY_WALLET, err = null, blockTime = nowSeconds() } = {}) {
+    const tokenBalance = (amount) => ({
+        owner: recipient, mint: config.FEE_TOKEN_MINT,
+        uiTokenAmount: { amount: String(amount * 1e6), decimals: 6 }
+    });
+    return {
+        blockTime,
+        transaction: {
+            message: {
+                accountKeys: [
+                    { pubkey: PAYER, signer: true },
+                    { pubkey: recipient, signer: false }
+                ]
+            }
+        },
+        meta: {
+            err,
+            preBalances: [5 * LAMPORTS_PER_SOL, LAMPORTS_PER_SOL],
+            postBalances: [5 * LAMPORTS_PER_SOL - lamports, LAMPORTS_PER_SOL + lamports],
+            preTokenBalances: [tokenBalance(1)],
+            postTokenBalances: [tokenBalance(1 + tokens)]
+        }
+    };
+}
+
+const stubConnection = (result) => ({
+    getParsedTransaction: async () => {
+        if (result instanceof Error) throw result;
+        return result;
+    }
+});
+
+test('accepts a SOL payment of the fee', async () => {
+    const payment = await verifyFeePayment('sig', stubConnection(parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL })));
+    assert.deepStrictEqual(payment, { payer: PAYER, method: 'SOL', amount: config.FEE_SOL });
+});
+
+test('accepts a fee-token payment', async () => {
+    const payment = await verifyFeePayment('sig', stubConnection(parsedTx({ tokens: config.FEE_TOKEN_AMOUNT })));
+    assert.deepStrictEqual(payment, { payer: PAYER, method: 'TOKEN', amount: config.FEE_TOKEN_AMOUNT });
+});
+
+test('rejects a transaction that failed on-chain', async () => {
+    const tx = parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL, err: { InstructionError: [0, 'Custom'] } });
+    await assert.rejects(verifyFeePayment('sig', stubConnection(tx)), (e) => e instanceof PaymentError && /failed on-chain/.test(e.message));
+});
+
+test('rejects a payment older than a day', async () => {
+    const tx = parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL, blockTime: nowSeconds() - 25 * 60 * 60 });
+    await assert.rejects(verifyFeePayment('sig', stubConnection(tx)), (e) => e instanceof PaymentError && /too old/.test(e.message));
+});
+
+test('rejects a payment to the wrong recipient or for too little', async () => {
+    const wrongRecipient = parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL, tokens: config.FEE_TOKEN_AMOUNT, recipient: PAYER.replace('7x', '8x') });
+    await assert.rejects(verifyFeePayment('sig', stubConnection(wrongRecipient)), PaymentError);
+
+    const tooLittle = parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL / 2, tokens: config.FEE_TOKEN_AMOUNT / 2 });
+    await assert.rejects(verifyFeePayment('sig', stubConnection(tooLittle)), /does not pay the fee/);
+});
+
+test('a missing transaction is a payment error, an RPC failure is not', async () => {
+    await assert.rejects(verifyFeePayment('sig', stubConnection(null)), PaymentError);
+    await assert.rejects(verifyFeePayment('sig', stubConnection(new Error('fetch failed'))), PaymentUnavailableError);
+});
+
+// --- POST /api/request-update ---
+// Routers are module-level, so one app is shared; tests swap 'state' instead.
+
+const state = { usedSignatures: [], insertError: null };
+const deps = { connection: null };
+
+deps.db = createStubDb((method, sql, params) => {
+    if (sql.includes('FROM sessions')) return { pubkey: PAYER };
+    if (sql.startsWith('SELECT mint FROM tokens')) return { mint: MINT };
+    if (sql.startsWith('SELECT id FROM token_updates')) return state.usedSignatures.includes(params[0]) ? { id: 1 } : undefined;
+    if (sql.startsWith('INSERT INTO token_updates')) {
+        if (state.insertError) throw state.insertError;
+        return { id: 42 };
+    }
+    return undefined;
+});
+
+let server;
+test.before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', tokenRoutes.init(deps));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const submit = (signature) => fetch(`http://127.0.0.1:${server.address().port}/api/request-update`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer session-token' },
+    body: JSON.stringify({ mint: MINT, website: 'https://example.com', signature })
+});
+
+test('request-update: a reused signature is a 409 and costs no RPC call', async (t) => {
+    let rpcCalls = 0;
+    deps.connection = { getParsedTransaction: async () => { rpcCalls++; return parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL }); } };
+    state.usedSignatures = ['used-sig'];
+    t.after(() => { state.usedSignatures = []; });
+
+    const res = await submit('used-sig');
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual((await res.json()).error, 'Payment signature already used');
+    assert.strictEqual(rpcCalls, 0);
+});
+
+test('request-update: a signature redeemed concurrently is a 409 (unique index)', async (t) => {
+    deps.connection = stubConnection(parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL }));
+    state.insertError = Object.assign(new Error('duplicate key'), { code: '23505' });
+    t.after(() => { state.insertError = null; });
+
+    assert.strictEqual((await submit('racing-sig')).status, 409);
+});
+
+test('request-update: a payment made by another wallet is a 402 and is not recorded', async () => {
+    const otherPayer = PAYER.replace('7x', '9x');
+    const tx = parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL });
+    tx.transaction.message.accountKeys[0].pubkey = otherPayer;
+    deps.connection = stubConnection(tx);
+    const inserts = deps.db.find('INSERT INTO token_updates').length;
+
+    const res = await submit('someone-elses-sig');
+    assert.strictEqual(res.status, 402);
+    assert.strictEqual((await res.json()).error, 'Payment was not made by the signed-in wallet');
+    assert.strictEqual(deps.db.find('INSERT INTO token_updates').length, inserts);
+});
+
+test('request-update: valid payment is queued, bad payment is 402, RPC outage is 503', async () => {
+    deps.connection = stubConnection(parsedTx({ lamports: config.FEE_SOL * LAMPORTS_PER_SOL }));
+    const ok = await submit('good-sig');
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual((await ok.json()).id, 42);
+
+    deps.connection = stubConnection(parsedTx({ lamports: 1 }));
+    assert.strictEqual((await submit('bad-sig')).status, 402);
+
+    deps.connection = stubConnection(new Error('503 Service Unavailable'));
+    assert.strictEqual((await submit('any-sig')).status, 503);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../src/config/env');
+const { createConnection } = require('../src/utils/solana');
+const poolListener = require('../src/tasks/poolListener');
+const { createStubDb } = require('./support/stubDb');
+
+// Same shared Connection the listener uses
+const connection = createConnection(config.INDEXER_RPC_URL, 'confirmed');
+
+const SOURCE = { name: 'pumpfun', marker: 'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM' };
+
+// A confirmed transaction with no pool instructions in it
+const emptyTx = {
+    slot: 1,
+    transaction: {
+        message: {
+            compiledInstructions: [],
+            getAccountKeys: () => ({ get: () => undefined, keySegments: () => [[]] })
+        }
+    },
+    meta: { err: null, innerInstructions: [] }
+};
+
+// getTransaction answering from 'results' in order; counts calls
+function stubTransactions(results) {
+    const calls = [];
+    connection.getTransaction = async (signature) => {
+        calls.push(signature);
+        return results.length > 1 ? results.shift() : results[0];
+    };
+    return calls;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('a null read is retried and the signature is only seen once handled', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const calls = stubTransactions([null, emptyTx]);
+    const deps = { db: createStubDb() };
+
+    await poolListener.processSignature(deps, SOURCE, 'sig-late');
+    assert.strictEqual(calls.length, 1);
+
+    t.mock.timers.tick(2000);
+    await flush();
+    await flush();
+    assert.strictEqual(calls.length, 2, 'retried after a short delay');
+
+    await poolListener.processSignature(deps, SOURCE, 'sig-late');
+    assert.strictEqual(calls.length, 2, 'handled, so not fetched again');
+});
+
+test('a signature that still reads null after the retries is left for backfill', async () => {
+    const calls = stubTransactions([null]);
+    const deps = { db: createStubDb() };
+
+    await poolListener.processSignature(deps, SOURCE, 'sig-missing', 3);
+    await poolListener.processSignature(deps, SOURCE, 'sig-missing', 3);
+    assert.strictEqual(calls.length, 2, 'not marked seen');
+});
+
+test('a failed handler leaves the signature unseen', async () => {
+    const calls = stubTransactions([{ ...emptyTx, transaction: { message: null } }, emptyTx]);
+    const deps = { db: createStubDb() };
+
+    await assert.rejects(poolListener.processSignature(deps, SOURCE, 'sig-broken'));
+    await poolListener.processSignature(deps, SOURCE, 'sig-broken');
+    assert.strictEqual(calls.length, 2);
+});
+
+test('metadata URIs pointing at non-public addresses or other schemes are not fetched', async () => {
+    for (const uri of ['http://169.254.169.254/latest/meta-data/', 'http://localhost:8080/x.json', 'http://[::1]/x.json', 'file:///etc/passwd']) {
+        await assert.rejects(poolListener.fetchMetadataJson(uri), /not a public address|Unsupported metadata scheme/, uri);
+    }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+const { PROGRAMS, DEX, SOL_MINT, decodePool, decodePoolInstruction, readReserves, readLpState } = require('../src/utils/pools');
+
+const address = () => Keypair.generate().publicKey.toBase58();
+
+// PumpSwap Pool account: discriminator, bump, index, creator, then mints / LP mint / vaults / lp_supply
+function pumpSwapAccount({ baseMint, quoteMint, lpMint, baseVault, quoteVault, lpSupply }) {
+    const data = Buffer.alloc(243);
+    [[43, baseMint], [75, quoteMint], [107, lpMint], [139, baseVault], [171, quoteVault]]
+        .forEach(([offset, key]) => new PublicKey(key).toBuffer().copy(data, offset));
+    data.writeBigUInt64LE(BigInt(lpSupply), 203);
+    return { owner: new PublicKey(PROGRAMS.PUMPSWAP), data };
+}
+
+test('a PumpSwap pool decodes with the token as base', () => {
+    const mint = address();
+    const pool = { baseMint: mint, quoteMint: SOL_MINT, lpMint: address(), baseVault: address(), quoteVault: address(), lpSupply: 4193388379 };
+    const info = pumpSwapAccount(pool);
+
+    assert.deepStrictEqual(decodePool(info, address(), mint), {
+        dex: DEX.PUMPSWAP, baseVault: pool.baseVault, quoteVault: pool.quoteVault,
+        baseMint: mint, quoteMint: SOL_MINT, baseDecimals: 6, quoteDecimals: 9
+    });
+    assert.deepStrictEqual(readLpState(info), { lpMint: pool.lpMint, lpIssued: 4193388379 });
+});
+
+test('PumpSwap reserves come from its SPL vaults', () => {
+    const tokenAccount = (amount) => {
+        const data = Buffer.alloc(165);
+        data.writeBigUInt64LE(BigInt(amount), 64);
+        return data;
+    };
+    const row = { dex: DEX.PUMPSWAP, base_vault: 'B', quote_vault: 'Q' };
+    assert.deepStrictEqual(readReserves(row, new Map([['B', tokenAccount(206900000e6)], ['Q', tokenAccount(84.99e9)]])), { base: 206900000e6, quote: 84.99e9 });
+});
+
+test('create_pool is recognised as a PumpSwap pool creation', () => {
+    const accounts = Array.from({ length: 18 }, address);
+    const data = Buffer.concat([crypto.createHash('sha256').update('global:create_pool').digest().subarray(0, 8), Buffer.alloc(18)]);
+
+    assert.deepStrictEqual(decodePoolInstruction(PROGRAMS.PUMPSWAP, accounts, data), {
+        dex: DEX.PUMPSWAP, pool: accounts[0], mints: [accounts[3], accounts[4]], migration: false
+    });
+    assert.strictEqual(decodePoolInstruction(PROGRAMS.PUMPSWAP, accounts, Buffer.alloc(26)), null, 'swaps are ignored');
+});
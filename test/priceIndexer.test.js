@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+
+const config = require('../src/config/env');
+const { createConnection } = require('../src/utils/solana');
+const { USDC_MINT } = require('../src/utils/pools');
+const priceIndexer = require('../src/tasks/priceIndexer');
+const { createStubDb } = require('./support/stubDb');
+
+// Same shared Connection the indexer uses
+const connection = createConnection(config.INDEXER_RPC_URL);
+
+const vault = () => Keypair.generate().publicKey.toBase58();
+
+// SPL token account with 'amount' (raw units) at offset 64
+function tokenAccount(amount) {
+    const data = Buffer.alloc(165);
+    data.writeBigUInt64LE(BigInt(amount), 64);
+    return { data };
+}
+
+// Reserves per vault address; unknown vaults read as missing
+function stubAccounts(balances) {
+    connection.getMultipleAccountsInfo = async (keys) => keys.map(k => {
+        const amount = balances[k.toBase58()];
+        return amount === undefined ? null : tokenAccount(amount);
+    });
+}
+
+const pool = (baseVault, quoteVault) => ({
+    mint: 'M', dex: 'raydium_amm_v4', base_vault: baseVault, quote_vault: quoteVault,
+    base_decimals: 0, quote_decimals: 0, quote_mint: USDC_MINT
+});
+
+// Volume written into the 1m candle by one cycle over 'pools'
+async function cycleVolume(pools) {
+    const db = createStubDb((method, sql) => (method === 'all' && sql.includes('FROM pools') ? pools : undefined));
+    await priceIndexer.updatePrices({ db });
+    const insert = db.find('INSERT INTO candles (')[0];
+    return insert.params[6];
+}
+
+test('volume is the quote vault delta of the same pool', async () => {
+    const [base, quote] = [vault(), vault()];
+    stubAccounts({ [base]: 1000, [quote]: 5000 });
+    assert.strictEqual(await cycleVolume([pool(base, quote)]), 0, 'no baseline yet');
+
+    stubAccounts({ [base]: 900, [quote]: 5600 });
+    assert.strictEqual(await cycleVolume([pool(base, quote)]), 600);
+});
+
+test('a token moving to another pool does not book the reserve difference as volume', async () => {
+    const [oldBase, oldQuote, newBase, newQuote] = [vault(), vault(), vault(), vault()];
+    stubAccounts({ [oldBase]: 1000, [oldQuote]: 5000, [newBase]: 100000, [newQuote]: 900000 });
+    await cycleVolume([pool(oldBase, oldQuote)]);
+
+    assert.strictEqual(await cycleVolume([pool(newBase, newQuote)]), 0, 'new pool starts its own baseline');
+
+    // Switching back diffs against nothing rather than the pre-switch snapshot
+    stubAccounts({ [oldBase]: 1000, [oldQuote]: 8000, [newBase]: 100000, [newQuote]: 900000 });
+    assert.strictEqual(await cycleVolume([pool(oldBase, oldQuote)]), 0);
+});
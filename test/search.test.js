@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const searchRoutes = require('../src/routes/search');
+const { createStubDb } = require('./support/stubDb');
+
+// --- GET /api/search/suggest ---
+
+const deps = {
+    db: createStubDb(() => { throw new Error('function similarity(text, unknown) does not exist'); })
+};
+
+let server;
+test.before(async () => {
+    const app = express();
+    app.use('/api/search', searchRoutes.init(deps));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const suggest = (q) => fetch(`http://127.0.0.1:${server.address().port}/api/search/suggest?q=${encodeURIComponent(q)}`);
+
+test('a failing query is a 500 without the error text', async () => {
+    const res = await suggest('bonk');
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual((await res.json()).error, 'DB Error');
+});
+
+test('an over-long query is a 400 before any query', async () => {
+    const before = deps.db.calls.length;
+    const res = await suggest('a'.repeat(65));
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(deps.db.calls.length, before);
+});
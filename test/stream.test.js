@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const express = require('express');
+
+// Subscriber connection the stream routes listen on; tests emit worker events into it
+const subscriber = Object.assign(new EventEmitter(), { subscribe: async () => { } });
+const redisService = require('../src/services/redis');
+redisService.getClient = () => ({ status: 'ready', duplicate: () => subscriber });
+
+const { CHANNEL } = require('../src/services/stream');
+const streamRoutes = require('../src/routes/stream');
+
+const emit = (event) => subscriber.emit('message', CHANNEL, JSON.stringify({ ts: Date.now(), ...event }));
+
+let server;
+test.before(async () => {
+    const app = express();
+    app.use('/api/stream', streamRoutes.init({}));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// Opens an SSE connection; 'events' collects parsed { event, data } frames
+async function connect(query) {
+    const controller = new AbortController();
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/stream?${query}`, { signal: controller.signal });
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    (async () => {
+        for await (const chunk of res.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const event = frame.match(/^event: (.*)$/m)?.[1];
+                const data = frame.match(/^data: (.*)$/m)?.[1];
+                if (event) events.push({ event, data: JSON.parse(data) });
+            }
+        }
+    })().catch(() => { });
+    await waitFor(() => events.some(e => e.event === 'ready'));
+    return { events, close: () => controller.abort() };
+}
+
+async function waitFor(predicate) {
+    for (let i = 0; i < 100 && !predicate(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+}
+
+const LIST_DEBOUNCE_MS = 2000;
+
+test('a new token is pushed once, with no refetch hint after it', async (t) => {
+    const client = await connect('lists=newest');
+    t.after(client.close);
+
+    emit({ type: 'token', mint: 'M', data: { mint: 'M', ticker: 'NEW' } });
+    await waitFor(() => client.events.some(e => e.event === 'list'));
+    await new Promise(resolve => setTimeout(resolve, LIST_DEBOUNCE_MS + 200));
+
+    const lists = client.events.filter(e => e.event === 'list');
+    assert.deepStrictEqual(lists, [{ event: 'list', data: { sort: 'newest', reason: 'token', data: { mint: 'M', ticker: 'NEW' } } }]);
+});
+
+test('other list changes are coalesced into one hint', async (t) => {
+    const client = await connect('lists=kscore');
+    t.after(client.close);
+
+    emit({ type: 'kscore', mint: 'A', data: { score: 50 } });
+    emit({ type: 'kscore', mint: 'B', data: { score: 60 } });
+    await new Promise(resolve => setTimeout(resolve, LIST_DEBOUNCE_MS + 200));
+
+    const lists = client.events.filter(e => e.event === 'list');
+    assert.deepStrictEqual(lists, [{ event: 'list', data: { sort: 'kscore', reason: 'kscore' } }]);
+});
+
+test('open streams are capped per IP and freed on close', async () => {
+    const open = [];
+    for (let i = 0; i < 5; i++) open.push(await connect('lists=kscore'));
+
+    const url = `http://127.0.0.1:${server.address().port}/api/stream?lists=kscore`;
+    const refused = await fetch(url);
+    assert.strictEqual(refused.status, 429);
+
+    open.pop().close();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const reopened = await connect('lists=kscore');
+    assert.ok(reopened.events.some(e => e.event === 'ready'));
+
+    reopened.close();
+    open.forEach(client => client.close());
+});
+
+test('inherited names are not lists', async () => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/stream?lists=constructor,__proto__`);
+    assert.strictEqual(res.status, 400);
+});
@@ -0,0 +1,30 @@
+/**
+ * Local HTTP receiver for webhook tests. 'handler(req, body)' returns
+ * { status, headers } (default 200); every request is kept in 'requests'.
+ */
+const http = require('http');
+
+async function startReceiver(handler = () => ({ status: 200 })) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const { status = 200, headers = {} } = handler(req, body) || {};
+            res.writeHead(status, headers);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        requests,
+        url: (path = '/hook') => `http://127.0.0.1:${port}${path}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startReceiver };
@@ -0,0 +1,27 @@
+/**
+ * Stub of the db wrapper from services/database.js (get / all / run / exec).
+ * 'respond(method, sql, params)' returns the result of each call; every call
+ * is recorded in db.calls with its SQL collapsed to one line.
+ */
+function createStubDb(respond = () => undefined) {
+    const calls = [];
+    const call = (method) => async (sql, params = []) => {
+        const text = sql.replace(/\s+/g, ' ').trim();
+        calls.push({ method, sql: text, params });
+        const result = await respond(method, text, params);
+        if (result !== undefined) return result;
+        return method === 'all' ? [] : method === 'run' ? { rowCount: 0 } : undefined;
+    };
+
+    return {
+        calls,
+        get: call('get'),
+        all: call('all'),
+        run: call('run'),
+        exec: call('exec'),
+        // Calls whose SQL contains 'fragment'
+        find: (fragment) => calls.filter(c => c.sql.includes(fragment))
+    };
+}
+
+module.exports = { createStubDb };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const tokenRoutes = require('../src/routes/tokens');
+const { createStubDb } = require('./support/stubDb');
+
+// --- GET /api/tokens ---
+// Routers are module-level, so one app is shared across tests.
+
+const state = { queryError: null };
+const deps = {
+    db: createStubDb(() => {
+        if (state.queryError) throw state.queryError;
+        return undefined;
+    })
+};
+
+let server;
+test.before(async () => {
+    const app = express();
+    app.use('/api', tokenRoutes.init(deps));
+    server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const list = (query) => fetch(`http://127.0.0.1:${server.address().port}/api/tokens?${query}`);
+const lastListQuery = () => deps.db.find('FROM tokens').pop();
+
+test('an unknown or inherited sort falls back to newest', async () => {
+    for (const sort of ['constructor', '__proto__', 'toString', 'nope']) {
+        const res = await list(`sort=${sort}`);
+        assert.strictEqual(res.status, 200, sort);
+        assert.strictEqual((await res.json()).sort, 'newest', sort);
+        assert.match(lastListQuery().sql, /ORDER BY COALESCE\(timestamp, 0\) DESC/);
+    }
+});
+
+test('unknown or inherited safety flags are ignored', async () => {
+    const res = await list('safety=constructor,mintRevoked,__proto__,hasOwnProperty');
+    assert.strictEqual(res.status, 200);
+
+    const { sql } = lastListQuery();
+    assert.match(sql, /mint_authority_revoked = TRUE/);
+    assert.doesNotMatch(sql, /function|undefined|\[object/);
+});
+
+test('a failing query is a 500 without the error text', async (t) => {
+    state.queryError = new Error('relation "tokens" does not exist');
+    t.after(() => { state.queryError = null; });
+
+    const res = await list('sort=volume&limit=7');
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual((await res.json()).error, 'DB Error');
+});
+
+test('an over-long search is a 400 before any query', async () => {
+    const before = deps.db.calls.length;
+    const res = await list(`search=${'a'.repeat(65)}`);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).error, 'Query too long');
+    assert.strictEqual(deps.db.calls.length, before);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../src/config/env');
+const { createConnection } = require('../src/utils/solana');
+const tradeIndexer = require('../src/tasks/tradeIndexer');
+const { createStubDb } = require('./support/stubDb');
+
+// Same shared Connection the indexer uses; its RPC methods are stubbed per test
+const connection = createConnection(config.INDEXER_RPC_URL, 'confirmed');
+
+const PAIR = 'HWHvQhFmJB3NUcu1aihKmrKegfVxBEHzwVX6yZCKEsi1';
+const NOW = Math.floor(Date.now() / 1000);
+
+// 'count' signatures for the pool, newest first, one per second ending at NOW - 60
+const history = (count) => Array.from({ length: count }, (_, i) => ({
+    signature: `sig${count - i}`, blockTime: NOW - 60 - i, err: null
+}));
+
+// getSignaturesForAddress over 'sigs' honoring before / until / limit
+function stubSignatures(sigs) {
+    const calls = [];
+    connection.getSignaturesForAddress = async (address, opts) => {
+        calls.push(opts);
+        let start = opts.before ? sigs.findIndex(s => s.signature === opts.before) + 1 : 0;
+        let end = opts.until ? sigs.findIndex(s => s.signature === opts.until) : sigs.length;
+        if (end === -1) end = sigs.length;
+        return sigs.slice(start, Math.min(end, start + opts.limit));
+    };
+    connection.getTransactions = async (signatures) => signatures.map(() => null);
+    return calls;
+}
+
+// 'watermarks': resolution -> finalizer watermark stored in listener_state
+function poolDb(pool, watermarks = { 60: NOW - 3 * 60 }) {
+    return createStubDb((method, sql) => {
+        if (method === 'all' && sql.includes('FROM pools')) return [pool];
+        if (method === 'all' && sql.includes('FROM listener_state')) {
+            return Object.entries(watermarks).map(([resolution, watermark]) => ({ source: `trade-finalizer:${resolution}`, watermark: String(watermark) }));
+        }
+        return undefined;
+    });
+}
+
+const scanState = (db) => {
+    const update = db.find('UPDATE pools SET last_trade_signature')[0];
+    const [cursor, , completeFrom, indexedUntil] = update.params;
+    return { cursor, completeFrom, indexedUntil };
+};
+
+test('a backlog is paged back to the cursor and resumed oldest first', async () => {
+    const sigs = history(2500);
+    const calls = stubSignatures(sigs);
+    const pool = { mint: 'M', pair_address: PAIR, last_trade_signature: 'sig0', trades_complete_from: NOW - 7200, trades_indexed_until: NOW - 4000 };
+    const db = poolDb(pool);
+
+    await tradeIndexer.indexTrades({ db });
+
+    assert.deepStrictEqual(calls.map(c => c.before), [undefined, 'sig1501', 'sig501']);
+    const state = scanState(db);
+    assert.strictEqual(state.cursor, 'sig400', 'the oldest 400 are processed, the rest wait for the next scan');
+    assert.strictEqual(state.completeFrom, NOW - 7200, 'nothing skipped, so coverage keeps its start');
+    assert.strictEqual(state.indexedUntil, sigs.find(s => s.signature === 'sig400').blockTime);
+});
+
+test('a caught-up pool is covered until the listing time', async () => {
+    stubSignatures(history(30));
+    const pool = { mint: 'M', pair_address: PAIR, last_trade_signature: 'sig0', trades_complete_from: '100', trades_indexed_until: String(NOW - 4000) };
+    const db = poolDb(pool);
+
+    await tradeIndexer.indexTrades({ db });
+
+    const state = scanState(db);
+    assert.strictEqual(state.cursor, 'sig30');
+    assert.strictEqual(state.completeFrom, 100);
+    assert.ok(state.indexedUntil >= NOW - 31 && state.indexedUntil <= NOW);
+});
+
+test('a backlog too deep to page leaves a hole: coverage restarts after it', async () => {
+    stubSignatures(history(12000));
+    const pool = { mint: 'M', pair_address: PAIR, last_trade_signature: 'sig0', trades_complete_from: 100, trades_indexed_until: NOW - 20000 };
+    const db = poolDb(pool);
+
+    await tradeIndexer.indexTrades({ db });
+
+    const state = scanState(db);
+    assert.strictEqual(state.completeFrom, NOW - 60 - 9999, 'the oldest listed signature starts the new span');
+    assert.strictEqual(state.cursor, 'sig2400');
+});
+
+test('candle stats are only rewritten inside the covered span', async () => {
+    stubSignatures([]);
+    const db = poolDb({ mint: 'M', pair_address: PAIR, last_trade_signature: 'sig0', trades_complete_from: 0, trades_indexed_until: NOW - 3600 });
+
+    await tradeIndexer.indexTrades({ db });
+
+    const rewrites = db.find('UPDATE candles');
+    assert.ok(rewrites.length > 0);
+    for (const r of rewrites) {
+        assert.match(r.sql, /t\.bucket >= p\.trades_complete_from AND t\.bucket \+ \$3 <= p\.trades_indexed_until/);
+    }
+});
+
+test('finalization resumes from the shared watermark and reopens it for late trades', async () => {
+    stubSignatures(history(5));
+    const watermark = NOW - 10 * 60;
+    const previousUntil = NOW - 30 * 60;
+    const db = poolDb({ mint: 'M', pair_address: PAIR, last_trade_signature: 'sig0', trades_complete_from: 0, trades_indexed_until: previousUntil }, { 60: watermark });
+
+    await tradeIndexer.indexTrades({ db });
+
+    const reopen = db.find('SET watermark = LEAST(watermark, $1)');
+    assert.strictEqual(reopen.length, 1);
+    assert.strictEqual(reopen[0].params[0], previousUntil, 'the newly covered span starts where coverage used to end');
+
+    const rewrite = db.find('UPDATE candles c')[0];
+    assert.deepStrictEqual(rewrite.params.slice(0, 2), [watermark - (watermark % 60), NOW - (NOW % 60)]);
+
+    const advance = db.find('SET watermark = $1')[0];
+    assert.deepStrictEqual([advance.params[0], advance.params[2], advance.params[3]], [NOW - (NOW % 60), 'trade-finalizer:60', watermark],
+        'advanced only if no other run reopened it meanwhile');
+});